@@ -0,0 +1,298 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const USAGE = `Usage: bbb-record [options] <url...>
+
+Records BigBlueButton playback URLs with the same recorder the web UI uses.
+
+Options:
+  -f, --file <path>        Read URLs from a file, one per line ("-" for stdin)
+  -o, --out <dir>          Directory for the exports (default: exports)
+  -p, --profile <name>     Output profile; repeat for several renditions
+  -r, --rate <x>           Playback rate used for capture
+      --fast               Fast capture: play faster and restore real time afterwards
+      --drop-audio         Leave the audio out, so that --fast can go past 4x
+      --stream             Encode while capturing instead of converting afterwards
+      --range <from-to>    Record only part of the session, e.g. 10:00-25:00; repeatable
+      --mode <mode>        Export mode: auto, assets or capture
+      --layout <name>      Layout preset, e.g. slides, webcam, slides-pip or slides-chat
+      --capture <preset>   Capture preset: standard, slides, hd or motion
+      --resolution <WxH>   Capture size, e.g. 1920x1080
+      --fps <n>            Capture frame rate
+      --codec <name>       Capture codec: vp8, vp9, h264 or av1
+      --bitrate <rate>     Capture video bitrate, e.g. 5M or 2500k
+      --audio [format]     Audio-only export (mp3, m4a or opus)
+      --captions           Generate captions
+  -c, --concurrency <n>    Recordings to run at the same time (default: 1)
+      --json               Print progress as JSON lines on stdout
+  -h, --help               Show this help
+
+Exit codes:
+  0  every recording completed
+  1  at least one recording failed
+  2  invalid arguments
+  3  every recording completed, but some need review
+  130  interrupted`;
+
+const EXIT_CODES = {
+    OK: 0,
+    FAILED: 1,
+    USAGE: 2,
+    NEEDS_REVIEW: 3,
+    INTERRUPTED: 130
+};
+
+const createUsageError = (message) => Object.assign(new Error(message), { exitCode: EXIT_CODES.USAGE });
+
+const parseCommandLine = (argv) => {
+    try {
+        return parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                file: { type: 'string', short: 'f' },
+                out: { type: 'string', short: 'o' },
+                profile: { type: 'string', short: 'p', multiple: true },
+                rate: { type: 'string', short: 'r' },
+                fast: { type: 'boolean' },
+                'drop-audio': { type: 'boolean' },
+                stream: { type: 'boolean' },
+                range: { type: 'string', multiple: true },
+                mode: { type: 'string' },
+                layout: { type: 'string' },
+                capture: { type: 'string' },
+                resolution: { type: 'string' },
+                fps: { type: 'string' },
+                codec: { type: 'string' },
+                bitrate: { type: 'string' },
+                audio: { type: 'string' },
+                captions: { type: 'boolean' },
+                concurrency: { type: 'string', short: 'c' },
+                json: { type: 'boolean' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (error) {
+        throw createUsageError(error.message);
+    }
+};
+
+// "--audio" on its own means mp3; parseArgs needs a value, so a bare flag is rewritten first
+const normalizeArgs = (argv) => argv.flatMap((arg, index) => (
+    arg === '--audio' && (index === argv.length - 1 || argv[index + 1].startsWith('-') || /^https?:/.test(argv[index + 1]))
+        ? ['--audio', 'mp3']
+        : [arg]
+));
+
+const readUrlFile = (filePath) => {
+    const text = fs.readFileSync(filePath === '-' ? 0 : filePath, 'utf8');
+    return text
+        .split('\n')
+        .map((line) => line.trim())
+        .filter((line) => line && !line.startsWith('#'));
+};
+
+const parseRangeArgs = (values = []) => values.map((value) => {
+    const [start, end, extra] = value.split('-').map((part) => part.trim());
+    if (extra !== undefined) {
+        throw createUsageError(`Invalid range "${value}"; use from-to, e.g. 10:00-25:00`);
+    }
+    return { start: start || undefined, end: end || undefined };
+});
+
+const parseCaptureArgs = (values) => {
+    const capture = {
+        preset: values.capture,
+        fps: values.fps,
+        codec: values.codec,
+        videoBitrate: values.bitrate
+    };
+    if (values.resolution) {
+        const match = /^(\d+)x(\d+)$/.exec(values.resolution);
+        if (!match) {
+            throw createUsageError(`Invalid resolution "${values.resolution}"; use WIDTHxHEIGHT, e.g. 1920x1080`);
+        }
+        [capture.width, capture.height] = [Number(match[1]), Number(match[2])];
+    }
+    const fields = Object.entries(capture).filter(([, value]) => value !== undefined);
+    return fields.length ? Object.fromEntries(fields) : undefined;
+};
+
+const createReporter = (json) => {
+    const lastMessages = new Map();
+    return (event, fields) => {
+        if (json) {
+            process.stdout.write(`${JSON.stringify({ event, at: new Date().toISOString(), ...fields })}\n`);
+            return;
+        }
+
+        const prefix = `[${fields.index + 1}/${fields.total}]`;
+        if (event === 'progress') {
+            if (!fields.message) return;
+            const line = `${prefix} ${fields.progress ?? '--'}% ${fields.message || ''}`;
+            if (lastMessages.get(fields.index) !== fields.message) {
+                lastMessages.set(fields.index, fields.message);
+                process.stderr.write(`${line}\n`);
+            }
+        } else if (event === 'complete') {
+            process.stdout.write(`${prefix} ${fields.status === 'needs_review' ? 'Needs review' : 'Done'}: ${fields.filePath}\n`);
+            (fields.verification?.issues || []).forEach((issue) => process.stderr.write(`${prefix}   ${issue}\n`));
+        } else if (event === 'error') {
+            process.stderr.write(`${prefix} Failed: ${fields.message}\n`);
+        } else if (event === 'summary') {
+            process.stderr.write(`${fields.succeeded} completed, ${fields.needsReview} need review, ${fields.failed} failed\n`);
+        }
+    };
+};
+
+const main = async () => {
+    const { values, positionals } = parseCommandLine(normalizeArgs(process.argv.slice(2)));
+    if (values.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return EXIT_CODES.OK;
+    }
+
+    const urls = [...positionals, ...(values.file ? readUrlFile(values.file) : [])];
+    if (!urls.length) {
+        throw createUsageError(USAGE);
+    }
+    const invalidUrl = urls.find((url) => !/^https?:\/\//.test(url));
+    if (invalidUrl) {
+        throw createUsageError(`Not an http(s) URL: ${invalidUrl}`);
+    }
+
+    const concurrency = values.concurrency === undefined ? 1 : Number(values.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw createUsageError('--concurrency must be a positive whole number');
+    }
+
+    // The export directory is read when the library loads, so it has to be set first
+    if (values.out) {
+        process.env.BBB_EXPORT_DIR = path.resolve(values.out);
+    }
+    // Keep stdout for JSON lines; the recorder's own console output goes to stderr
+    if (values.json) {
+        console.log = console.error;
+    }
+
+    const Recorder = require('../src/lib/recorder');
+    const { parseJobOptions } = require('../src/lib/jobOptions');
+
+    let options;
+    try {
+        options = parseJobOptions({
+            profiles: values.profile,
+            playbackRate: values.rate,
+            fastCapture: values.fast,
+            dropAudio: values['drop-audio'],
+            streamingTranscode: values.stream || undefined,
+            ranges: values.range ? parseRangeArgs(values.range) : undefined,
+            exportMode: values.mode,
+            layout: values.layout,
+            capture: parseCaptureArgs(values),
+            audioOnly: values.audio !== undefined,
+            audioFormat: values.audio,
+            transcribe: values.captions || undefined
+        });
+    } catch (error) {
+        throw createUsageError(error.message);
+    }
+
+    const report = createReporter(values.json);
+    const active = new Set();
+    let interrupted = false;
+
+    process.once('SIGINT', () => {
+        interrupted = true;
+        process.stderr.write('Interrupted, cancelling recordings...\n');
+        active.forEach((recorder) => recorder.cancel({ skipConversion: true }).catch(() => {}));
+    });
+
+    const record = (url, index) => new Promise((resolve) => {
+        const recorder = new Recorder(options);
+        const base = { index, total: urls.length, url };
+        let settled = false;
+        active.add(recorder);
+
+        const finish = (result) => {
+            if (settled) return;
+            settled = true;
+            active.delete(recorder);
+            // Wait for the browser to close before the next recording or the exit
+            Promise.resolve()
+                .then(() => recorder.stopped)
+                .catch(() => {})
+                .then(() => resolve({ ...base, ...result }));
+        };
+
+        recorder.setCallbacks(
+            (type, data = {}) => {
+                if (type === 'checkpoint' || type === 'session') return;
+
+                if (type === 'complete') {
+                    const { message, ...payload } = data;
+                    let status = payload.needsReview ? 'needs_review' : 'done';
+                    if (payload.cancelled) status = 'cancelled';
+                    report('complete', { ...base, status, message, ...payload });
+                    finish({ status, filePath: payload.filePath });
+                } else if (type === 'cancelled') {
+                    finish({ status: 'cancelled' });
+                } else {
+                    report('progress', { ...base, type, ...data });
+                }
+            },
+            (message) => {
+                if (settled) return;
+                report('error', { ...base, message });
+                finish({ status: 'failed', error: message });
+            }
+        );
+
+        recorder.startRecording(url).catch((error) => {
+            if (settled) return;
+            report('error', { ...base, message: error.message });
+            finish({ status: 'failed', error: error.message });
+        });
+    });
+
+    const pending = urls.map((url, index) => ({ url, index }));
+    const results = [];
+    const worker = async () => {
+        while (pending.length && !interrupted) {
+            const { url, index } = pending.shift();
+            results[index] = await record(url, index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, urls.length) }, worker));
+
+    const count = (status) => results.filter((result) => result?.status === status).length;
+    let exitCode = EXIT_CODES.OK;
+    if (interrupted) {
+        exitCode = EXIT_CODES.INTERRUPTED;
+    } else if (count('failed')) {
+        exitCode = EXIT_CODES.FAILED;
+    } else if (count('needs_review')) {
+        exitCode = EXIT_CODES.NEEDS_REVIEW;
+    }
+
+    report('summary', {
+        index: urls.length - 1,
+        total: urls.length,
+        succeeded: count('done'),
+        needsReview: count('needs_review'),
+        failed: count('failed'),
+        cancelled: urls.length - count('done') - count('needs_review') - count('failed'),
+        exitCode,
+        results: results.filter(Boolean)
+    });
+    return exitCode;
+};
+
+main()
+    .then((exitCode) => process.exit(exitCode))
+    .catch((error) => {
+        console.error(error.message);
+        process.exit(error.exitCode || EXIT_CODES.FAILED);
+    });
@@ -0,0 +1,71 @@
+const readline = require('readline');
+const { ROLES, getAuthProviderName, getUserStore } = require('../src/lib/auth');
+
+const USAGE = `Usage: npm run users -- <command> [arguments]
+
+Commands:
+  list                          List users
+  add <username> [admin|user]   Add a user (prompts for the password)
+  passwd <username>             Change a user's password
+  remove <username>             Remove a user
+  token <username> [name]       Create an API token for a user`;
+
+const prompt = (question) => new Promise((resolve) => {
+    if (process.env.BBB_USER_PASSWORD) {
+        resolve(process.env.BBB_USER_PASSWORD);
+        return;
+    }
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    rl.question(question, (answer) => {
+        rl.close();
+        resolve(answer);
+    });
+});
+
+const main = async () => {
+    const [command, username, extra] = process.argv.slice(2);
+    const store = getUserStore();
+
+    switch (command) {
+        case 'list':
+            store.list().forEach((user) => console.log(`${user.username}\t${user.role}`));
+            break;
+        case 'add': {
+            const role = extra || 'user';
+            if (!username || !ROLES.includes(role)) throw new Error(USAGE);
+            const password = await prompt(`Password for ${username}: `);
+            store.addUser({ username, password, role });
+            console.log(`Added ${role} ${username}`);
+            if (store.list().length === 1 && getAuthProviderName() === 'local') {
+                console.log('Authentication is now on: users have to sign in at /login');
+            }
+            break;
+        }
+        case 'passwd': {
+            if (!username) throw new Error(USAGE);
+            store.setPassword(username, await prompt(`New password for ${username}: `));
+            console.log(`Password changed for ${username}`);
+            break;
+        }
+        case 'remove':
+            if (!username) throw new Error(USAGE);
+            store.removeUser(username);
+            console.log(`Removed ${username}`);
+            break;
+        case 'token': {
+            const user = username && store.findByUsername(username);
+            if (!user) throw new Error(username ? `User ${username} not found` : USAGE);
+            const { token } = store.createToken(user.id, extra);
+            console.log(token);
+            break;
+        }
+        default:
+            throw new Error(USAGE);
+    }
+};
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,204 @@
+import { useEffect, useState } from 'react';
+import {
+  Badge,
+  Box,
+  Button,
+  HStack,
+  Text,
+  VStack
+} from '@chakra-ui/react';
+
+const statusColors = {
+  queued: 'gray',
+  running: 'blue',
+  paused: 'yellow',
+  done: 'green',
+  needs_review: 'purple',
+  failed: 'red',
+  cancelled: 'orange'
+};
+
+const strategyLabels = {
+  displayMedia: 'tab capture',
+  captureStream: 'direct capture',
+  audioContext: 'audio capture',
+  assets: 'asset export',
+  assetAudio: 'asset audio'
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const formatSeconds = (value) => {
+  const totalSeconds = Math.floor(value || 0);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+};
+
+export default function JobList({ refreshKey }) {
+  const [jobs, setJobs] = useState([]);
+  const [maxConcurrent, setMaxConcurrent] = useState(null);
+  const [actionKey, setActionKey] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadJobs = async () => {
+      try {
+        const response = await fetch('/api/record');
+        if (!response.ok) return;
+        const data = await response.json();
+        if (!cancelled) {
+          setJobs(data.jobs || []);
+          setMaxConcurrent(data.maxConcurrent || null);
+        }
+      } catch (error) {
+        console.error('Failed to load jobs:', error);
+      }
+    };
+
+    loadJobs();
+    const interval = setInterval(loadJobs, 5000);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [refreshKey, actionKey]);
+
+  const sendAction = async (job, action, body = {}) => {
+    try {
+      const response = await fetch(`/api/record/${job.id}/${action}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body),
+      });
+      if (!response.ok) {
+        const data = await response.json();
+        console.error(`Failed to ${action} job:`, data.message);
+      }
+    } catch (error) {
+      console.error(`Failed to ${action} job:`, error);
+    } finally {
+      setActionKey((key) => key + 1);
+    }
+  };
+
+  if (!jobs.length) {
+    return null;
+  }
+
+  return (
+    <Box w="100%" p={4} borderRadius="md" borderWidth="1px">
+      <VStack spacing={3} align="stretch">
+        <Text fontWeight="semibold">
+          Recording jobs
+          {maxConcurrent ? ` (up to ${maxConcurrent} at a time)` : ''}
+        </Text>
+        {jobs.map((job) => (
+          <Box key={job.id} p={3} borderRadius="md" borderWidth="1px">
+            <HStack justify="space-between" align="start">
+              <Text fontSize="sm" noOfLines={1} wordBreak="break-all">
+                {job.url}
+              </Text>
+              <Badge colorScheme={statusColors[job.status] || 'gray'}>
+                {job.status}
+              </Badge>
+            </HStack>
+            <Text fontSize="xs" color="gray.600">
+              Priority {job.priority} · Submitted {formatDate(job.createdAt)}
+              {job.finishedAt ? ` · Finished ${formatDate(job.finishedAt)}` : ''}
+            </Text>
+            {(job.status === 'running' || job.status === 'paused') && job.progress && (
+              <Text fontSize="xs" color="blue.600">
+                {job.progress.progress !== undefined ? `${job.progress.progress}% · ` : ''}
+                {job.progress.message || 'Running'}
+              </Text>
+            )}
+            {job.recovering && job.recovery && (
+              <Text fontSize="xs" color="orange.500">
+                Resuming interrupted recording from {formatSeconds(job.recovery.currentTime)}
+              </Text>
+            )}
+            {job.error && (
+              <Text fontSize="xs" color={job.retryAt ? 'orange.500' : 'red.500'}>{job.error}</Text>
+            )}
+            {job.retryAt && (
+              <Text fontSize="xs" color="orange.500">
+                Retrying at {formatDate(job.retryAt)}
+                {job.preferredStrategy ? ` using ${strategyLabels[job.preferredStrategy] || job.preferredStrategy}` : ''}
+              </Text>
+            )}
+            {job.attempts?.length > 1 && (
+              <VStack spacing={0} align="stretch" mt={1}>
+                {job.attempts.map((attempt) => (
+                  <Text key={attempt.number} fontSize="xs" color="gray.600">
+                    Attempt {attempt.number}
+                    {attempt.captureStrategy ? ` (${strategyLabels[attempt.captureStrategy] || attempt.captureStrategy})` : ''}
+                    {attempt.resumedFrom !== null && attempt.resumedFrom !== undefined
+                      ? `, resumed at ${formatSeconds(attempt.resumedFrom)}`
+                      : ''}
+                    {': '}
+                    {attempt.error || (attempt.finishedAt ? 'succeeded' : 'running')}
+                    {attempt.error && attempt.sessionId && (
+                      <>
+                        {' '}
+                        <a href={`/api/record/${job.id}/diagnostics?sessionId=${encodeURIComponent(attempt.sessionId)}`}>
+                          (diagnostics)
+                        </a>
+                      </>
+                    )}
+                  </Text>
+                ))}
+              </VStack>
+            )}
+            {['queued', 'running', 'paused'].includes(job.status) && (
+              <HStack spacing={2} mt={2}>
+                {job.status === 'running' && (
+                  <Button size="xs" onClick={() => sendAction(job, 'pause')}>Pause</Button>
+                )}
+                {job.status === 'paused' && (
+                  <Button size="xs" onClick={() => sendAction(job, 'resume')}>Resume</Button>
+                )}
+                <Button
+                  size="xs"
+                  colorScheme="red"
+                  variant="outline"
+                  onClick={() => sendAction(job, 'cancel', { skipConversion: true })}
+                >
+                  Cancel
+                </Button>
+              </HStack>
+            )}
+            {job.status === 'needs_review' && (
+              <Box mt={2}>
+                {(job.result?.verification?.issues || []).map((issue) => (
+                  <Text key={issue} fontSize="xs" color="purple.600">{issue}</Text>
+                ))}
+                <Button size="xs" mt={1} onClick={() => sendAction(job, 'approve')}>
+                  Mark as reviewed
+                </Button>
+              </Box>
+            )}
+            {job.result?.downloadUrl && (
+              <Text fontSize="xs">
+                <a href={job.result.downloadUrl} target="_blank" rel="noopener noreferrer">
+                  Download MP4
+                </a>
+              </Text>
+            )}
+            {job.sessionId && (
+              <HStack spacing={3} fontSize="xs">
+                <a href={`/api/record/${job.id}/logs?download=1`}>Logs</a>
+                {job.status === 'failed' && (
+                  <a href={`/api/record/${job.id}/diagnostics`}>Diagnostics</a>
+                )}
+              </HStack>
+            )}
+          </Box>
+        ))}
+      </VStack>
+    </Box>
+  );
+}
@@ -0,0 +1,54 @@
+import { Box, Text } from '@chakra-ui/react';
+
+const paneColors = {
+  slides: 'blue.200',
+  webcam: 'green.300',
+  chat: 'orange.200'
+};
+
+const percent = (value) => `${value * 100}%`;
+
+// A 16:9 sketch of where each pane ends up in the export
+export default function LayoutPreview({ layout, width = '160px' }) {
+  if (!layout) return null;
+
+  return (
+    <Box
+      position="relative"
+      w={width}
+      flexShrink={0}
+      paddingTop={`calc(${width} * 9 / 16)`}
+      h={0}
+      bg="gray.800"
+      borderRadius="sm"
+      overflow="hidden"
+      title={layout.label}
+    >
+      {layout.regions ? (
+        Object.entries(layout.regions).map(([pane, region]) => (
+          <Box
+            key={pane}
+            position="absolute"
+            left={percent(region.x)}
+            top={percent(region.y)}
+            w={percent(region.width)}
+            h={percent(region.height)}
+            bg={paneColors[pane] || 'gray.400'}
+            borderWidth="1px"
+            borderColor="gray.800"
+            display="flex"
+            alignItems="center"
+            justifyContent="center"
+            zIndex={pane === 'slides' ? 1 : 2}
+          >
+            <Text fontSize="2xs" color="gray.800">{pane}</Text>
+          </Box>
+        ))
+      ) : (
+        <Text position="absolute" inset={0} fontSize="2xs" color="gray.300" display="flex" alignItems="center" justifyContent="center">
+          as played back
+        </Text>
+      )}
+    </Box>
+  );
+}
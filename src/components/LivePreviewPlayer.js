@@ -0,0 +1,71 @@
+import { useEffect, useRef, useState } from 'react';
+import { Box, Text } from '@chakra-ui/react';
+
+const RETRY_DELAY_MS = 5000;
+
+// Plays the rolling HLS preview of a running capture; Safari plays HLS natively, other browsers use hls.js
+export default function LivePreviewPlayer({ recordingId }) {
+  const videoRef = useRef(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video || !recordingId) return undefined;
+
+    const src = `/api/record/${recordingId}/preview/index.m3u8`;
+    let hls = null;
+    let retryTimer = null;
+    let disposed = false;
+
+    const attach = async () => {
+      if (video.canPlayType('application/vnd.apple.mpegurl')) {
+        video.src = src;
+        return;
+      }
+
+      const { default: Hls } = await import('hls.js');
+      if (disposed) return;
+      if (!Hls.isSupported()) {
+        setError('This browser cannot play the live preview');
+        return;
+      }
+
+      hls = new Hls({ liveSyncDurationCount: 2, manifestLoadingMaxRetry: 6 });
+      hls.on(Hls.Events.MANIFEST_PARSED, () => {
+        setError(null);
+        video.play().catch(() => {});
+      });
+      hls.on(Hls.Events.ERROR, (event, data) => {
+        if (!data.fatal) return;
+        // The playlist goes away between captures and when the preview restarts, so keep trying
+        setError('Waiting for the live preview...');
+        hls.destroy();
+        hls = null;
+        retryTimer = setTimeout(attach, RETRY_DELAY_MS);
+      });
+      hls.loadSource(src);
+      hls.attachMedia(video);
+    };
+
+    attach();
+
+    return () => {
+      disposed = true;
+      clearTimeout(retryTimer);
+      if (hls) hls.destroy();
+      video.removeAttribute('src');
+    };
+  }, [recordingId]);
+
+  return (
+    <Box>
+      <Text mb={2} fontSize="sm" color="gray.600">Live preview</Text>
+      <Box bg="black" borderRadius="md" overflow="hidden">
+        <video ref={videoRef} controls muted playsInline style={{ width: '100%', display: 'block' }} />
+      </Box>
+      {error && (
+        <Text mt={1} fontSize="xs" color="gray.500">{error}</Text>
+      )}
+    </Box>
+  );
+}
@@ -0,0 +1,201 @@
+import { useState } from 'react';
+import {
+  Badge,
+  Box,
+  Button,
+  Checkbox,
+  HStack,
+  Input,
+  Table,
+  Tbody,
+  Td,
+  Text,
+  Th,
+  Thead,
+  Tr,
+  VStack,
+  useToast
+} from '@chakra-ui/react';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const formatDuration = (seconds) => {
+  if (!seconds) return '—';
+  const totalMinutes = Math.round(seconds / 60);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours ? `${hours}h ${minutes}m` : `${minutes}m`;
+};
+
+const isImportable = (recording) => recording.playbackUrl && !recording.exportStatus;
+
+export default function RecordingImport({ jobOptions, onImported }) {
+  const [baseUrl, setBaseUrl] = useState('');
+  const [secret, setSecret] = useState('');
+  const [recordings, setRecordings] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const toast = useToast();
+
+  const showError = (message) => {
+    toast({
+      title: 'Error',
+      description: message,
+      status: 'error',
+      duration: 5000,
+      isClosable: true,
+    });
+  };
+
+  const postJson = async (endpoint, body) => {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ baseUrl, secret, ...body }),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || 'Request failed');
+    }
+    return data;
+  };
+
+  const loadRecordings = async () => {
+    setIsLoading(true);
+    try {
+      const data = await postJson('/api/bbb/recordings');
+      setRecordings(data.recordings || []);
+      setSelected([]);
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const importRecordings = async (body) => {
+    setIsImporting(true);
+    try {
+      const data = await postJson('/api/bbb/import', { ...jobOptions, ...body });
+      toast({
+        title: data.message,
+        description: data.skipped.length ? `${data.skipped.length} skipped` : undefined,
+        status: 'success',
+        duration: 5000,
+        isClosable: true,
+      });
+      if (onImported) onImported(data);
+      await loadRecordings();
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const importable = recordings.filter(isImportable);
+
+  const toggle = (recordId, checked) => {
+    setSelected((current) => (checked
+      ? [...current, recordId]
+      : current.filter((id) => id !== recordId)));
+  };
+
+  return (
+    <Box w="100%" p={4} borderRadius="md" borderWidth="1px">
+      <VStack spacing={3} align="stretch">
+        <Text fontWeight="semibold">Import from BigBlueButton server</Text>
+        <Input
+          placeholder="API base URL (e.g. https://bbb.example.com/bigbluebutton/api)"
+          value={baseUrl}
+          onChange={(e) => setBaseUrl(e.target.value)}
+        />
+        <Input
+          type="password"
+          placeholder="Shared secret (leave empty to use the configured one)"
+          value={secret}
+          onChange={(e) => setSecret(e.target.value)}
+        />
+        <Button onClick={loadRecordings} isLoading={isLoading}>
+          Load recordings
+        </Button>
+
+        {recordings.length > 0 && (
+          <>
+            <Box overflowX="auto">
+              <Table size="sm">
+                <Thead>
+                  <Tr>
+                    <Th px={2}>
+                      <Checkbox
+                        isChecked={importable.length > 0 && selected.length === importable.length}
+                        isIndeterminate={selected.length > 0 && selected.length < importable.length}
+                        onChange={(e) => setSelected(e.target.checked
+                          ? importable.map((recording) => recording.recordId)
+                          : [])}
+                        isDisabled={!importable.length}
+                      />
+                    </Th>
+                    <Th>Meeting</Th>
+                    <Th>Started</Th>
+                    <Th>Length</Th>
+                    <Th>Status</Th>
+                  </Tr>
+                </Thead>
+                <Tbody>
+                  {recordings.map((recording) => (
+                    <Tr key={recording.recordId}>
+                      <Td px={2}>
+                        <Checkbox
+                          isChecked={selected.includes(recording.recordId)}
+                          onChange={(e) => toggle(recording.recordId, e.target.checked)}
+                          isDisabled={!isImportable(recording)}
+                        />
+                      </Td>
+                      <Td>
+                        <Text fontSize="sm">{recording.name}</Text>
+                        {recording.participants !== null && (
+                          <Text fontSize="xs" color="gray.600">
+                            {recording.participants} participants
+                          </Text>
+                        )}
+                      </Td>
+                      <Td fontSize="xs">{formatDate(recording.startTime)}</Td>
+                      <Td fontSize="xs">{formatDuration(recording.duration)}</Td>
+                      <Td>
+                        {recording.exportStatus === 'exported' && <Badge colorScheme="green">exported</Badge>}
+                        {recording.exportStatus === 'queued' && <Badge colorScheme="blue">queued</Badge>}
+                        {!recording.playbackUrl && <Badge>no playback</Badge>}
+                      </Td>
+                    </Tr>
+                  ))}
+                </Tbody>
+              </Table>
+            </Box>
+            <HStack spacing={3}>
+              <Button
+                colorScheme="blue"
+                onClick={() => importRecordings({ recordIds: selected })}
+                isLoading={isImporting}
+                isDisabled={!selected.length}
+              >
+                Import selected ({selected.length})
+              </Button>
+              <Button
+                variant="outline"
+                onClick={() => importRecordings({ all: true })}
+                isLoading={isImporting}
+                isDisabled={!importable.length}
+              >
+                Import all new ({importable.length})
+              </Button>
+            </HStack>
+          </>
+        )}
+      </VStack>
+    </Box>
+  );
+}
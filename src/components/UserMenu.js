@@ -0,0 +1,47 @@
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import { Button, HStack, Text } from '@chakra-ui/react';
+
+export default function UserMenu() {
+  const router = useRouter();
+  const [session, setSession] = useState(null);
+
+  useEffect(() => {
+    const loadSession = async () => {
+      try {
+        const response = await fetch('/api/auth/me');
+        if (response.status === 401) {
+          router.replace(`/login?next=${encodeURIComponent(router.asPath)}`);
+          return;
+        }
+        if (response.ok) {
+          setSession(await response.json());
+        }
+      } catch (error) {
+        console.error('Failed to load session:', error);
+      }
+    };
+    loadSession();
+  }, [router]);
+
+  const logout = async () => {
+    await fetch('/api/auth/logout', { method: 'POST' });
+    router.replace('/login');
+  };
+
+  if (!session?.authEnabled) {
+    return null;
+  }
+
+  return (
+    <HStack spacing={3}>
+      <Text fontSize="sm" color="gray.600">
+        Signed in as {session.user.username}
+        {session.user.role === 'admin' ? ' (admin)' : ''}
+      </Text>
+      <Button size="xs" variant="outline" onClick={logout}>
+        Log out
+      </Button>
+    </HStack>
+  );
+}
@@ -0,0 +1,16 @@
+export async function register() {
+    if (process.env.NEXT_RUNTIME === 'nodejs') {
+        const { migrateLegacyExports } = await import('./lib/library');
+        const { ensureBootstrapAdmin, warnIfAuthDisabled } = await import('./lib/auth');
+        migrateLegacyExports();
+        ensureBootstrapAdmin();
+        warnIfAuthDisabled();
+
+        // Load the job queue at startup so interrupted recordings resume without waiting for a request
+        const { getJobQueue } = await import('./lib/jobQueue');
+        getJobQueue();
+
+        const { getStorageManager } = await import('./lib/storage');
+        getStorageManager().start();
+    }
+}
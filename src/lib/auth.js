@@ -0,0 +1,388 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('./config');
+
+const DATA_DIR = path.join(process.cwd(), 'data');
+const USERS_FILE = path.join(DATA_DIR, 'users.json');
+const SECRET_FILE = path.join(DATA_DIR, 'session-secret');
+
+const SESSION_COOKIE = 'bbb_session';
+const TOKEN_PREFIX = 'bbbr_';
+const ROLES = ['admin', 'user'];
+const TOKEN_TOUCH_INTERVAL_MS = 60000;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1, keyLength: 64 };
+
+// Used for every request while authentication is disabled
+const ANONYMOUS_USER = { id: null, username: 'anonymous', role: 'admin' };
+
+const createAuthError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const ensureDir = (dirPath) => {
+    if (!fs.existsSync(dirPath)) {
+        fs.mkdirSync(dirPath, { recursive: true });
+    }
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const safeEqual = (a, b) => {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const hashPassword = (password) => {
+    const { N, r, p, keyLength } = SCRYPT_PARAMS;
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, keyLength, { N, r, p }).toString('hex');
+    return `scrypt$${N}$${r}$${p}$${salt}$${hash}`;
+};
+
+const verifyPassword = (password, stored) => {
+    const [scheme, N, r, p, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const candidate = crypto.scryptSync(String(password), salt, hash.length / 2, {
+        N: Number(N),
+        r: Number(r),
+        p: Number(p)
+    }).toString('hex');
+    return safeEqual(candidate, hash);
+};
+
+const publicUser = (user) => (user ? { id: user.id, username: user.username, role: user.role } : null);
+
+class UserStore {
+    constructor({ storePath = USERS_FILE } = {}) {
+        this.storePath = storePath;
+        this.users = [];
+        this.mtime = null;
+    }
+
+    // Re-read when the file changes so users added from the command line apply immediately
+    load() {
+        let mtime = null;
+        try {
+            mtime = fs.statSync(this.storePath).mtimeMs;
+        } catch (error) {
+            this.users = [];
+            this.mtime = null;
+            return this.users;
+        }
+
+        if (mtime !== this.mtime) {
+            try {
+                this.users = JSON.parse(fs.readFileSync(this.storePath, 'utf8')).users || [];
+                this.mtime = mtime;
+            } catch (error) {
+                console.error('Failed to load user store:', error);
+            }
+        }
+        return this.users;
+    }
+
+    save() {
+        ensureDir(path.dirname(this.storePath));
+        const tempPath = `${this.storePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ users: this.users }, null, 2), { mode: 0o600 });
+        fs.renameSync(tempPath, this.storePath);
+        this.mtime = fs.statSync(this.storePath).mtimeMs;
+    }
+
+    list() {
+        return this.load().map(publicUser);
+    }
+
+    findById(id) {
+        return this.load().find((user) => user.id === id) || null;
+    }
+
+    findByUsername(username) {
+        const name = String(username || '').toLowerCase();
+        return this.load().find((user) => user.username.toLowerCase() === name) || null;
+    }
+
+    addUser({ username, password, role = 'user' }) {
+        if (!username || !password) {
+            throw createAuthError('Username and password are required', 400);
+        }
+        if (!ROLES.includes(role)) {
+            throw createAuthError(`role must be one of: ${ROLES.join(', ')}`, 400);
+        }
+        if (this.findByUsername(username)) {
+            throw createAuthError(`User ${username} already exists`, 409);
+        }
+
+        const user = {
+            id: crypto.randomUUID(),
+            username,
+            role,
+            passwordHash: hashPassword(password),
+            createdAt: new Date().toISOString(),
+            tokens: []
+        };
+        this.users.push(user);
+        this.save();
+        return publicUser(user);
+    }
+
+    setPassword(username, password) {
+        const user = this.findByUsername(username);
+        if (!user) throw createAuthError(`User ${username} not found`, 404);
+        user.passwordHash = hashPassword(password);
+        this.save();
+    }
+
+    removeUser(username) {
+        const user = this.findByUsername(username);
+        if (!user) throw createAuthError(`User ${username} not found`, 404);
+        this.users = this.users.filter((entry) => entry !== user);
+        this.save();
+    }
+
+    createToken(userId, name) {
+        const user = this.findById(userId);
+        if (!user) throw createAuthError('User not found', 404);
+
+        const secret = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+        const token = {
+            id: crypto.randomUUID(),
+            name: name || 'API token',
+            hash: sha256(secret),
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null
+        };
+        user.tokens = [...(user.tokens || []), token];
+        this.save();
+
+        const { hash, ...description } = token;
+        return { ...description, token: secret };
+    }
+
+    listTokens(userId) {
+        const user = this.findById(userId);
+        return (user?.tokens || []).map(({ hash, ...token }) => token);
+    }
+
+    revokeToken(userId, tokenId) {
+        const user = this.findById(userId);
+        const tokens = user?.tokens || [];
+        if (!tokens.some((token) => token.id === tokenId)) {
+            throw createAuthError('Token not found', 404);
+        }
+        user.tokens = tokens.filter((token) => token.id !== tokenId);
+        this.save();
+    }
+
+    findByToken(secret) {
+        if (!String(secret).startsWith(TOKEN_PREFIX)) return null;
+
+        const hash = sha256(secret);
+        for (const user of this.load()) {
+            const token = (user.tokens || []).find((entry) => safeEqual(entry.hash, hash));
+            if (token) {
+                if (!token.lastUsedAt || Date.now() - Date.parse(token.lastUsedAt) > TOKEN_TOUCH_INTERVAL_MS) {
+                    token.lastUsedAt = new Date().toISOString();
+                    this.save();
+                }
+                return user;
+            }
+        }
+        return null;
+    }
+}
+
+const getUserStore = () => {
+    if (!global.userStore) {
+        global.userStore = new UserStore();
+    }
+    return global.userStore;
+};
+
+// Providers check a username and password and return the matching user, or null
+const authProviders = {
+    none: null,
+    local: {
+        verifyCredentials: async (username, password) => {
+            const user = getUserStore().findByUsername(username);
+            return user && verifyPassword(password, user.passwordHash) ? user : null;
+        }
+    }
+};
+
+const registerAuthProvider = (name, provider) => {
+    authProviders[name] = provider;
+};
+
+const getConfiguredProviderName = () => process.env.BBB_AUTH_PROVIDER || getConfig().auth?.provider || null;
+
+// Without a configured provider, authentication stays off only until the first user is added:
+// from then on an open server would hand admin rights to anyone who can reach it
+const getAuthProviderName = () => getConfiguredProviderName()
+    || (getUserStore().load().length ? 'local' : 'none');
+
+const isAuthEnabled = () => getAuthProviderName() !== 'none';
+
+const getAuthProvider = () => {
+    const name = getAuthProviderName();
+    if (!(name in authProviders)) {
+        throw createAuthError(`Unknown authentication provider: ${name}`, 500);
+    }
+    return authProviders[name];
+};
+
+const getSessionSecret = () => {
+    const configured = process.env.BBB_SESSION_SECRET || getConfig().auth?.sessionSecret;
+    if (configured) return configured;
+
+    if (!global.sessionSecret) {
+        if (fs.existsSync(SECRET_FILE)) {
+            global.sessionSecret = fs.readFileSync(SECRET_FILE, 'utf8').trim();
+        } else {
+            ensureDir(DATA_DIR);
+            global.sessionSecret = crypto.randomBytes(32).toString('hex');
+            fs.writeFileSync(SECRET_FILE, global.sessionSecret, { mode: 0o600 });
+        }
+    }
+    return global.sessionSecret;
+};
+
+const getSessionMaxAge = () => {
+    const hours = Number(getConfig().auth?.sessionMaxAgeHours);
+    return (Number.isFinite(hours) && hours > 0 ? hours : 12) * 3600;
+};
+
+const signSession = (value) => crypto.createHmac('sha256', getSessionSecret()).update(value).digest('base64url');
+
+const createSessionCookie = (user) => {
+    const maxAge = getSessionMaxAge();
+    const payload = Buffer.from(JSON.stringify({
+        uid: user.id,
+        exp: Math.floor(Date.now() / 1000) + maxAge
+    })).toString('base64url');
+    const secure = getConfig().auth?.secureCookies ? '; Secure' : '';
+    return `${SESSION_COOKIE}=${payload}.${signSession(payload)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure}`;
+};
+
+const clearSessionCookie = () => `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`;
+
+const decodeCookieValue = (value) => {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return null;
+    }
+};
+
+// Cookies that do not decode are left out, as if the browser had not sent them
+const parseCookies = (header) => Object.fromEntries(String(header || '')
+    .split(';')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+        const index = part.indexOf('=');
+        return index === -1 ? [part, ''] : [part.slice(0, index), decodeCookieValue(part.slice(index + 1))];
+    })
+    .filter(([, value]) => value !== null));
+
+const readSession = (req) => {
+    const cookie = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (!cookie) return null;
+
+    const [payload, signature] = cookie.split('.');
+    if (!payload || !signature || !safeEqual(signSession(payload), signature)) return null;
+
+    try {
+        const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        return session.exp > Date.now() / 1000 ? session : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+const getRequestUser = (req) => {
+    if (!isAuthEnabled()) return ANONYMOUS_USER;
+
+    const store = getUserStore();
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+        return publicUser(store.findByToken(authorization.slice(7).trim()));
+    }
+
+    const session = readSession(req);
+    return session ? publicUser(store.findById(session.uid)) : null;
+};
+
+const login = async (username, password) => {
+    const provider = getAuthProvider();
+    if (!provider) return ANONYMOUS_USER;
+
+    const user = await provider.verifyCredentials(username, password);
+    if (!user) {
+        throw createAuthError('Invalid username or password', 401);
+    }
+    if (!getUserStore().findById(user.id)) {
+        throw createAuthError('User is not registered with the recorder', 403);
+    }
+    return publicUser(user);
+};
+
+const canAccess = (user, owner) => Boolean(user && (user.role === 'admin' || (owner && owner === user.id)));
+
+const withAuth = (handler, { role } = {}) => async (req, res) => {
+    let user;
+    try {
+        user = getRequestUser(req);
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({ message: error.message });
+    }
+
+    if (!user) {
+        return res.status(401).json({ message: 'Authentication required' });
+    }
+    if (role && user.role !== role) {
+        return res.status(403).json({ message: 'Not allowed' });
+    }
+
+    req.user = user;
+    return handler(req, res);
+};
+
+// Creates the first admin from the environment so a fresh install can be logged into
+const ensureBootstrapAdmin = () => {
+    const { BBB_ADMIN_USERNAME: username, BBB_ADMIN_PASSWORD: password } = process.env;
+    if (getConfiguredProviderName() === 'none' || !username || !password) return;
+
+    const store = getUserStore();
+    if (!store.load().length) {
+        store.addUser({ username, password, role: 'admin' });
+        console.log(`Created admin user ${username}`);
+    }
+};
+
+const warnIfAuthDisabled = () => {
+    if (!isAuthEnabled()) {
+        console.warn('Authentication is off: everyone who can reach this server has admin rights. '
+            + 'Add a user with "npm run users -- add <name> admin" or set auth.provider to turn it on.');
+    }
+};
+
+module.exports = {
+    ANONYMOUS_USER,
+    ROLES,
+    UserStore,
+    canAccess,
+    clearSessionCookie,
+    createSessionCookie,
+    ensureBootstrapAdmin,
+    getAuthProviderName,
+    getRequestUser,
+    getUserStore,
+    isAuthEnabled,
+    login,
+    parseCookies,
+    registerAuthProvider,
+    warnIfAuthDisabled,
+    withAuth
+};
@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const { parseXml, resolvePlaybackAssets, toArray, toNumber } = require('./bbbAssets');
+const { getConfig } = require('./config');
+
+const CHECKSUM_ALGORITHMS = ['sha1', 'sha256', 'sha384', 'sha512'];
+
+const createApiError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const normalizeApiBase = (baseUrl) => {
+    let parsed;
+    try {
+        parsed = new URL(baseUrl);
+    } catch (error) {
+        throw createApiError('baseUrl must be a valid URL', 400);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw createApiError('baseUrl must be an http or https URL', 400);
+    }
+
+    const pathname = parsed.pathname.replace(/\/+$/, '');
+    if (!pathname) {
+        parsed.pathname = '/bigbluebutton/api/';
+    } else {
+        parsed.pathname = pathname.endsWith('/api') ? `${pathname}/` : `${pathname}/api/`;
+    }
+    parsed.search = '';
+    parsed.hash = '';
+    return parsed.toString();
+};
+
+const buildApiUrl = (baseUrl, call, params, secret, algorithm = 'sha1') => {
+    const query = new URLSearchParams(
+        Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    ).toString();
+    const checksum = crypto.createHash(algorithm).update(`${call}${query}${secret}`).digest('hex');
+    const separator = query ? `${query}&` : '';
+    return `${normalizeApiBase(baseUrl)}${call}?${separator}checksum=${checksum}`;
+};
+
+// Uses the `bbb` block of bbb-recorder.config.json unless the request names another server.
+// The configured secret is only ever used with the configured server: otherwise anyone could
+// have checksums made with it for a server of their choosing.
+const resolveApiCredentials = ({ baseUrl, secret, checksumAlgorithm } = {}) => {
+    const configured = getConfig().bbb || {};
+    const customServer = Boolean(baseUrl) && (!configured.baseUrl
+        || normalizeApiBase(baseUrl) !== normalizeApiBase(configured.baseUrl));
+    if (customServer && !secret) {
+        throw createApiError('A shared secret is required for a BigBlueButton server other than the configured one', 400);
+    }
+
+    const credentials = customServer
+        ? { baseUrl, secret, algorithm: checksumAlgorithm || 'sha1' }
+        : {
+            baseUrl: configured.baseUrl,
+            secret: secret || configured.secret,
+            algorithm: checksumAlgorithm || configured.checksumAlgorithm || 'sha1'
+        };
+
+    if (!credentials.baseUrl || !credentials.secret) {
+        throw createApiError('BigBlueButton API base URL and shared secret are required', 400);
+    }
+    if (!CHECKSUM_ALGORITHMS.includes(credentials.algorithm)) {
+        throw createApiError(`checksumAlgorithm must be one of: ${CHECKSUM_ALGORITHMS.join(', ')}`, 400);
+    }
+    return credentials;
+};
+
+const parseTimestamp = (value) => {
+    const time = toNumber(value, NaN);
+    return Number.isFinite(time) ? new Date(time).toISOString() : null;
+};
+
+const parseRecording = (recording) => {
+    const formats = toArray(recording.playback?.format).map((format) => ({
+        type: format.type,
+        url: format.url,
+        length: toNumber(format.length)
+    }));
+    const presentation = formats.find((format) => format.type === 'presentation');
+    const metadata = recording.metadata && typeof recording.metadata === 'object' ? recording.metadata : {};
+    const startTime = parseTimestamp(recording.startTime);
+    const endTime = parseTimestamp(recording.endTime);
+
+    return {
+        recordId: recording.recordID,
+        meetingId: recording.meetingID,
+        name: recording.name || metadata.meetingName || recording.meetingID,
+        state: recording.state || null,
+        published: String(recording.published) === 'true',
+        startTime,
+        endTime,
+        duration: startTime && endTime ? (Date.parse(endTime) - Date.parse(startTime)) / 1000 : null,
+        participants: toNumber(recording.participants, null),
+        metadata,
+        formats,
+        playbackUrl: presentation ? presentation.url : null
+    };
+};
+
+const parseRecordingsResponse = (xml) => {
+    const response = parseXml(xml).response;
+    if (!response) {
+        throw createApiError('Unexpected response from BigBlueButton API', 502);
+    }
+    if (response.returncode !== 'SUCCESS') {
+        throw createApiError(
+            `BigBlueButton API error: ${response.message || response.messageKey || 'request failed'}`,
+            response.messageKey === 'checksumError' ? 401 : 502
+        );
+    }
+
+    return toArray(response.recordings?.recording)
+        .map(parseRecording)
+        .sort((a, b) => (b.startTime || '').localeCompare(a.startTime || ''));
+};
+
+const fetchRecordings = async (options = {}) => {
+    const { baseUrl, secret, algorithm } = resolveApiCredentials(options);
+    const url = buildApiUrl(baseUrl, 'getRecordings', {
+        meetingID: options.meetingId,
+        state: options.state || 'published'
+    }, secret, algorithm);
+
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (error) {
+        throw createApiError(`Failed to reach BigBlueButton API: ${error.message}`, 502);
+    }
+    if (!response.ok) {
+        throw createApiError(`BigBlueButton API returned HTTP ${response.status}`, 502);
+    }
+    return parseRecordingsResponse(await response.text());
+};
+
+const ACTIVE_JOB_STATUSES = ['queued', 'running', 'paused'];
+
+const recordingKey = (url) => resolvePlaybackAssets(url)?.meetingId || url;
+
+// Tags each recording with the library export made from it, or else with the job that is
+// about to export it. Cancelled captures only left a partial export behind.
+const annotateWithExports = (recordings, { exports = [], jobs = [] } = {}) => {
+    const exportsByKey = new Map();
+    exports
+        .filter((entry) => entry.sourceUrl && entry.status !== 'partial')
+        .forEach((entry) => exportsByKey.set(recordingKey(entry.sourceUrl), entry));
+
+    const jobsByKey = new Map();
+    jobs
+        .filter((job) => ACTIVE_JOB_STATUSES.includes(job.status))
+        .forEach((job) => jobsByKey.set(recordingKey(job.url), job));
+
+    return recordings.map((recording) => {
+        const key = recording.playbackUrl ? recordingKey(recording.playbackUrl) : null;
+        const exported = key ? exportsByKey.get(key) : null;
+        const job = key && !exported ? jobsByKey.get(key) : null;
+        return {
+            ...recording,
+            exportStatus: exported ? 'exported' : job ? 'queued' : null,
+            exportId: exported ? exported.id : null,
+            jobId: exported ? exported.jobId || null : job ? job.id : null
+        };
+    });
+};
+
+module.exports = {
+    annotateWithExports,
+    buildApiUrl,
+    fetchRecordings,
+    normalizeApiBase,
+    parseRecordingsResponse,
+    resolveApiCredentials
+};
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { XMLParser } = require('fast-xml-parser');
+
+const MEETING_ID_PATTERN = /[0-9a-f]{40}-\d{13}/i;
+
+const xmlParser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    parseAttributeValue: false,
+    parseTagValue: false,
+    trimValues: true
+});
+
+const toArray = (value) => {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+};
+
+const toNumber = (value, fallback = 0) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : fallback;
+};
+
+const parseXml = (xml) => xmlParser.parse(xml);
+
+const resolvePlaybackAssets = (meetingUrl) => {
+    let parsed;
+    try {
+        parsed = new URL(meetingUrl);
+    } catch (error) {
+        return null;
+    }
+
+    const idFromQuery = parsed.searchParams.get('meetingId');
+    const match = MEETING_ID_PATTERN.exec(idFromQuery || parsed.pathname);
+    if (!match || !/\/playback\/presentation\//.test(parsed.pathname)) {
+        return null;
+    }
+
+    const meetingId = match[0];
+    const baseUrl = `${parsed.origin}/presentation/${meetingId}/`;
+
+    return {
+        meetingId,
+        baseUrl,
+        assetUrl: (name) => new URL(name, baseUrl).toString()
+    };
+};
+
+const fetchText = async (url, { optional = false } = {}) => {
+    const response = await fetch(url);
+    if (!response.ok) {
+        if (optional) return null;
+        throw new Error(`Failed to download ${url} (HTTP ${response.status})`);
+    }
+    return response.text();
+};
+
+const downloadFile = async (url, destination, { optional = false } = {}) => {
+    const response = await fetch(url);
+    if (!response.ok || !response.body) {
+        if (optional) return null;
+        throw new Error(`Failed to download ${url} (HTTP ${response.status})`);
+    }
+
+    await pipeline(Readable.fromWeb(response.body), fs.createWriteStream(destination));
+    return destination;
+};
+
+const parseMetadata = (xml) => {
+    const recording = parseXml(xml).recording || {};
+    const startTime = toNumber(recording.start_time);
+    const endTime = toNumber(recording.end_time);
+    const playbackDuration = toNumber(recording.playback?.duration);
+
+    return {
+        id: recording.id || null,
+        meetingName: recording.meta?.meetingName || recording.meeting?.name || null,
+        startTime,
+        duration: (playbackDuration || Math.max(0, endTime - startTime)) / 1000
+    };
+};
+
+const parsePanzooms = (xml) => toArray(parseXml(xml).recording?.event)
+    .map((event) => {
+        const [x, y, width, height] = String(event.viewBox || '').trim().split(/\s+/).map(Number);
+        return { time: toNumber(event.timestamp), viewBox: { x, y, width, height } };
+    })
+    .filter((event) => Number.isFinite(event.viewBox.width) && event.viewBox.width > 0)
+    .sort((a, b) => a.time - b.time);
+
+const parseCursor = (xml) => toArray(parseXml(xml).recording?.event)
+    .map((event) => {
+        const [x, y] = String(event.cursor || '').trim().split(/\s+/).map(Number);
+        return { time: toNumber(event.timestamp), x, y };
+    })
+    .filter((event) => Number.isFinite(event.x) && Number.isFinite(event.y))
+    .sort((a, b) => a.time - b.time);
+
+const parseDeskshare = (xml) => toArray(parseXml(xml).recording?.event)
+    .map((event) => ({
+        start: toNumber(event.start_timestamp),
+        end: toNumber(event.stop_timestamp),
+        width: toNumber(event.video_width, null),
+        height: toNumber(event.video_height, null)
+    }))
+    .filter((event) => event.end > event.start);
+
+module.exports = {
+    downloadFile,
+    fetchText,
+    parseCursor,
+    parseDeskshare,
+    parseMetadata,
+    parsePanzooms,
+    parseXml,
+    resolvePlaybackAssets,
+    toArray,
+    toNumber
+};
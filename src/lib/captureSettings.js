@@ -0,0 +1,137 @@
+const { getConfig } = require('./config');
+
+// MediaRecorder MIME types per codec, best first; the browser picks the first one it supports
+const CAPTURE_CODECS = {
+    vp8: ['video/webm;codecs=vp8,opus'],
+    vp9: ['video/webm;codecs=vp9,opus'],
+    h264: ['video/webm;codecs=h264,opus', 'video/x-matroska;codecs=avc1,opus'],
+    av1: ['video/webm;codecs=av01,opus', 'video/webm;codecs=av1,opus']
+};
+
+const FALLBACK_CODEC = 'vp8';
+
+const BUILTIN_CAPTURE_PRESETS = {
+    standard: {
+        label: '720p, 30 fps',
+        width: 1280,
+        height: 720,
+        fps: 30,
+        videoBitrate: '5M',
+        audioBitrate: '256k',
+        codec: 'vp8'
+    },
+    slides: {
+        label: 'Slides: 720p, 10 fps',
+        width: 1280,
+        height: 720,
+        fps: 10,
+        videoBitrate: '1500k',
+        audioBitrate: '128k',
+        codec: 'vp9'
+    },
+    hd: {
+        label: '1080p, 30 fps',
+        width: 1920,
+        height: 1080,
+        fps: 30,
+        videoBitrate: '8M',
+        audioBitrate: '256k',
+        codec: 'vp9'
+    },
+    motion: {
+        label: '720p, 60 fps',
+        width: 1280,
+        height: 720,
+        fps: 60,
+        videoBitrate: '8M',
+        audioBitrate: '256k',
+        codec: 'vp8'
+    }
+};
+
+const LIMITS = {
+    width: [320, 3840],
+    height: [240, 2160],
+    fps: [1, 60],
+    videoBitrate: [100_000, 50_000_000],
+    audioBitrate: [32_000, 512_000]
+};
+
+const createCaptureError = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+// Accepts bits per second or strings such as "800k" and "5M"
+const parseBitrate = (value) => {
+    if (typeof value === 'number') return value;
+    const match = /^(\d+(?:\.\d+)?)\s*([kKmM]?)$/.exec(String(value || '').trim());
+    if (!match) return NaN;
+    const multiplier = { k: 1000, m: 1_000_000 }[match[2].toLowerCase()] || 1;
+    return Math.round(Number(match[1]) * multiplier);
+};
+
+const getCapturePresets = () => ({
+    ...BUILTIN_CAPTURE_PRESETS,
+    ...(getConfig().capturePresets || {})
+});
+
+const checkRange = (name, value) => {
+    const [min, max] = LIMITS[name];
+    if (!Number.isFinite(value) || value < min || value > max) {
+        throw createCaptureError(`capture.${name} must be between ${min} and ${max}`);
+    }
+    return value;
+};
+
+// A preset name, or an object with an optional preset plus overrides. Without a preset
+// the configured default preset and the config overrides apply.
+const resolveCaptureSettings = (capture) => {
+    if (capture !== undefined && capture !== null && typeof capture !== 'string'
+        && (typeof capture !== 'object' || Array.isArray(capture))) {
+        throw createCaptureError('capture must be a preset name or a settings object');
+    }
+
+    const { preset: requestedPreset, ...overrides } = typeof capture === 'string' ? { preset: capture } : (capture || {});
+    const { preset: defaultPreset, ...defaults } = getConfig().capture || {};
+    const presetName = requestedPreset || process.env.BBB_CAPTURE_PRESET || defaultPreset || 'standard';
+    const preset = getCapturePresets()[presetName];
+    if (!preset) {
+        throw createCaptureError(`Unknown capture preset: ${presetName}`);
+    }
+
+    const merged = { ...preset, ...(requestedPreset ? {} : defaults), ...overrides };
+    const codec = String(merged.codec || FALLBACK_CODEC).toLowerCase();
+    if (!CAPTURE_CODECS[codec]) {
+        throw createCaptureError(`capture.codec must be one of: ${Object.keys(CAPTURE_CODECS).join(', ')}`);
+    }
+
+    const width = checkRange('width', Number(merged.width));
+    const height = checkRange('height', Number(merged.height));
+    if (width % 2 || height % 2) {
+        throw createCaptureError('capture.width and capture.height must be even numbers');
+    }
+
+    return {
+        preset: presetName,
+        width,
+        height,
+        fps: checkRange('fps', Number(merged.fps)),
+        videoBitrate: checkRange('videoBitrate', parseBitrate(merged.videoBitrate)),
+        audioBitrate: checkRange('audioBitrate', parseBitrate(merged.audioBitrate)),
+        codec,
+        mimeTypes: [...new Set([...CAPTURE_CODECS[codec], ...CAPTURE_CODECS[FALLBACK_CODEC]])]
+    };
+};
+
+const describeCapturePresets = () => Object.entries(getCapturePresets()).map(([name, preset]) => ({
+    name,
+    label: preset.label || name,
+    width: preset.width,
+    height: preset.height,
+    fps: preset.fps,
+    codec: preset.codec
+}));
+
+module.exports = {
+    CAPTURE_CODECS,
+    describeCapturePresets,
+    resolveCaptureSettings
+};
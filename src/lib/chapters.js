@@ -0,0 +1,124 @@
+const fs = require('fs');
+const { parseXml, toArray, toNumber } = require('./bbbAssets');
+const { formatVttTime } = require('./chat');
+
+const MAX_TITLE_LENGTH = 80;
+
+const collectImages = (node, images = []) => {
+    if (!node || typeof node !== 'object') return images;
+
+    toArray(node.image).forEach((image) => images.push(image));
+    Object.entries(node).forEach(([key, value]) => {
+        if (key !== 'image' && typeof value === 'object') {
+            toArray(value).forEach((child) => collectImages(child, images));
+        }
+    });
+    return images;
+};
+
+const parseSlideTimeline = (svgXml) => {
+    const images = collectImages(parseXml(svgXml).svg)
+        .map((image) => {
+            const href = image['xlink:href'] || image.href || '';
+            const match = /presentation\/([^/]+)\/slide-(\d+)\./.exec(href);
+            return {
+                start: toNumber(image.in, NaN),
+                end: toNumber(image.out, NaN),
+                href,
+                presentationId: match ? match[1] : null,
+                slide: match ? Number(match[2]) : null
+            };
+        })
+        .filter((image) => image.slide !== null && Number.isFinite(image.start) && image.end > image.start)
+        .sort((a, b) => a.start - b.start);
+
+    return images.reduce((slides, image) => {
+        const previous = slides[slides.length - 1];
+        if (previous && previous.href === image.href && Math.abs(previous.end - image.start) < 0.5) {
+            previous.end = image.end;
+        } else {
+            slides.push({ ...image });
+        }
+        return slides;
+    }, []);
+};
+
+const titleFromText = (text) => {
+    const line = String(text || '')
+        .split(/\r?\n/)
+        .map((value) => value.trim())
+        .find(Boolean);
+    if (!line) return null;
+    return line.length > MAX_TITLE_LENGTH ? `${line.slice(0, MAX_TITLE_LENGTH - 1)}…` : line;
+};
+
+const buildChapters = (slides, { titles = new Map(), toOutputTime = (time) => time, duration }) => {
+    const chapters = slides
+        .map((slide) => ({
+            slide: slide.slide,
+            presentationId: slide.presentationId,
+            playbackStart: slide.start,
+            start: toOutputTime(slide.start),
+            title: titles.get(slide.href)
+                ? `Slide ${slide.slide}: ${titles.get(slide.href)}`
+                : `Slide ${slide.slide}`
+        }))
+        .filter((chapter, index, list) => index === 0 || chapter.start > list[index - 1].start);
+
+    if (chapters.length) {
+        chapters[0].start = 0;
+    }
+
+    return chapters.map((chapter, index) => {
+        const next = chapters[index + 1];
+        const end = next ? next.start : Math.max(chapter.start + 1, duration || 0);
+        return {
+            ...chapter,
+            start: Math.round(chapter.start * 1000) / 1000,
+            end: Math.round(end * 1000) / 1000
+        };
+    });
+};
+
+const escapeMetadata = (value) => String(value).replace(/([=;#\\\n])/g, '\\$1');
+
+const formatFfmetadata = (chapters, { title } = {}) => {
+    const lines = [';FFMETADATA1'];
+    if (title) {
+        lines.push(`title=${escapeMetadata(title)}`);
+    }
+    chapters.forEach((chapter) => {
+        lines.push(
+            '',
+            '[CHAPTER]',
+            'TIMEBASE=1/1000',
+            `START=${Math.round(chapter.start * 1000)}`,
+            `END=${Math.round(chapter.end * 1000)}`,
+            `title=${escapeMetadata(chapter.title)}`
+        );
+    });
+    return `${lines.join('\n')}\n`;
+};
+
+const formatChaptersVtt = (chapters) => {
+    const cues = chapters.map((chapter, index) => [
+        `chapter-${index + 1}`,
+        `${formatVttTime(chapter.start)} --> ${formatVttTime(chapter.end)}`,
+        chapter.title
+    ].join('\n'));
+    return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+};
+
+const writeChapters = (chapters, { meeting, files }) => {
+    fs.writeFileSync(files.json.path, JSON.stringify({ meeting, chapters }, null, 2));
+    fs.writeFileSync(files.vtt.path, formatChaptersVtt(chapters));
+};
+
+module.exports = {
+    buildChapters,
+    formatChaptersVtt,
+    formatFfmetadata,
+    parseSlideTimeline,
+    titleFromText,
+    writeChapters
+};
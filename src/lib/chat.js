@@ -0,0 +1,92 @@
+const fs = require('fs');
+const { parseXml, toArray, toNumber } = require('./bbbAssets');
+
+const CUE_MIN_DURATION = 3;
+const CUE_MAX_DURATION = 8;
+
+const stripHtml = (value) => String(value || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+
+const parseChatTimeline = (xml) => toArray(parseXml(xml).popcorn?.chattimeline)
+    .filter((entry) => !entry.target || entry.target === 'chat')
+    .map((entry) => ({
+        time: toNumber(entry.in),
+        name: stripHtml(entry.name) || 'Unknown',
+        message: stripHtml(entry.message)
+    }))
+    .filter((entry) => entry.message)
+    .sort((a, b) => a.time - b.time);
+
+// "SS", "MM:SS" or "HH:MM:SS"; minutes and seconds below a higher unit must stay under 60
+const parseClockTime = (value) => {
+    const fields = String(value ?? '').trim().split(':');
+    if (fields.length > 3 || fields.some((field) => !field.trim())) return null;
+
+    const parts = fields.map(Number);
+    if (parts.some((part, index) => !Number.isFinite(part) || part < 0 || (index > 0 && part >= 60))) return null;
+    return parts.reduce((total, part) => (total * 60) + part, 0);
+};
+
+const formatClock = (seconds) => {
+    const total = Math.max(0, Math.floor(seconds));
+    const hours = String(Math.floor(total / 3600)).padStart(2, '0');
+    const minutes = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+    const secs = String(total % 60).padStart(2, '0');
+    return `${hours}:${minutes}:${secs}`;
+};
+
+const formatVttTime = (seconds) => {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const ms = String(totalMs % 1000).padStart(3, '0');
+    return `${formatClock(totalMs / 1000)}.${ms}`;
+};
+
+const escapeVtt = (value) => value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/-->/g, '--&gt;');
+
+const formatChatText = (messages) => messages
+    .map((entry) => `[${formatClock(entry.outputTime)}] ${entry.name}: ${entry.message}`)
+    .join('\n');
+
+const formatChatVtt = (messages) => {
+    const cues = messages.map((entry, index) => {
+        const next = messages[index + 1];
+        const gap = next ? next.outputTime - entry.outputTime : CUE_MAX_DURATION;
+        const duration = Math.min(CUE_MAX_DURATION, Math.max(CUE_MIN_DURATION, gap));
+        return [
+            String(index + 1),
+            `${formatVttTime(entry.outputTime)} --> ${formatVttTime(entry.outputTime + duration)}`,
+            `<v ${escapeVtt(entry.name)}>${escapeVtt(entry.message)}`
+        ].join('\n');
+    });
+    return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+};
+
+const writeChatTranscript = (messages, { meeting, files }) => {
+    fs.writeFileSync(files.json.path, JSON.stringify({ meeting, messages }, null, 2));
+    fs.writeFileSync(files.txt.path, `${formatChatText(messages)}\n`);
+    fs.writeFileSync(files.vtt.path, formatChatVtt(messages));
+};
+
+module.exports = {
+    escapeVtt,
+    formatChatText,
+    formatChatVtt,
+    formatClock,
+    formatVttTime,
+    parseChatTimeline,
+    parseClockTime,
+    stripHtml,
+    writeChatTranscript
+};
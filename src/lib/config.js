@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_FILE = 'bbb-recorder.config.json';
+
+let cachedConfig = null;
+let cachedMtime = null;
+
+const getConfigPath = () => path.resolve(process.cwd(), process.env.BBB_RECORDER_CONFIG || DEFAULT_CONFIG_FILE);
+
+// Re-read the file whenever it changes so edits apply without restarting the server
+const getConfig = () => {
+    const configPath = getConfigPath();
+
+    let mtime = null;
+    try {
+        mtime = fs.statSync(configPath).mtimeMs;
+    } catch (error) {
+        cachedConfig = {};
+        cachedMtime = null;
+        return cachedConfig;
+    }
+
+    if (cachedConfig && cachedMtime === mtime) {
+        return cachedConfig;
+    }
+
+    try {
+        cachedConfig = JSON.parse(fs.readFileSync(configPath, 'utf8')) || {};
+        cachedMtime = mtime;
+    } catch (error) {
+        console.error(`Failed to read ${configPath}:`, error.message);
+        cachedConfig = cachedConfig || {};
+    }
+    return cachedConfig;
+};
+
+module.exports = {
+    getConfig,
+    getConfigPath
+};
@@ -0,0 +1,170 @@
+const { spawn } = require('child_process');
+
+const DEFAULT_TIMEOUT = 120000;
+
+const parseTimestamp = (value) => {
+    const match = /^(\d+):(\d+):(\d+(?:\.\d+)?)$/.exec(value || '');
+    if (!match) return null;
+    return (Number(match[1]) * 3600) + (Number(match[2]) * 60) + Number(match[3]);
+};
+
+// Rough upper bound for a transcode: ten seconds of processing per MB, five times over
+const estimateTimeout = (inputBytes) => Math.max(DEFAULT_TIMEOUT, (inputBytes / (1024 * 1024)) * 10000 * 5);
+
+const runFFmpeg = (args, {
+    onProgress,
+    onSpawn,
+    cwd,
+    timeoutMs = DEFAULT_TIMEOUT,
+    binary = 'ffmpeg'
+} = {}) => new Promise((resolve, reject) => {
+    const ffmpeg = spawn(binary, args, { cwd, stdio: ['ignore', 'ignore', 'pipe'] });
+    if (onSpawn) onSpawn(ffmpeg);
+
+    const timeout = setTimeout(() => {
+        try {
+            ffmpeg.kill('SIGKILL');
+        } catch (killError) {
+            console.error('Failed to terminate FFmpeg:', killError);
+        }
+        reject(new Error('FFmpeg process timed out'));
+    }, timeoutMs);
+
+    let stderr = '';
+    ffmpeg.stderr.on('data', (data) => {
+        const message = data.toString();
+        stderr += message;
+
+        const timeMatch = message.match(/time=(\d+:\d+:\d+\.\d+)/);
+        if (timeMatch && onProgress) {
+            onProgress(timeMatch[1], parseTimestamp(timeMatch[1]));
+        }
+    });
+
+    ffmpeg.on('error', (err) => {
+        clearTimeout(timeout);
+        reject(new Error(`FFmpeg error: ${err.message}`));
+    });
+
+    ffmpeg.on('close', (code, signal) => {
+        clearTimeout(timeout);
+        if (code === 0) {
+            resolve(stderr);
+        } else {
+            reject(new Error(`FFmpeg exited with code ${code ?? signal}: ${stderr}`));
+        }
+    });
+});
+
+// Starts FFmpeg reading its input from stdin. done settles like runFFmpeg; backlog() is the
+// number of bytes written but not yet read by FFmpeg.
+const pipeFFmpeg = (args, { onProgress, cwd, binary = 'ffmpeg' } = {}) => {
+    const ffmpeg = spawn(binary, args, { cwd, stdio: ['pipe', 'ignore', 'pipe'] });
+
+    let stderr = '';
+    ffmpeg.stderr.on('data', (data) => {
+        const message = data.toString();
+        stderr = `${stderr}${message}`.slice(-64 * 1024);
+
+        const timeMatch = message.match(/time=(\d+:\d+:\d+\.\d+)/);
+        if (timeMatch && onProgress) {
+            onProgress(timeMatch[1], parseTimestamp(timeMatch[1]));
+        }
+    });
+    // Writes after FFmpeg exited fail with EPIPE; done reports why it exited
+    ffmpeg.stdin.on('error', () => {});
+
+    const done = new Promise((resolve, reject) => {
+        ffmpeg.on('error', (err) => reject(new Error(`FFmpeg error: ${err.message}`)));
+        ffmpeg.on('close', (code, signal) => {
+            if (code === 0) {
+                resolve(stderr);
+            } else {
+                reject(new Error(`FFmpeg exited with code ${code ?? signal}: ${stderr}`));
+            }
+        });
+    });
+    done.catch(() => {});
+
+    return {
+        process: ffmpeg,
+        done,
+        backlog: () => ffmpeg.stdin.writableLength,
+        write: (buffer) => {
+            if (!ffmpeg.stdin.writable) return false;
+            ffmpeg.stdin.write(buffer);
+            return true;
+        },
+        // Closes stdin and waits for FFmpeg to finish, killing it after timeoutMs
+        end: (timeoutMs) => {
+            ffmpeg.stdin.end();
+            if (!timeoutMs) return done;
+            const timeout = setTimeout(() => ffmpeg.kill('SIGKILL'), timeoutMs);
+            return done.finally(() => clearTimeout(timeout));
+        },
+        kill: () => {
+            ffmpeg.kill('SIGKILL');
+            return done.catch(() => {});
+        }
+    };
+};
+
+// Stream and container durations of a media file, in seconds
+const probeMedia = (filePath, { timeoutMs = 30000, binary = 'ffprobe' } = {}) => new Promise((resolve, reject) => {
+    const ffprobe = spawn(binary, [
+        '-v', 'error',
+        '-show_entries', 'stream=index,codec_type,codec_name,duration:format=duration,size',
+        '-of', 'json',
+        filePath
+    ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+    const timeout = setTimeout(() => {
+        ffprobe.kill('SIGKILL');
+        reject(new Error('FFprobe process timed out'));
+    }, timeoutMs);
+
+    let stdout = '';
+    let stderr = '';
+    ffprobe.stdout.on('data', (data) => {
+        stdout += data.toString();
+    });
+    ffprobe.stderr.on('data', (data) => {
+        stderr += data.toString();
+    });
+
+    ffprobe.on('error', (err) => {
+        clearTimeout(timeout);
+        reject(new Error(`FFprobe error: ${err.message}`));
+    });
+
+    ffprobe.on('close', (code) => {
+        clearTimeout(timeout);
+        if (code !== 0) {
+            reject(new Error(`FFprobe exited with code ${code}: ${stderr}`));
+            return;
+        }
+        try {
+            const { streams = [], format = {} } = JSON.parse(stdout);
+            resolve({
+                duration: parseFloat(format.duration) || null,
+                size: Number(format.size) || null,
+                streams: streams.map((stream) => ({
+                    index: stream.index,
+                    type: stream.codec_type,
+                    codec: stream.codec_name,
+                    duration: parseFloat(stream.duration) || null
+                }))
+            });
+        } catch (parseError) {
+            reject(new Error(`Failed to parse FFprobe output: ${parseError.message}`));
+        }
+    });
+});
+
+module.exports = {
+    estimateTimeout,
+    parseTimestamp,
+    pipeFFmpeg,
+    probeMedia,
+    runFFmpeg
+};
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+
+const LOG_DIR = path.join(process.cwd(), 'data', 'logs');
+const SESSION_ID_PATTERN = /^[\w-]+$/;
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+const MAX_FIELD_LENGTH = 8000;
+
+const createLogError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const ensureDir = (dirPath) => {
+    if (!fs.existsSync(dirPath)) {
+        fs.mkdirSync(dirPath, { recursive: true });
+    }
+};
+
+const assertSessionId = (sessionId) => {
+    if (!SESSION_ID_PATTERN.test(String(sessionId || ''))) {
+        throw createLogError('Invalid session id', 400);
+    }
+};
+
+const logPath = (sessionId) => path.join(LOG_DIR, `${sessionId}.jsonl`);
+const diagnosticsPath = (sessionId) => path.join(LOG_DIR, `${sessionId}.diagnostics.json`);
+
+const truncate = (value) => (typeof value === 'string' && value.length > MAX_FIELD_LENGTH
+    ? `…${value.slice(-MAX_FIELD_LENGTH)}`
+    : value);
+
+// Appends one JSON object per line to data/logs/<sessionId>.jsonl
+class JobLogger {
+    constructor({ sessionId, jobId = null }) {
+        assertSessionId(sessionId);
+        this.sessionId = sessionId;
+        this.jobId = jobId;
+        this.filePath = logPath(sessionId);
+        this.recent = [];
+        ensureDir(LOG_DIR);
+    }
+
+    log(level, source, message, data = {}) {
+        const entry = {
+            at: new Date().toISOString(),
+            level: LEVELS.includes(level) ? level : 'info',
+            source,
+            message: truncate(String(message)),
+            jobId: this.jobId,
+            ...Object.fromEntries(Object.entries(data).map(([key, value]) => [key, truncate(value)]))
+        };
+
+        this.recent.push(entry);
+        if (this.recent.length > 200) this.recent.shift();
+
+        try {
+            fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`);
+        } catch (error) {
+            console.warn(`Failed to write job log for ${this.sessionId}:`, error.message);
+        }
+        return entry;
+    }
+
+    writeDiagnostics(bundle) {
+        const target = diagnosticsPath(this.sessionId);
+        const tempPath = `${target}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({
+            sessionId: this.sessionId,
+            jobId: this.jobId,
+            createdAt: new Date().toISOString(),
+            ...bundle,
+            recentLog: this.recent
+        }, null, 2));
+        fs.renameSync(tempPath, target);
+        return target;
+    }
+}
+
+const readJobLog = (sessionId, { level, source, limit } = {}) => {
+    assertSessionId(sessionId);
+    if (!fs.existsSync(logPath(sessionId))) return [];
+
+    const minLevel = LEVELS.indexOf(level);
+    const entries = fs.readFileSync(logPath(sessionId), 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map((line) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                return null;
+            }
+        })
+        .filter((entry) => entry
+            && (minLevel === -1 || LEVELS.indexOf(entry.level) >= minLevel)
+            && (!source || entry.source === source));
+
+    return limit ? entries.slice(-limit) : entries;
+};
+
+const getJobLogFile = (sessionId) => {
+    assertSessionId(sessionId);
+    return fs.existsSync(logPath(sessionId)) ? logPath(sessionId) : null;
+};
+
+const getDiagnosticsFile = (sessionId) => {
+    assertSessionId(sessionId);
+    return fs.existsSync(diagnosticsPath(sessionId)) ? diagnosticsPath(sessionId) : null;
+};
+
+// Every session a job has recorded into, oldest first. A retry that cannot resume starts a new
+// session, and the logs of the earlier ones stay with their attempt.
+const getJobSessionIds = (job) => Array.from(new Set([
+    ...(job.attempts || []).map((attempt) => attempt.sessionId),
+    job.recovery?.sessionId,
+    job.sessionId
+].filter(Boolean)));
+
+module.exports = {
+    JobLogger,
+    LEVELS,
+    LOG_DIR,
+    getDiagnosticsFile,
+    getJobLogFile,
+    getJobSessionIds,
+    readJobLog
+};
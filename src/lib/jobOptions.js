@@ -0,0 +1,140 @@
+const Recorder = require('./recorder');
+const { resolveAudioProfile, resolveProfiles } = require('./profiles');
+const { parseRanges } = require('./timeRanges');
+const { resolveLayout } = require('./layouts');
+const { resolveCaptureSettings } = require('./captureSettings');
+const { parseRetryOptions } = require('./retryPolicy');
+const { isAllowedWebhookTarget, isWebhookUrl } = require('./webhooks');
+
+const CAPTURE_FIELDS = ['preset', 'width', 'height', 'fps', 'videoBitrate', 'audioBitrate', 'codec'];
+
+const createOptionsError = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+// Validates the recorder options accepted by the job endpoints. user is the account queuing
+// the job; the command line passes none.
+const parseJobOptions = (body = {}, { user = null } = {}) => {
+    const {
+        exportMode,
+        chapterTitles,
+        profile,
+        profiles,
+        audioOnly,
+        audioFormat,
+        webhookUrl,
+        webhooks,
+        start,
+        end,
+        ranges,
+        playbackRate,
+        fastCapture,
+        dropAudio,
+        transcribe,
+        transcriptionLanguage,
+        retry,
+        layout,
+        capture,
+        streamingTranscode,
+        livePreview
+    } = body;
+
+    if (exportMode && !Recorder.EXPORT_MODES.includes(exportMode)) {
+        throw createOptionsError(`exportMode must be one of: ${Recorder.EXPORT_MODES.join(', ')}`);
+    }
+
+    const options = {};
+    if (exportMode) {
+        options.exportMode = exportMode;
+    }
+    if (chapterTitles === false) {
+        options.chapterTitles = false;
+    }
+    if (audioOnly) {
+        options.audioOnly = true;
+        options.audioFormat = audioFormat || 'mp3';
+        resolveAudioProfile(options.audioFormat);
+    } else if (profiles || profile) {
+        options.profiles = Array.isArray(profiles) ? profiles : [profiles || profile];
+        resolveProfiles(options.profiles);
+    }
+    if (layout && !audioOnly) {
+        const { name, assets } = resolveLayout(layout);
+        if (!assets && exportMode === 'assets') {
+            throw createOptionsError(`The ${name} layout shows the chat and needs exportMode "capture" or "auto"`);
+        }
+        options.layout = name;
+    }
+    if (capture !== undefined && capture !== null && capture !== '' && !audioOnly) {
+        resolveCaptureSettings(capture);
+        options.capture = typeof capture === 'string'
+            ? capture
+            : Object.fromEntries(CAPTURE_FIELDS.filter((field) => capture[field] !== undefined)
+                .map((field) => [field, capture[field]]));
+    }
+    if (fastCapture) {
+        options.fastCapture = true;
+    }
+    if (dropAudio) {
+        if (!fastCapture || audioOnly) {
+            throw createOptionsError('dropAudio only applies to fast capture of video');
+        }
+        options.dropAudio = true;
+    }
+    if (streamingTranscode !== undefined && streamingTranscode !== null) {
+        options.streamingTranscode = Boolean(streamingTranscode);
+    }
+    if (livePreview !== undefined && livePreview !== null) {
+        options.livePreview = Boolean(livePreview);
+    }
+    if (playbackRate !== undefined && playbackRate !== null && playbackRate !== '') {
+        const { min, max, fastCaptureMax, audioMax } = Recorder.PLAYBACK_RATE_LIMITS;
+        const limit = fastCapture ? fastCaptureMax : max;
+        const rate = Number(playbackRate);
+        if (!Number.isFinite(rate) || rate < min || rate > limit) {
+            throw createOptionsError(fastCapture
+                ? `playbackRate must be between ${min} and ${limit}`
+                : `playbackRate must be between ${min} and ${limit}; enable fastCapture for faster capture`);
+        }
+        if (audioOnly && rate > audioMax) {
+            throw createOptionsError(`Audio-only jobs cannot be captured faster than ${audioMax}x`);
+        }
+        if (fastCapture && !dropAudio && rate > audioMax) {
+            throw createOptionsError(`Chromium mutes the audio above ${audioMax}x; `
+                + 'lower playbackRate or set dropAudio to export without audio');
+        }
+        options.playbackRate = rate;
+    }
+    if (transcribe !== undefined && transcribe !== null) {
+        options.transcribe = Boolean(transcribe);
+    }
+    if (transcriptionLanguage) {
+        if (!/^([a-z]{2,3}|auto)$/.test(transcriptionLanguage)) {
+            throw createOptionsError('transcriptionLanguage must be a language code such as "en" or "auto"');
+        }
+        options.transcriptionLanguage = transcriptionLanguage;
+    }
+    const parsedRanges = parseRanges({ start, end, ranges });
+    if (parsedRanges) {
+        options.ranges = parsedRanges;
+    }
+    const retryOptions = parseRetryOptions(retry);
+    if (retryOptions) {
+        options.retry = retryOptions;
+    }
+    if (webhooks || webhookUrl) {
+        const urls = Array.isArray(webhooks) ? webhooks : [webhooks || webhookUrl];
+        const invalid = urls.find((url) => !isWebhookUrl(url));
+        if (invalid !== undefined) {
+            throw createOptionsError(`Invalid webhook URL: ${invalid}`);
+        }
+        const denied = urls.find((url) => !isAllowedWebhookTarget(url, user));
+        if (denied !== undefined) {
+            throw Object.assign(new Error(`Webhooks to ${new URL(denied).hostname} are not allowed`), { statusCode: 403 });
+        }
+        options.webhooks = urls;
+    }
+    return options;
+};
+
+module.exports = {
+    parseJobOptions
+};
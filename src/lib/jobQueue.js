@@ -0,0 +1,525 @@
+const fs = require('fs');
+const path = require('path');
+const Recorder = require('./recorder');
+const { broadcastProgress } = require('./progress');
+const { getWebhookDispatcher } = require('./webhooks');
+const { canAccess } = require('./auth');
+const { markReviewed } = require('./library');
+const { getRetryPolicy, planRetry } = require('./retryPolicy');
+
+const DATA_DIR = path.join(process.cwd(), 'data');
+const JOBS_FILE = path.join(DATA_DIR, 'jobs.json');
+
+const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    PAUSED: 'paused',
+    DONE: 'done',
+    NEEDS_REVIEW: 'needs_review',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+const ACTIVE_STATUSES = [JOB_STATUS.RUNNING, JOB_STATUS.PAUSED];
+
+// Progress fields kept on the job, so a client that reconnects can show where the job stands
+const PROGRESS_SNAPSHOT_FIELDS = [
+    'message',
+    'progress',
+    'step',
+    'totalSteps',
+    'stage',
+    'paused',
+    'captureStrategy',
+    'playbackRate',
+    'capture'
+];
+
+const createJobError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const ensureDir = (dirPath) => {
+    if (!fs.existsSync(dirPath)) {
+        fs.mkdirSync(dirPath, { recursive: true });
+    }
+};
+
+const parseMaxConcurrent = () => {
+    const value = parseInt(process.env.BBB_MAX_CONCURRENT_RECORDINGS || '2', 10);
+    return Number.isFinite(value) && value > 0 ? value : 2;
+};
+
+const parsePriority = (value) => {
+    const priority = Number(value);
+    return Number.isFinite(priority) ? Math.round(priority) : 0;
+};
+
+class JobQueue {
+    constructor({
+        storePath = JOBS_FILE,
+        maxConcurrent = parseMaxConcurrent(),
+        runJob,
+        canRecover = () => false,
+        getRetryPolicy: retryPolicy = () => null,
+        onJobFinished = () => {},
+        recorders = new Map()
+    } = {}) {
+        this.storePath = storePath;
+        this.maxConcurrent = maxConcurrent;
+        this.runJob = runJob;
+        this.canRecover = canRecover;
+        this.getRetryPolicy = retryPolicy;
+        this.onJobFinished = onJobFinished;
+        this.recorders = recorders;
+        this.jobs = new Map();
+        this.running = new Set();
+        this.lastId = 0;
+        this.retryTimer = null;
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.storePath)) return;
+
+        try {
+            const stored = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+            (stored.jobs || []).forEach((job) => {
+                job.attempts = job.attempts || [];
+                job.preview = false;
+                if (ACTIVE_STATUSES.includes(job.status)) {
+                    this.endAttempt(job, 'Interrupted by server restart');
+                    if (this.canRecover(job)) {
+                        job.status = JOB_STATUS.QUEUED;
+                        job.recovering = true;
+                    } else {
+                        job.status = JOB_STATUS.FAILED;
+                        job.error = 'Interrupted by server restart';
+                        job.finishedAt = new Date().toISOString();
+                    }
+                }
+                this.jobs.set(job.id, job);
+            });
+        } catch (error) {
+            console.error('Failed to load job store:', error);
+        }
+    }
+
+    save() {
+        try {
+            ensureDir(path.dirname(this.storePath));
+            const tempPath = `${this.storePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify({ jobs: this.list() }, null, 2));
+            fs.renameSync(tempPath, this.storePath);
+        } catch (error) {
+            console.error('Failed to persist job store:', error);
+        }
+    }
+
+    createId() {
+        let id = Date.now();
+        if (id <= this.lastId) {
+            id = this.lastId + 1;
+        }
+        this.lastId = id;
+        return id.toString();
+    }
+
+    list() {
+        return Array.from(this.jobs.values())
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id));
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    getQueuePosition(id) {
+        const index = this.queued().findIndex((job) => job.id === id);
+        return index === -1 ? null : index + 1;
+    }
+
+    queued() {
+        return Array.from(this.jobs.values())
+            .filter((job) => job.status === JOB_STATUS.QUEUED)
+            .sort((a, b) => (b.priority - a.priority) || a.id.localeCompare(b.id));
+    }
+
+    enqueue({ url, priority = 0, options = {}, owner = null }) {
+        const job = {
+            id: this.createId(),
+            url,
+            owner,
+            priority: parsePriority(priority),
+            options,
+            status: JOB_STATUS.QUEUED,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            error: null,
+            result: null,
+            sessionId: null,
+            playback: null,
+            progress: null,
+            recovery: null,
+            recovering: false,
+            preview: false,
+            preferredStrategy: null,
+            attempts: [],
+            retryAt: null,
+            cancelRequested: false
+        };
+
+        this.jobs.set(job.id, job);
+        this.save();
+        this.notify(job);
+        this.schedule();
+        return job;
+    }
+
+    update(id, patch, { persist = true } = {}) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+
+        Object.assign(job, patch);
+        if (persist) {
+            this.save();
+        }
+        return job;
+    }
+
+    notify(job) {
+        broadcastProgress({
+            recordingId: job.id,
+            type: 'job',
+            job,
+            queuePosition: this.getQueuePosition(job.id)
+        }, job.owner);
+    }
+
+    listForUser(user) {
+        return this.list().filter((job) => canAccess(user, job.owner));
+    }
+
+    getForUser(id, user) {
+        const job = this.get(id);
+        if (!job || !canAccess(user, job.owner)) {
+            throw createJobError('Recording not found', 404);
+        }
+        return job;
+    }
+
+    getActiveRecorder(id) {
+        const job = this.get(id);
+        if (!job) {
+            throw createJobError('Recording not found', 404);
+        }
+
+        const recorder = this.recorders.get(id);
+        if (!ACTIVE_STATUSES.includes(job.status) || !recorder) {
+            throw createJobError(`Recording is ${job.status}`, 409);
+        }
+        return { job, recorder };
+    }
+
+    async cancel(id, { skipConversion = true } = {}) {
+        const job = this.get(id);
+        if (!job) {
+            throw createJobError('Recording not found', 404);
+        }
+
+        if (job.status === JOB_STATUS.QUEUED) {
+            this.update(id, {
+                status: JOB_STATUS.CANCELLED,
+                cancelRequested: true,
+                finishedAt: new Date().toISOString()
+            });
+            this.notify(job);
+            this.finished(job);
+            return job;
+        }
+
+        const { recorder } = this.getActiveRecorder(id);
+        this.update(id, { cancelRequested: true });
+        const stopping = recorder.cancel({ skipConversion });
+        if (skipConversion) {
+            await stopping;
+        } else {
+            stopping.catch((error) => console.error('Failed to stop recording:', error));
+        }
+        return job;
+    }
+
+    async pause(id) {
+        const { job, recorder } = this.getActiveRecorder(id);
+        await recorder.pause();
+        this.update(id, { status: JOB_STATUS.PAUSED });
+        this.notify(job);
+        return job;
+    }
+
+    async resume(id) {
+        const { job, recorder } = this.getActiveRecorder(id);
+        await recorder.resume();
+        this.update(id, { status: JOB_STATUS.RUNNING });
+        this.notify(job);
+        return job;
+    }
+
+    // Accepts an export that failed verification once someone has checked it
+    approve(id, user) {
+        const job = this.getForUser(id, user);
+        if (job.status !== JOB_STATUS.NEEDS_REVIEW) {
+            throw createJobError(`Recording is ${job.status}`, 409);
+        }
+
+        const review = { reviewedAt: new Date().toISOString(), reviewedBy: user?.username || null };
+        this.update(id, { status: JOB_STATUS.DONE, ...review });
+        if (job.sessionId) {
+            try {
+                markReviewed(job.sessionId, review);
+            } catch (error) {
+                console.warn(`Failed to update the manifest of ${job.sessionId}:`, error.message);
+            }
+        }
+        this.notify(job);
+        this.finished(job);
+        return job;
+    }
+
+    schedule() {
+        if (!this.runJob) return;
+
+        const now = Date.now();
+        const waiting = this.queued().filter((job) => job.retryAt && Date.parse(job.retryAt) > now);
+        const ready = this.queued().filter((job) => !waiting.includes(job));
+        while (this.running.size < this.maxConcurrent && ready.length) {
+            this.start(ready.shift());
+        }
+
+        // Jobs waiting out a retry backoff are picked up again when the earliest one is due
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        if (waiting.length) {
+            const due = Math.min(...waiting.map((job) => Date.parse(job.retryAt)));
+            this.retryTimer = setTimeout(() => this.schedule(), Math.max(0, due - now));
+            if (this.retryTimer.unref) this.retryTimer.unref();
+        }
+    }
+
+    start(job) {
+        this.running.add(job.id);
+        const attempts = [...(job.attempts || []), {
+            number: (job.attempts || []).length + 1,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            sessionId: null,
+            captureStrategy: job.preferredStrategy || null,
+            resumedFrom: job.recovering ? job.recovery?.currentTime ?? null : null,
+            error: null
+        }];
+        this.update(job.id, {
+            status: JOB_STATUS.RUNNING,
+            startedAt: job.startedAt || attempts[attempts.length - 1].startedAt,
+            attempts,
+            retryAt: null
+        });
+        this.notify(job);
+
+        Promise.resolve()
+            .then(() => this.runJob(job, this))
+            .then((result) => {
+                this.endAttempt(job);
+                let status = result?.needsReview ? JOB_STATUS.NEEDS_REVIEW : JOB_STATUS.DONE;
+                if (job.cancelRequested) status = JOB_STATUS.CANCELLED;
+                this.update(job.id, {
+                    status,
+                    finishedAt: new Date().toISOString(),
+                    error: null,
+                    result: result || null
+                });
+            })
+            .catch((error) => {
+                const message = error?.message || String(error);
+                this.endAttempt(job, message);
+
+                const retry = planRetry(this.getRetryPolicy(job), job, error);
+                if (retry) {
+                    const recovering = this.canRecover(job);
+                    this.update(job.id, {
+                        status: JOB_STATUS.QUEUED,
+                        error: message,
+                        retryAt: new Date(Date.now() + retry.delayMs).toISOString(),
+                        preferredStrategy: retry.captureStrategy,
+                        recovering
+                    });
+                    console.warn(`Job ${job.id} failed (${message}); retrying in ${Math.round(retry.delayMs / 1000)}s`
+                        + `${recovering ? ` from ${Math.round(job.recovery.currentTime || 0)}s` : ''}`);
+                    return;
+                }
+
+                this.update(job.id, {
+                    status: job.cancelRequested ? JOB_STATUS.CANCELLED : JOB_STATUS.FAILED,
+                    finishedAt: new Date().toISOString(),
+                    error: message
+                });
+            })
+            .finally(() => {
+                this.running.delete(job.id);
+                this.notify(job);
+                if (job.status !== JOB_STATUS.QUEUED) {
+                    this.finished(job);
+                }
+                this.schedule();
+            });
+    }
+
+    // Every job that reaches a final status passes through here, however it got there
+    finished(job) {
+        try {
+            this.onJobFinished(job);
+        } catch (error) {
+            console.error('Job completion handler failed:', error);
+        }
+    }
+
+    endAttempt(job, error = null) {
+        const attempt = job.attempts[job.attempts.length - 1];
+        if (!attempt) return;
+
+        attempt.finishedAt = new Date().toISOString();
+        attempt.error = error;
+    }
+
+    canRetry(job, error = null) {
+        return Boolean(planRetry(this.getRetryPolicy(job), job, error));
+    }
+}
+
+const runRecordingJob = (job, queue) => new Promise((resolve, reject) => {
+    const recordingId = job.id;
+    const recorder = new Recorder({
+        ...job.options,
+        jobId: job.id,
+        owner: job.owner,
+        recovery: job.recovery,
+        preferredStrategy: job.preferredStrategy,
+        attempt: job.attempts.length,
+        retainOnFailure: queue.canRetry(job)
+    });
+    let settled = false;
+
+    const finish = (error, result) => {
+        if (settled) return;
+        settled = true;
+        queue.recorders.delete(recordingId);
+        if (error) {
+            // A retry must not start while this attempt still holds the browser and the capture files
+            Promise.resolve()
+                .then(() => recorder.stopped)
+                .catch(() => {})
+                .then(() => reject(error));
+        } else {
+            resolve(result);
+        }
+    };
+
+    const fail = (error, { permanent = Boolean(error?.permanent) } = {}) => {
+        if (settled) return;
+        const message = typeof error === 'string' ? error : error?.message || 'Recording failed';
+        const failure = Object.assign(new Error(message), { permanent });
+        console.error('Recording error:', message);
+        // Clients stay with the job when another attempt follows
+        broadcastProgress({
+            recordingId,
+            type: 'error',
+            message,
+            willRetry: queue.canRetry(job, failure)
+        }, job.owner);
+        finish(failure);
+    };
+
+    queue.recorders.set(recordingId, recorder);
+
+    recorder.setCallbacks(
+        (type, data = {}) => {
+            if (type === 'checkpoint') {
+                queue.update(recordingId, { recovery: data });
+                return;
+            }
+
+            if (type === 'session') {
+                const attempt = job.attempts[job.attempts.length - 1];
+                if (attempt) attempt.sessionId = data.sessionId;
+                queue.update(recordingId, { sessionId: data.sessionId });
+                return;
+            }
+
+            broadcastProgress({ recordingId, type, ...data }, job.owner);
+
+            const attempt = job.attempts[job.attempts.length - 1];
+            if (attempt && data.captureStrategy && attempt.captureStrategy !== data.captureStrategy) {
+                attempt.captureStrategy = data.captureStrategy;
+                queue.save();
+            }
+
+            if (type === 'progress') {
+                const fields = PROGRESS_SNAPSHOT_FIELDS.filter((field) => data[field] !== undefined);
+                if (fields.length) {
+                    queue.update(recordingId, {
+                        progress: {
+                            ...job.progress,
+                            ...Object.fromEntries(fields.map((field) => [field, data[field]])),
+                            updatedAt: new Date().toISOString()
+                        }
+                    }, { persist: false });
+                }
+            }
+
+            if (type === 'progress' && data.preview !== undefined) {
+                queue.update(recordingId, { preview: data.preview }, { persist: false });
+            }
+
+            if (type === 'progress' && data.currentTime !== undefined) {
+                queue.update(recordingId, {
+                    playback: { currentTime: data.currentTime, duration: data.duration }
+                }, { persist: false });
+            }
+
+            if (type === 'cancelled') {
+                finish(null, null);
+            }
+
+            if (type === 'complete') {
+                queue.update(recordingId, { recovery: null, recovering: false }, { persist: false });
+                const { message, ...result } = data;
+                finish(null, result);
+            }
+        },
+        fail
+    );
+
+    recorder.startRecording(job.url).catch(fail);
+});
+
+const getJobQueue = () => {
+    if (!global.activeRecorders) {
+        global.activeRecorders = new Map();
+    }
+
+    if (!global.recordingQueue) {
+        global.recordingQueue = new JobQueue({
+            runJob: runRecordingJob,
+            canRecover: (job) => Recorder.hasRecoverableSession(job.recovery),
+            getRetryPolicy: (job) => getRetryPolicy(job.options.retry),
+            onJobFinished: (job) => getWebhookDispatcher().jobFinished(job),
+            recorders: global.activeRecorders
+        });
+        global.recordingQueue.schedule();
+    }
+    return global.recordingQueue;
+};
+
+module.exports = {
+    JOB_STATUS,
+    JobQueue,
+    getJobQueue
+};
@@ -0,0 +1,117 @@
+const { getConfig } = require('./config');
+
+const PANES = ['slides', 'webcam', 'chat'];
+
+// Regions are fractions of the output frame; panes without a region are hidden
+const BUILTIN_LAYOUTS = {
+    default: {
+        label: 'Player default',
+        regions: null
+    },
+    slides: {
+        label: 'Slides only',
+        regions: {
+            slides: { x: 0, y: 0, width: 1, height: 1 }
+        }
+    },
+    webcam: {
+        label: 'Webcam only',
+        regions: {
+            webcam: { x: 0, y: 0, width: 1, height: 1 }
+        }
+    },
+    'slides-pip': {
+        label: 'Slides with webcam picture-in-picture',
+        regions: {
+            slides: { x: 0, y: 0, width: 1, height: 1 },
+            webcam: { x: 0.74, y: 0.7, width: 0.24, height: 0.27 }
+        }
+    },
+    'slides-chat': {
+        label: 'Slides with chat beside them',
+        regions: {
+            slides: { x: 0, y: 0, width: 0.72, height: 1 },
+            chat: { x: 0.72, y: 0, width: 0.28, height: 1 }
+        }
+    },
+    'slides-webcam-chat': {
+        label: 'Slides, webcam and chat',
+        regions: {
+            slides: { x: 0, y: 0, width: 0.72, height: 1 },
+            webcam: { x: 0.72, y: 0, width: 0.28, height: 0.3 },
+            chat: { x: 0.72, y: 0.3, width: 0.28, height: 0.7 }
+        }
+    }
+};
+
+// Candidate selectors of the playback page areas, tried in order; deskshare follows the slides region
+const DEFAULT_PANE_SELECTORS = {
+    slides: ['.presentation-wrapper', '.presentation', '#presentation-area'],
+    deskshare: ['.screenshare-wrapper', '.screenshare', '#deskshare-video'],
+    webcam: ['.webcams-wrapper', '.media', '#video-area'],
+    chat: ['.chat-wrapper', '.application', '#chat-area']
+};
+
+const createLayoutError = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+const getLayouts = () => ({
+    ...BUILTIN_LAYOUTS,
+    ...(getConfig().layouts || {})
+});
+
+const getPaneSelectors = () => {
+    const configured = getConfig().layoutSelectors || {};
+    return Object.fromEntries(Object.entries(DEFAULT_PANE_SELECTORS).map(([pane, selectors]) => [
+        pane,
+        configured[pane] ? [].concat(configured[pane]) : selectors
+    ]));
+};
+
+const isFraction = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+
+const validateRegions = (name, regions) => {
+    Object.entries(regions).forEach(([pane, region]) => {
+        if (!PANES.includes(pane)) {
+            throw createLayoutError(`Layout ${name} uses an unknown pane: ${pane}`);
+        }
+        const { x, y, width, height } = region || {};
+        if (![x, y, width, height].every(isFraction) || !width || !height || x + width > 1 || y + height > 1) {
+            throw createLayoutError(`Layout ${name} has an invalid ${pane} region; use fractions of the frame`);
+        }
+    });
+};
+
+const resolveLayout = (name = 'default') => {
+    const layout = getLayouts()[name];
+    if (!layout) {
+        throw createLayoutError(`Unknown layout: ${name}`);
+    }
+    if (layout.regions) {
+        validateRegions(name, layout.regions);
+    }
+    return {
+        name,
+        label: layout.label || name,
+        regions: layout.regions || null,
+        // The offline composite has the slides and the webcam video, but no chat
+        assets: !layout.regions?.chat
+    };
+};
+
+const describeLayouts = () => Object.keys(getLayouts()).flatMap((name) => {
+    try {
+        const { label, regions, assets } = resolveLayout(name);
+        return [{ name, label, regions, assets }];
+    } catch (error) {
+        console.warn(error.message);
+        return [];
+    }
+});
+
+module.exports = {
+    BUILTIN_LAYOUTS,
+    PANES,
+    describeLayouts,
+    getPaneSelectors,
+    resolveLayout
+};
@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const { canAccess } = require('./auth');
+
+const EXPORT_DIR = path.resolve(process.cwd(), process.env.BBB_EXPORT_DIR || 'exports');
+const LEGACY_EXPORT_DIR = path.join(process.cwd(), 'public', 'exports');
+const EXPORT_FILE_PATTERN = /^meeting_([\w-]+)\.(.+)$/;
+const RECORDING_ID_PATTERN = /^[\w-]+$/;
+const MANIFEST_SUFFIX = 'manifest.json';
+const MEDIA_EXTENSIONS = ['mp4', 'm4a', 'mov', 'mkv', 'webm', 'mp3', 'opus', 'ogg'];
+
+const createLibraryError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const exportUrl = (fileName) => `/api/exports/${encodeURIComponent(fileName)}`;
+
+const manifestPath = (id) => path.join(EXPORT_DIR, `meeting_${id}.${MANIFEST_SUFFIX}`);
+
+const readManifest = (id) => {
+    try {
+        return JSON.parse(fs.readFileSync(manifestPath(id), 'utf8'));
+    } catch (error) {
+        return null;
+    }
+};
+
+const writeManifest = (manifest) => {
+    const target = manifestPath(manifest.id);
+    const tempPath = `${target}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(manifest, null, 2));
+    fs.renameSync(tempPath, target);
+};
+
+const markReviewed = (id, { reviewedAt, reviewedBy }) => {
+    const manifest = readManifest(id);
+    if (!manifest) return null;
+
+    const reviewed = { ...manifest, needsReview: false, reviewedAt, reviewedBy };
+    writeManifest(reviewed);
+    return reviewed;
+};
+
+const groupExportFiles = () => {
+    if (!fs.existsSync(EXPORT_DIR)) return new Map();
+
+    const groups = new Map();
+    fs.readdirSync(EXPORT_DIR).forEach((fileName) => {
+        const match = EXPORT_FILE_PATTERN.exec(fileName);
+        if (!match || fileName.endsWith('.tmp')) return;
+
+        const [, id, suffix] = match;
+        if (!groups.has(id)) groups.set(id, []);
+        groups.get(id).push({ fileName, suffix });
+    });
+    return groups;
+};
+
+const statFile = (fileName) => {
+    try {
+        return fs.statSync(path.join(EXPORT_DIR, fileName));
+    } catch (error) {
+        return null;
+    }
+};
+
+// Exports made before manifests existed only have their files to go by
+const describeLegacyExport = (id, files) => {
+    const media = files
+        .filter(({ suffix }) => MEDIA_EXTENSIONS.includes(suffix.split('.').pop()))
+        .map(({ fileName, suffix }) => ({ fileName, suffix, stat: statFile(fileName) }))
+        .filter(({ stat }) => stat);
+    if (!media.length) return null;
+
+    const primary = media.find(({ suffix }) => !suffix.includes('.')) || media[0];
+    return {
+        id,
+        sourceUrl: null,
+        title: null,
+        status: 'complete',
+        createdAt: primary.stat.mtime.toISOString(),
+        finishedAt: primary.stat.mtime.toISOString(),
+        duration: null,
+        size: primary.stat.size,
+        captureStrategy: null,
+        playbackRate: null,
+        filePath: path.join(EXPORT_DIR, primary.fileName),
+        downloadUrl: exportUrl(primary.fileName),
+        renditions: media.map(({ fileName, suffix, stat }) => ({
+            profile: suffix.includes('.') ? suffix.split('.')[0] : 'default',
+            filePath: path.join(EXPORT_DIR, fileName),
+            downloadUrl: exportUrl(fileName),
+            size: stat.size
+        })),
+        chat: null,
+        chapters: null,
+        owner: null,
+        legacy: true
+    };
+};
+
+const loadRecordings = () => Array.from(groupExportFiles().entries())
+    .map(([id, files]) => readManifest(id) || describeLegacyExport(id, files))
+    .filter(Boolean);
+
+const matchesSearch = (recording, search) => {
+    if (!search) return true;
+    const needle = search.toLowerCase();
+    return [recording.title, recording.sourceUrl, recording.id]
+        .some((value) => value && value.toLowerCase().includes(needle));
+};
+
+const SORTERS = {
+    newest: (a, b) => b.createdAt.localeCompare(a.createdAt),
+    oldest: (a, b) => a.createdAt.localeCompare(b.createdAt),
+    largest: (a, b) => (b.size || 0) - (a.size || 0),
+    longest: (a, b) => (b.duration || 0) - (a.duration || 0)
+};
+
+const listRecordings = ({ user, search, status, captureStrategy, from, to, sort = 'newest' } = {}) => {
+    const fromTime = from ? Date.parse(from) : NaN;
+    const toTime = to ? Date.parse(to) : NaN;
+
+    return loadRecordings()
+        .filter((recording) => !user || canAccess(user, recording.owner))
+        .filter((recording) => matchesSearch(recording, search))
+        .filter((recording) => !status || recording.status === status)
+        .filter((recording) => !captureStrategy || recording.captureStrategy === captureStrategy)
+        .filter((recording) => Number.isNaN(fromTime) || Date.parse(recording.createdAt) >= fromTime)
+        .filter((recording) => Number.isNaN(toTime) || Date.parse(recording.createdAt) <= toTime)
+        .sort(SORTERS[sort] || SORTERS.newest);
+};
+
+const assertRecordingId = (id) => {
+    if (!RECORDING_ID_PATTERN.test(String(id || ''))) {
+        throw createLibraryError('Invalid recording id', 400);
+    }
+};
+
+const getRecording = (id, { user } = {}) => {
+    assertRecordingId(id);
+    const files = groupExportFiles().get(id);
+    const recording = files ? readManifest(id) || describeLegacyExport(id, files) : null;
+    if (!recording || (user && !canAccess(user, recording.owner))) {
+        throw createLibraryError('Recording not found', 404);
+    }
+    return recording;
+};
+
+const deleteRecording = (id, { user } = {}) => {
+    getRecording(id, { user });
+    const files = groupExportFiles().get(id);
+
+    files.forEach(({ fileName }) => fs.unlinkSync(path.join(EXPORT_DIR, fileName)));
+    return files.map(({ fileName }) => fileName);
+};
+
+// Total bytes on disk per export, including chat, chapter and manifest files
+const getExportUsage = () => {
+    const usage = new Map();
+    groupExportFiles().forEach((files, id) => {
+        usage.set(id, files.reduce((total, { fileName }) => total + (statFile(fileName)?.size || 0), 0));
+    });
+    return usage;
+};
+
+// Resolves a download request to a file the user is allowed to read
+const resolveExportFile = (fileName, { user } = {}) => {
+    const match = EXPORT_FILE_PATTERN.exec(String(fileName || ''));
+    if (!match || path.basename(fileName) !== fileName || fileName.endsWith('.tmp')) {
+        throw createLibraryError('File not found', 404);
+    }
+
+    getRecording(match[1], { user });
+    const filePath = path.join(EXPORT_DIR, fileName);
+    const stat = statFile(fileName);
+    if (!stat || !stat.isFile()) {
+        throw createLibraryError('File not found', 404);
+    }
+    return { filePath, stat };
+};
+
+// Exports used to be served statically from public/exports
+const migrateLegacyExports = () => {
+    if (!fs.existsSync(LEGACY_EXPORT_DIR) || path.resolve(LEGACY_EXPORT_DIR) === EXPORT_DIR) return;
+
+    const fileNames = fs.readdirSync(LEGACY_EXPORT_DIR).filter((fileName) => EXPORT_FILE_PATTERN.test(fileName));
+    if (!fileNames.length) return;
+
+    fs.mkdirSync(EXPORT_DIR, { recursive: true });
+    fileNames.forEach((fileName) => {
+        const source = path.join(LEGACY_EXPORT_DIR, fileName);
+        const target = path.join(EXPORT_DIR, fileName);
+        try {
+            if (fileName.endsWith(`.${MANIFEST_SUFFIX}`)) {
+                const manifest = fs.readFileSync(source, 'utf8')
+                    .replace(/"\/exports\/([^"]+)"/g, (whole, name) => JSON.stringify(exportUrl(name)));
+                fs.writeFileSync(target, manifest);
+                fs.unlinkSync(source);
+            } else {
+                fs.renameSync(source, target);
+            }
+        } catch (error) {
+            console.warn(`Failed to move ${fileName} out of public/exports:`, error.message);
+        }
+    });
+    console.log(`Moved ${fileNames.length} export files from public/exports to ${EXPORT_DIR}`);
+};
+
+module.exports = {
+    EXPORT_DIR,
+    deleteRecording,
+    exportUrl,
+    getExportUsage,
+    getRecording,
+    listRecordings,
+    markReviewed,
+    migrateLegacyExports,
+    resolveExportFile,
+    writeManifest
+};
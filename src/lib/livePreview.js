@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('./config');
+const { pipeFFmpeg } = require('./ffmpeg');
+
+const PLAYLIST_FILE = 'index.m3u8';
+const PREVIEW_FILE_PATTERN = /^(index\.m3u8|segment_\d+\.ts)$/;
+
+// Chunks FFmpeg has not read yet; past this the preview is dropped rather than slowing the capture
+const MAX_BACKLOG_BYTES = 64 * 1024 * 1024;
+const STOP_TIMEOUT_MS = 10000;
+
+// The preview is a second H.264 encode next to the capture, so by default only jobs that ask for it get one
+const DEFAULT_PREVIEW_SETTINGS = {
+    enabled: false,
+    height: 360,
+    videoBitrate: '800k',
+    audioBitrate: '96k',
+    segmentSeconds: 4,
+    listSize: 15
+};
+
+const getPreviewSettings = () => {
+    const { preview = {} } = getConfig();
+    const settings = { ...DEFAULT_PREVIEW_SETTINGS, ...preview };
+    return {
+        ...settings,
+        enabled: process.env.BBB_LIVE_PREVIEW
+            ? process.env.BBB_LIVE_PREVIEW === 'true'
+            : settings.enabled === true
+    };
+};
+
+const isPreviewFile = (name) => PREVIEW_FILE_PATTERN.test(name || '');
+
+// Packages the WebM chunks of a running capture into a short rolling HLS playlist
+class LivePreview {
+    constructor({ dir, audioOnly = false, settings = getPreviewSettings(), onReady, onStopped }) {
+        this.dir = dir;
+        this.audioOnly = audioOnly;
+        this.settings = settings;
+        this.onReady = onReady;
+        this.onStopped = onStopped;
+        this.pipe = null;
+        this.ready = false;
+        this.stopping = false;
+        this.stopped = null;
+        this.stopReason = null;
+    }
+
+    get playlistPath() {
+        return path.join(this.dir, PLAYLIST_FILE);
+    }
+
+    buildArgs() {
+        const { height, videoBitrate, audioBitrate, segmentSeconds, listSize } = this.settings;
+        const video = this.audioOnly
+            ? ['-vn']
+            : [
+                '-map', '0:v:0',
+                '-vf', `scale=-2:${height}`,
+                '-c:v', 'libx264',
+                '-preset', 'veryfast',
+                '-tune', 'zerolatency',
+                '-b:v', videoBitrate,
+                '-force_key_frames', `expr:gte(t,n_forced*${segmentSeconds})`
+            ];
+
+        return [
+            '-hide_banner',
+            '-loglevel', 'warning',
+            '-fflags', '+genpts',
+            '-i', 'pipe:0',
+            ...video,
+            '-map', '0:a:0?',
+            '-c:a', 'aac',
+            '-b:a', audioBitrate,
+            '-f', 'hls',
+            '-hls_time', String(segmentSeconds),
+            '-hls_list_size', String(listSize),
+            '-hls_flags', 'delete_segments+omit_endlist+independent_segments+temp_file',
+            '-hls_segment_filename', path.join(this.dir, 'segment_%05d.ts'),
+            this.playlistPath
+        ];
+    }
+
+    start() {
+        fs.rmSync(this.dir, { recursive: true, force: true });
+        fs.mkdirSync(this.dir, { recursive: true });
+
+        this.pipe = pipeFFmpeg(this.buildArgs());
+        this.pipe.done
+            .then(() => this.finish(null))
+            .catch((error) => this.finish(this.stopping ? null : error.message.slice(-4000)));
+    }
+
+    write(buffer) {
+        if (!this.pipe || this.stopping) return;
+
+        if (this.pipe.backlog() > MAX_BACKLOG_BYTES) {
+            this.stop('The live preview fell behind the capture and was stopped');
+            return;
+        }
+        this.pipe.write(buffer);
+
+        if (!this.ready && fs.existsSync(this.playlistPath)) {
+            this.ready = true;
+            if (this.onReady) this.onReady();
+        }
+    }
+
+    stop(reason = null) {
+        if (!this.pipe) return Promise.resolve();
+        if (this.stopped) return this.stopped;
+
+        this.stopping = true;
+        this.stopReason = reason;
+        this.stopped = this.pipe.end(STOP_TIMEOUT_MS).catch(() => {});
+        return this.stopped;
+    }
+
+    finish(error) {
+        if (!this.pipe) return;
+        this.pipe = null;
+        this.ready = false;
+        fs.rmSync(this.dir, { recursive: true, force: true });
+        if (this.onStopped) this.onStopped(error || this.stopReason || null);
+    }
+}
+
+module.exports = {
+    LivePreview,
+    getPreviewSettings,
+    isPreviewFile
+};
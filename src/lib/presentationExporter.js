@@ -0,0 +1,523 @@
+const fs = require('fs');
+const path = require('path');
+const puppeteer = require('puppeteer');
+const { probeMedia, runFFmpeg } = require('./ffmpeg');
+const { audioFilters, codecArgs, videoFilters } = require('./profiles');
+const { createPermanentError } = require('./retryPolicy');
+const {
+    downloadFile,
+    fetchText,
+    parseCursor,
+    parseDeskshare,
+    parseMetadata,
+    parsePanzooms
+} = require('./bbbAssets');
+const { capturedLength, selectExpression } = require('./timeRanges');
+
+const OUTPUT_WIDTH = 1280;
+const OUTPUT_HEIGHT = 720;
+const OUTPUT_FPS = 25;
+// shapes.svg links every slide image, so it can take a while on a slow server, but not forever
+const SLIDES_LOAD_TIMEOUT_MS = 5 * 60 * 1000;
+const CURSOR_SIZE = 12;
+
+const ASSET_STEPS = ['Preparing', 'Downloading assets', 'Rendering slides', 'Compositing video'];
+
+const ensureDir = (dirPath) => {
+    if (!fs.existsSync(dirPath)) {
+        fs.mkdirSync(dirPath, { recursive: true });
+    }
+};
+
+const roundTime = (value) => Math.round(value * 1000) / 1000;
+
+const findAtTime = (events, time) => {
+    let match = null;
+    for (const event of events) {
+        if (event.time > time) break;
+        match = event;
+    }
+    return match;
+};
+
+class PresentationExporter {
+    constructor({
+        assets,
+        workDir,
+        outputs,
+        ranges = null,
+        layout = null,
+        onProgress,
+        runFFmpeg: run = runFFmpeg
+    }) {
+        this.assets = assets;
+        this.workDir = workDir;
+        this.outputs = outputs;
+        this.ranges = ranges;
+        this.layout = layout;
+        this.runFFmpeg = run;
+        this.onProgress = onProgress;
+        this.browser = null;
+        this.ffmpegProcess = null;
+        this.aborted = false;
+        this.metadata = null;
+    }
+
+    report(step, message, stepProgress = 0) {
+        if (this.onProgress) {
+            this.onProgress({
+                message,
+                step,
+                totalSteps: ASSET_STEPS.length,
+                progress: Math.min(99, Math.round(((step + (stepProgress / 100)) / ASSET_STEPS.length) * 100))
+            });
+        }
+    }
+
+    checkAborted() {
+        if (this.aborted) {
+            throw new Error('Asset export cancelled');
+        }
+    }
+
+    async run() {
+        ensureDir(this.workDir);
+        this.report(0, 'Reading recording metadata...');
+        this.metadata = parseMetadata(await fetchText(this.assets.assetUrl('metadata.xml')));
+        if (!this.metadata.duration) {
+            throw createPermanentError('Recording metadata does not contain a duration');
+        }
+
+        this.report(1, 'Downloading recording assets...');
+        const downloaded = await this.downloadAssets();
+        this.checkAborted();
+
+        this.report(2, 'Rendering slides and annotations...');
+        const keyframes = await this.renderSlides();
+        this.checkAborted();
+
+        this.report(3, 'Compositing video...');
+        await this.composite(downloaded, keyframes);
+
+        return {
+            outputPaths: this.outputs.map((output) => output.path),
+            duration: this.metadata.duration,
+            meetingName: this.metadata.meetingName
+        };
+    }
+
+    async downloadFirst(names, destinationName, options = {}) {
+        for (const name of names) {
+            const destination = path.join(this.workDir, destinationName || path.basename(name));
+            if (await downloadFile(this.assets.assetUrl(name), destination, { optional: true })) {
+                return destination;
+            }
+        }
+        if (options.optional) return null;
+        throw new Error(`Recording asset not found: ${names.join(' or ')}`);
+    }
+
+    async downloadAssets() {
+        const [panzoomsXml, cursorXml, deskshareXml] = await Promise.all([
+            fetchText(this.assets.assetUrl('panzooms.xml'), { optional: true }),
+            fetchText(this.assets.assetUrl('cursor.xml'), { optional: true }),
+            fetchText(this.assets.assetUrl('deskshare.xml'), { optional: true })
+        ]);
+
+        this.panzooms = panzoomsXml ? parsePanzooms(panzoomsXml) : [];
+        this.cursor = cursorXml ? parseCursor(cursorXml) : [];
+        this.deskshare = deskshareXml ? parseDeskshare(deskshareXml) : [];
+
+        const webcams = await this.downloadFirst(['video/webcams.webm', 'video/webcams.mp4']);
+        this.report(1, 'Downloaded webcam and audio track', 60);
+
+        const deskshare = this.deskshare.length
+            ? await this.downloadFirst(['deskshare/deskshare.webm', 'deskshare/deskshare.mp4'], null, { optional: true })
+            : null;
+        this.report(1, 'Downloaded recording assets', 100);
+
+        return { webcams, deskshare };
+    }
+
+    async renderSlides() {
+        const framesDir = path.join(this.workDir, 'frames');
+        ensureDir(framesDir);
+
+        const browser = await puppeteer.launch({
+            headless: 'new',
+            args: ['--no-sandbox', '--disable-setuid-sandbox']
+        });
+        this.browser = browser;
+        const keyframes = [];
+        try {
+            const page = await browser.newPage();
+            await page.setViewport({ width: OUTPUT_WIDTH, height: OUTPUT_HEIGHT });
+            await page.goto(this.assets.assetUrl('shapes.svg'), { waitUntil: 'networkidle0', timeout: SLIDES_LOAD_TIMEOUT_MS });
+
+            const eventTimes = await page.evaluate((width, height) => {
+                const svg = document.documentElement;
+                svg.setAttribute('width', width);
+                svg.setAttribute('height', height);
+                svg.style.background = '#000';
+
+                const times = new Set([0]);
+                document.querySelectorAll('image[in]').forEach((image) => {
+                    times.add(parseFloat(image.getAttribute('in')));
+                    times.add(parseFloat(image.getAttribute('out')));
+                });
+                document.querySelectorAll('[timestamp]').forEach((element) => {
+                    times.add(parseFloat(element.getAttribute('timestamp')));
+                    const undo = parseFloat(element.getAttribute('undo'));
+                    if (undo > 0) times.add(undo);
+                });
+                return Array.from(times).filter(Number.isFinite);
+            }, OUTPUT_WIDTH, OUTPUT_HEIGHT);
+
+            const duration = this.metadata.duration;
+            const times = Array.from(new Set([
+                ...eventTimes,
+                ...this.panzooms.map((event) => event.time)
+            ].map(roundTime)))
+                .filter((time) => time >= 0 && time < duration)
+                .sort((a, b) => a - b);
+
+            let lastSignature = null;
+
+            for (let index = 0; index < times.length; index += 1) {
+                this.checkAborted();
+                const time = times[index];
+                const panzoom = findAtTime(this.panzooms, time);
+
+                const state = await page.evaluate((currentTime, viewBox) => {
+                    const visibleImages = new Set();
+                    document.querySelectorAll('image[in]').forEach((image) => {
+                        const visible = parseFloat(image.getAttribute('in')) <= currentTime
+                            && currentTime < parseFloat(image.getAttribute('out'));
+                        image.style.visibility = visible ? 'visible' : 'hidden';
+                        if (visible) visibleImages.add(image.id);
+                    });
+
+                    document.querySelectorAll('g.canvas').forEach((canvas) => {
+                        canvas.setAttribute('display', visibleImages.has(canvas.getAttribute('image')) ? 'inline' : 'none');
+                    });
+
+                    const latestShapes = new Map();
+                    const shapes = Array.from(document.querySelectorAll('g.shape[timestamp]'));
+                    shapes.forEach((shape) => {
+                        const timestamp = parseFloat(shape.getAttribute('timestamp'));
+                        const undo = parseFloat(shape.getAttribute('undo'));
+                        const visible = timestamp <= currentTime && (!(undo >= 0) || undo > currentTime);
+                        shape.style.visibility = 'hidden';
+                        if (!visible) return;
+
+                        const key = shape.getAttribute('shape') || shape.id;
+                        const current = latestShapes.get(key);
+                        if (!current || parseFloat(current.getAttribute('timestamp')) <= timestamp) {
+                            latestShapes.set(key, shape);
+                        }
+                    });
+                    latestShapes.forEach((shape) => {
+                        shape.style.visibility = 'visible';
+                    });
+
+                    let box = viewBox;
+                    if (!box) {
+                        const image = visibleImages.size
+                            ? document.getElementById(Array.from(visibleImages)[0])
+                            : null;
+                        box = image
+                            ? {
+                                x: parseFloat(image.getAttribute('x')) || 0,
+                                y: parseFloat(image.getAttribute('y')) || 0,
+                                width: parseFloat(image.getAttribute('width')),
+                                height: parseFloat(image.getAttribute('height'))
+                            }
+                            : null;
+                    }
+                    if (box && box.width > 0 && box.height > 0) {
+                        document.documentElement.setAttribute('viewBox', `${box.x} ${box.y} ${box.width} ${box.height}`);
+                    }
+
+                    return {
+                        viewBox: box,
+                        signature: [
+                            Array.from(visibleImages).join(','),
+                            Array.from(latestShapes.values()).map((shape) => shape.id).join(','),
+                            box ? `${box.x},${box.y},${box.width},${box.height}` : ''
+                        ].join('|')
+                    };
+                }, time, panzoom ? panzoom.viewBox : null);
+
+                if (state.signature === lastSignature) {
+                    continue;
+                }
+                lastSignature = state.signature;
+
+                const file = path.join(framesDir, `frame_${String(keyframes.length).padStart(6, '0')}.png`);
+                await page.screenshot({ path: file, type: 'png' });
+                keyframes.push({ time, file, viewBox: state.viewBox });
+                this.report(2, `Rendered ${keyframes.length} slide frames`, Math.round(((index + 1) / times.length) * 100));
+            }
+        } finally {
+            // A failed render falls back to screen capture, which would never come back for this browser
+            if (this.browser === browser) this.browser = null;
+            await browser.close().catch(() => {});
+        }
+
+        if (!keyframes.length) {
+            throw createPermanentError('No slides found in shapes.svg');
+        }
+        return keyframes;
+    }
+
+    writeSlidesList(keyframes) {
+        const duration = this.metadata.duration;
+        const lines = ['ffconcat version 1.0'];
+        keyframes.forEach((keyframe, index) => {
+            const next = keyframes[index + 1];
+            const frameDuration = (next ? next.time : duration) - keyframe.time;
+            lines.push(`file '${path.relative(this.workDir, keyframe.file)}'`);
+            lines.push(`duration ${Math.max(frameDuration, 1 / OUTPUT_FPS).toFixed(3)}`);
+        });
+        // The concat demuxer ignores the duration of the last entry unless the file is repeated
+        lines.push(`file '${path.relative(this.workDir, keyframes[keyframes.length - 1].file)}'`);
+
+        const listPath = path.join(this.workDir, 'slides.txt');
+        fs.writeFileSync(listPath, `${lines.join('\n')}\n`);
+        return listPath;
+    }
+
+    writeCursorCommands(keyframes) {
+        if (!this.cursor.length) return null;
+
+        const radius = CURSOR_SIZE / 2;
+        const commands = this.cursor.map((event) => {
+            const keyframe = findAtTime(keyframes, event.time) || keyframes[0];
+            const box = keyframe.viewBox;
+            let x = -CURSOR_SIZE * 2;
+            let y = -CURSOR_SIZE * 2;
+
+            if (box && event.x >= 0 && event.y >= 0) {
+                const scale = Math.min(OUTPUT_WIDTH / box.width, OUTPUT_HEIGHT / box.height);
+                const displayWidth = box.width * scale;
+                const displayHeight = box.height * scale;
+                x = Math.round(((OUTPUT_WIDTH - displayWidth) / 2) + (event.x * displayWidth) - radius);
+                y = Math.round(((OUTPUT_HEIGHT - displayHeight) / 2) + (event.y * displayHeight) - radius);
+            }
+
+            return `${event.time.toFixed(3)} overlay@cursor x ${x}, overlay@cursor y ${y};`;
+        });
+
+        const commandsPath = path.join(this.workDir, 'cursor.cmd');
+        fs.writeFileSync(commandsPath, `${commands.join('\n')}\n`);
+        return commandsPath;
+    }
+
+    // Scales each pane into its region; the first one is padded out to the full frame and the rest go on top
+    buildLayout(filters, slidesLabel, webcamVideo) {
+        const { regions, name } = this.layout;
+        const panes = [];
+        if (regions.slides) panes.push({ input: slidesLabel, region: regions.slides });
+        if (regions.webcam && webcamVideo) panes.push({ input: '1:v', region: regions.webcam });
+        if (!panes.length) {
+            throw createPermanentError(`The ${name} layout needs the webcam video, but this recording has none`);
+        }
+        if (!regions.slides) {
+            filters.push(`[${slidesLabel}]nullsink`);
+        }
+
+        const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+        panes.forEach(({ input, region }, index) => {
+            const width = even(region.width * OUTPUT_WIDTH);
+            const height = even(region.height * OUTPUT_HEIGHT);
+            const x = Math.round(region.x * OUTPUT_WIDTH);
+            const y = Math.round(region.y * OUTPUT_HEIGHT);
+            const fit = `fps=${OUTPUT_FPS},scale=${width}:${height}:force_original_aspect_ratio=decrease,`
+                + `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:black,setsar=1`;
+
+            if (index === 0) {
+                filters.push(`[${input}]${fit},pad=${OUTPUT_WIDTH}:${OUTPUT_HEIGHT}:${x}:${y}:black[layout0]`);
+            } else {
+                filters.push(
+                    `[${input}]${fit}[pane${index}]`,
+                    `[layout${index - 1}][pane${index}]overlay=${x}:${y}[layout${index}]`
+                );
+            }
+        });
+        return `layout${panes.length - 1}`;
+    }
+
+    needsLayout() {
+        const regions = this.layout?.regions;
+        if (!regions) return false;
+
+        const { slides, webcam } = regions;
+        const fullFrame = slides && slides.x === 0 && slides.y === 0 && slides.width === 1 && slides.height === 1;
+        return Boolean(webcam) || !fullFrame;
+    }
+
+    buildFilterGraph({ deskshareInput, cursorInput, cursorCommands, webcamVideo }) {
+        const filters = [
+            `[0:v]fps=${OUTPUT_FPS},scale=${OUTPUT_WIDTH}:${OUTPUT_HEIGHT}:force_original_aspect_ratio=decrease,`
+            + `pad=${OUTPUT_WIDTH}:${OUTPUT_HEIGHT}:(ow-iw)/2:(oh-ih)/2:black,setsar=1[slides]`
+        ];
+        let current = 'slides';
+
+        if (deskshareInput !== null) {
+            const enable = this.deskshare
+                .map((event) => `between(t,${event.start.toFixed(3)},${event.end.toFixed(3)})`)
+                .join('+');
+            filters.push(
+                `[${deskshareInput}:v]scale=${OUTPUT_WIDTH}:${OUTPUT_HEIGHT}:force_original_aspect_ratio=decrease,`
+                + `pad=${OUTPUT_WIDTH}:${OUTPUT_HEIGHT}:(ow-iw)/2:(oh-ih)/2:black,setsar=1[deskshare]`,
+                `[${current}][deskshare]overlay=enable='${enable}'[withdeskshare]`
+            );
+            current = 'withdeskshare';
+        }
+
+        if (cursorInput !== null) {
+            filters.push(
+                `[${current}]sendcmd=f=${path.basename(cursorCommands)}[cursorcmd]`,
+                `[cursorcmd][${cursorInput}:v]overlay@cursor=x=${-CURSOR_SIZE * 2}:y=${-CURSOR_SIZE * 2}[withcursor]`
+            );
+            current = 'withcursor';
+        }
+
+        if (this.needsLayout()) {
+            current = this.buildLayout(filters, current, webcamVideo);
+        }
+
+        // Ranges are cut last so deskshare and cursor timings still refer to the original timeline
+        if (this.ranges) {
+            const expression = selectExpression(this.ranges);
+            filters.push(`[${current}]select='${expression}',setpts=N/FRAME_RATE/TB[trimmed]`);
+            current = 'trimmed';
+
+            const audioLabels = this.outputs.map((output, index) => `[asplit${index}]`).join('');
+            filters.push(`[1:a]aselect='${expression}',asetpts=N/SR/TB,asplit=${this.outputs.length}${audioLabels}`);
+            this.outputs.forEach((output, index) => {
+                const af = audioFilters(output.profile);
+                filters.push(`[asplit${index}]${af.length ? af.join(',') : 'anull'}[aout${index}]`);
+            });
+        }
+
+        const videoOutputs = this.outputs
+            .map((output, index) => ({ ...output, index }))
+            .filter((output) => !output.profile.audioOnly);
+        const chain = (output) => {
+            const extra = videoFilters(output.profile);
+            return extra.length ? extra.join(',') : 'null';
+        };
+
+        if (videoOutputs.length === 1) {
+            filters.push(`[${current}]format=yuv420p,${chain(videoOutputs[0])}[out${videoOutputs[0].index}]`);
+        } else if (videoOutputs.length > 1) {
+            const splitLabels = videoOutputs.map((output) => `[split${output.index}]`).join('');
+            filters.push(`[${current}]format=yuv420p,split=${videoOutputs.length}${splitLabels}`);
+            videoOutputs.forEach((output) => {
+                filters.push(`[split${output.index}]${chain(output)}[out${output.index}]`);
+            });
+        } else {
+            filters.push(`[${current}]nullsink`);
+        }
+        return filters.join(';');
+    }
+
+    async composite({ webcams, deskshare }, keyframes) {
+        const slidesList = this.writeSlidesList(keyframes);
+        const cursorCommands = this.writeCursorCommands(keyframes);
+        const duration = capturedLength(this.ranges, 0, this.metadata.duration);
+
+        const inputs = ['-f', 'concat', '-safe', '0', '-i', path.basename(slidesList), '-i', webcams];
+        const webcamVideo = Boolean(this.layout?.regions?.webcam)
+            && (await probeMedia(webcams)).streams.some((stream) => stream.type === 'video');
+        let nextInput = 2;
+        let deskshareInput = null;
+        let cursorInput = null;
+
+        if (deskshare) {
+            inputs.push('-i', deskshare);
+            deskshareInput = nextInput;
+            nextInput += 1;
+        }
+
+        if (cursorCommands) {
+            const center = (CURSOR_SIZE - 1) / 2;
+            inputs.push(
+                '-f', 'lavfi',
+                '-i', `color=c=red:s=${CURSOR_SIZE}x${CURSOR_SIZE}:r=${OUTPUT_FPS},format=rgba,`
+                    + `geq=r=255:g=0:b=0:a='if(lte(hypot(X-${center},Y-${center}),${CURSOR_SIZE / 2}),255,0)'`
+            );
+            cursorInput = nextInput;
+        }
+
+        const ffmpegArgs = [
+            '-y',
+            ...inputs,
+            '-filter_complex', this.buildFilterGraph({
+                deskshareInput,
+                cursorInput,
+                cursorCommands,
+                webcamVideo
+            })
+        ];
+        this.outputs.forEach((output, index) => {
+            if (!output.profile.audioOnly) {
+                ffmpegArgs.push('-map', `[out${index}]`);
+            }
+            if (this.ranges) {
+                ffmpegArgs.push('-map', `[aout${index}]`);
+            } else {
+                const af = audioFilters(output.profile);
+                ffmpegArgs.push('-map', '1:a?');
+                if (af.length) ffmpegArgs.push('-af', af.join(','));
+            }
+            ffmpegArgs.push(...codecArgs(output.profile), '-t', duration.toFixed(3), output.path);
+        });
+
+        await this.runFFmpeg(ffmpegArgs, {
+            cwd: this.workDir,
+            timeoutMs: Math.max(120000, this.metadata.duration * 1000 * 2 * this.outputs.length),
+            onSpawn: (ffmpeg) => {
+                this.ffmpegProcess = ffmpeg;
+            },
+            onProgress: (time, seconds) => {
+                const percent = seconds ? Math.min(100, Math.round((seconds / duration) * 100)) : 0;
+                this.report(3, `Compositing video... ${time}`, percent);
+            }
+        });
+        this.ffmpegProcess = null;
+    }
+
+    async abort() {
+        this.aborted = true;
+        if (this.ffmpegProcess) {
+            try {
+                this.ffmpegProcess.kill('SIGKILL');
+            } catch (error) {
+                console.error('Failed to terminate FFmpeg:', error);
+            }
+        }
+        if (this.browser) {
+            try {
+                await this.browser.close();
+            } catch (error) {
+                console.error('Error closing browser:', error);
+            }
+            this.browser = null;
+        }
+    }
+
+    cleanup() {
+        try {
+            fs.rmSync(this.workDir, { recursive: true, force: true });
+        } catch (error) {
+            console.warn('Failed to remove asset export files:', error.message);
+        }
+    }
+}
+
+module.exports = {
+    ASSET_STEPS,
+    PresentationExporter
+};
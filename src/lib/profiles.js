@@ -0,0 +1,176 @@
+const { getConfig } = require('./config');
+
+const BUILTIN_PROFILES = {
+    default: {
+        label: 'Standard MP4 (H.264/AAC)',
+        container: 'mp4',
+        video: { codec: 'libx264', preset: 'medium', crf: 23 },
+        audio: { codec: 'aac', bitrate: '192k' }
+    },
+    'archive-720p': {
+        label: 'Small 720p archive copy',
+        container: 'mp4',
+        video: { codec: 'libx264', preset: 'slow', crf: 28, height: 720, fps: 25 },
+        audio: { codec: 'aac', bitrate: '96k' }
+    },
+    master: {
+        label: 'High-quality master',
+        container: 'mp4',
+        video: { codec: 'libx264', preset: 'slow', crf: 18 },
+        audio: { codec: 'aac', bitrate: '256k' }
+    },
+    podcast: {
+        label: 'Audio-only podcast (MP3)',
+        container: 'mp3',
+        audioOnly: true,
+        audio: { codec: 'libmp3lame', bitrate: '128k', channels: 1 }
+    },
+    hevc: {
+        label: 'HEVC (H.265) for storage',
+        container: 'mp4',
+        video: { codec: 'libx265', preset: 'medium', crf: 28, tag: 'hvc1' },
+        audio: { codec: 'aac', bitrate: '128k' }
+    },
+    av1: {
+        label: 'AV1 for storage',
+        container: 'mp4',
+        video: { codec: 'libsvtav1', preset: 8, crf: 35 },
+        audio: { codec: 'aac', bitrate: '128k' }
+    }
+};
+
+const MP4_FAMILY = ['mp4', 'm4a', 'mov'];
+
+const LOUDNORM_FILTER = 'loudnorm=I=-16:TP=-1.5:LRA=11';
+
+// loudnorm upsamples to 192 kHz internally, so every format pins its output rate
+const AUDIO_FORMATS = {
+    mp3: {
+        label: 'MP3 audio',
+        container: 'mp3',
+        audio: { codec: 'libmp3lame', bitrate: '128k', sampleRate: 44100 }
+    },
+    opus: {
+        label: 'Opus audio',
+        container: 'opus',
+        audio: { codec: 'libopus', bitrate: '64k', sampleRate: 48000 }
+    },
+    m4a: {
+        label: 'AAC audio (M4A)',
+        container: 'm4a',
+        audio: { codec: 'aac', bitrate: '128k', sampleRate: 44100 }
+    }
+};
+
+const createProfileError = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+const getProfiles = () => ({
+    ...BUILTIN_PROFILES,
+    ...(getConfig().profiles || {})
+});
+
+const getDefaultProfileNames = () => {
+    const configured = getConfig().defaultProfiles;
+    return Array.isArray(configured) && configured.length ? configured : ['default'];
+};
+
+const resolveProfiles = (names) => {
+    const profiles = getProfiles();
+    const requested = Array.isArray(names) && names.length ? names : getDefaultProfileNames();
+
+    return Array.from(new Set(requested)).map((name) => {
+        const profile = profiles[name];
+        if (!profile) {
+            throw createProfileError(`Unknown output profile: ${name}`);
+        }
+        if (!profile.container) {
+            throw createProfileError(`Output profile ${name} does not define a container`);
+        }
+        return { name, ...profile };
+    });
+};
+
+const resolveAudioProfile = (format = 'mp3') => {
+    const preset = AUDIO_FORMATS[format];
+    if (!preset) {
+        throw createProfileError(`audioFormat must be one of: ${Object.keys(AUDIO_FORMATS).join(', ')}`);
+    }
+    return {
+        name: `audio-${format}`,
+        ...preset,
+        audioOnly: true,
+        audio: { ...preset.audio, filters: [LOUDNORM_FILTER] }
+    };
+};
+
+const videoFilters = (profile) => {
+    const video = profile.video || {};
+    const filters = [];
+
+    if (video.width && video.height) {
+        filters.push(
+            `scale=${video.width}:${video.height}:force_original_aspect_ratio=decrease`,
+            `pad=${video.width}:${video.height}:(ow-iw)/2:(oh-ih)/2`
+        );
+    } else if (video.height) {
+        filters.push(`scale=-2:${video.height}`);
+    } else if (video.width) {
+        filters.push(`scale=${video.width}:-2`);
+    }
+    if (video.fps) {
+        filters.push(`fps=${video.fps}`);
+    }
+    return filters;
+};
+
+const audioFilters = (profile) => (profile.audio?.filters ? [...profile.audio.filters] : []);
+
+const codecArgs = (profile) => {
+    const args = [];
+    const { video, audio = {} } = profile;
+
+    if (profile.audioOnly || !video) {
+        args.push('-vn');
+    } else {
+        args.push('-c:v', video.codec || 'libx264');
+        if (video.preset !== undefined) args.push('-preset', String(video.preset));
+        if (video.crf !== undefined) args.push('-crf', String(video.crf));
+        if (video.bitrate) args.push('-b:v', video.bitrate);
+        if (video.maxrate) args.push('-maxrate', video.maxrate, '-bufsize', video.bufsize || video.maxrate);
+        if (video.tag) args.push('-tag:v', video.tag);
+        args.push('-pix_fmt', video.pixelFormat || 'yuv420p');
+    }
+
+    args.push('-c:a', audio.codec || 'aac');
+    if (audio.bitrate) args.push('-b:a', audio.bitrate);
+    if (audio.sampleRate) args.push('-ar', String(audio.sampleRate));
+    if (audio.channels) args.push('-ac', String(audio.channels));
+
+    if (MP4_FAMILY.includes(profile.container)) {
+        args.push('-movflags', '+faststart');
+    }
+    if (Array.isArray(profile.extraArgs)) {
+        args.push(...profile.extraArgs.map(String));
+    }
+    return args;
+};
+
+const describeProfiles = () => Object.entries(getProfiles()).map(([name, profile]) => ({
+    name,
+    label: profile.label || name,
+    container: profile.container,
+    audioOnly: Boolean(profile.audioOnly)
+}));
+
+module.exports = {
+    AUDIO_FORMATS,
+    BUILTIN_PROFILES,
+    MP4_FAMILY,
+    audioFilters,
+    codecArgs,
+    describeProfiles,
+    getDefaultProfileNames,
+    resolveAudioProfile,
+    resolveProfiles,
+    videoFilters
+};
@@ -0,0 +1,99 @@
+const { canAccess } = require('./auth');
+
+// Recent events are kept per recording so that reconnecting clients can catch up
+const HISTORY_LIMIT = 200;
+const MAX_TRACKED_RECORDINGS = 50;
+
+if (!global.progressClients) {
+    global.progressClients = new Set();
+}
+if (!global.progressHistory) {
+    global.progressHistory = new Map();
+}
+// Ids start from the clock so that they keep growing across restarts, and a Last-Event-ID
+// from before a restart is never mistaken for a newer event
+if (!global.progressEventId) {
+    global.progressEventId = Date.now();
+}
+
+const formatEvent = ({ id, json }) => `id: ${id}\ndata: ${json}\n\n`;
+
+const remember = (event) => {
+    const { recordingId } = event;
+    if (!recordingId) return;
+
+    const history = global.progressHistory.get(recordingId) || [];
+    history.push(event);
+    if (history.length > HISTORY_LIMIT) history.shift();
+
+    // Re-inserting keeps the Map ordered by last activity, so the least recent recording goes first
+    global.progressHistory.delete(recordingId);
+    global.progressHistory.set(recordingId, history);
+    if (global.progressHistory.size > MAX_TRACKED_RECORDINGS) {
+        global.progressHistory.delete(global.progressHistory.keys().next().value);
+    }
+};
+
+const isVisibleTo = (client, event) => {
+    if (client.recordingId && event.recordingId && client.recordingId !== event.recordingId) {
+        return false;
+    }
+    return !client.user || canAccess(client.user, event.owner);
+};
+
+// owner is the id of the user the job belongs to; other users never see its events.
+// Returns the id of the event.
+const broadcastProgress = (data, owner = null) => {
+    global.progressEventId += 1;
+    // Serialized right away: the history must not follow later changes to objects such as the job
+    const event = {
+        id: global.progressEventId,
+        recordingId: data.recordingId || null,
+        owner,
+        json: JSON.stringify(data)
+    };
+    remember(event);
+
+    global.progressClients.forEach((client) => {
+        try {
+            if (!isVisibleTo(client, event)) {
+                return;
+            }
+            client.res.write(formatEvent(event));
+        } catch (error) {
+            console.error('Failed to broadcast progress:', error);
+            if (client.heartbeat) {
+                clearInterval(client.heartbeat);
+            }
+            global.progressClients.delete(client);
+        }
+    });
+    return event.id;
+};
+
+// Events the client has not seen yet, oldest first
+const replayProgress = (client, lastEventId) => {
+    const histories = client.recordingId
+        ? [global.progressHistory.get(client.recordingId) || []]
+        : [...global.progressHistory.values()];
+
+    histories
+        .flat()
+        .filter((event) => event.id > lastEventId && isVisibleTo(client, event))
+        .sort((a, b) => a.id - b.id)
+        .forEach((event) => client.res.write(formatEvent({
+            id: event.id,
+            json: JSON.stringify({ ...JSON.parse(event.json), replayed: true })
+        })));
+};
+
+const getLastEventId = (recordingId) => {
+    const history = global.progressHistory.get(recordingId);
+    return history?.length ? history[history.length - 1].id : null;
+};
+
+module.exports = {
+    broadcastProgress,
+    getLastEventId,
+    replayProgress
+};
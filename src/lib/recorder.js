@@ -1,10 +1,60 @@
 const fs = require('fs');
 const path = require('path');
 const puppeteer = require('puppeteer');
-const { spawn } = require('child_process');
+const { estimateTimeout, probeMedia, runFFmpeg } = require('./ffmpeg');
+const {
+    downloadFile,
+    fetchText,
+    parseMetadata,
+    resolvePlaybackAssets
+} = require('./bbbAssets');
+const { PresentationExporter } = require('./presentationExporter');
+const { parseChatTimeline, parseClockTime, writeChatTranscript } = require('./chat');
+const {
+    buildChapters,
+    formatFfmetadata,
+    parseSlideTimeline,
+    titleFromText,
+    writeChapters
+} = require('./chapters');
+const {
+    MP4_FAMILY,
+    audioFilters,
+    codecArgs,
+    resolveAudioProfile,
+    resolveProfiles,
+    videoFilters
+} = require('./profiles');
+const { EXPORT_DIR, exportUrl, writeManifest } = require('./library');
+const { getPaneSelectors, resolveLayout } = require('./layouts');
+const { CAPTURE_CODECS, resolveCaptureSettings } = require('./captureSettings');
+const { LivePreview, getPreviewSettings } = require('./livePreview');
+const { StreamingTranscoder, getStreamingSettings } = require('./streamingTranscode');
+const {
+    assertFreeSpace,
+    formatBytes,
+    getFreeSpace,
+    getStoragePolicy,
+    lockSession,
+    unlockSession
+} = require('./storage');
+const {
+    capturedLength,
+    isInRanges,
+    nextCaptureTime,
+    selectExpression
+} = require('./timeRanges');
+const {
+    formatSrt,
+    formatVtt,
+    getTranscriptionSettings,
+    transcribe
+} = require('./transcription');
+const { JobLogger } = require('./jobLogs');
+const { createPermanentError } = require('./retryPolicy');
+const { getVerificationSettings, verifyMedia } = require('./verification');
 
 const BASE_TEMP_DIR = path.join(process.cwd(), 'temp_chunks');
-const EXPORT_DIR = path.join(process.cwd(), 'public', 'exports');
 
 const ensureDir = (dirPath) => {
     if (!fs.existsSync(dirPath)) {
@@ -16,8 +66,94 @@ const getTimestamp = () => new Date().toISOString().replace(/[:.]/g, '-');
 
 const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
+const segmentPath = (segment) => path.join(BASE_TEMP_DIR, segment.file);
+
+const fileSize = (filePath) => {
+    try {
+        return fs.statSync(filePath).size;
+    } catch (error) {
+        return null;
+    }
+};
+
+const hasSegmentData = (segment) => {
+    try {
+        return fs.statSync(segmentPath(segment)).size > 0;
+    } catch (error) {
+        return false;
+    }
+};
+
+const TITLE_FETCH_BATCH = 8;
+const CHAPTER_CONTAINERS = [...MP4_FAMILY, 'mkv', 'mp3'];
+const SUBTITLE_CODECS = { mp4: 'mov_text', mov: 'mov_text', mkv: 'srt', webm: 'webvtt' };
+
+const EXPORT_MODES = ['auto', 'assets', 'capture'];
+
+const resolveExportMode = (mode) => {
+    const value = mode || process.env.BBB_EXPORT_MODE || 'auto';
+    return EXPORT_MODES.includes(value) ? value : 'auto';
+};
+
+const AUDIO_ASSETS = ['video/webcams.webm', 'video/webcams.mp4'];
+
+// Chromium mutes media elements played faster than audioMax
+const PLAYBACK_RATE_LIMITS = { min: 0.5, max: 2, fastCaptureMax: 16, audioMax: 4 };
+const DEFAULT_FAST_CAPTURE_RATE = 4;
+
+// Allowed drift between the audio and video tracks of a restored capture, in seconds
+const SYNC_TOLERANCE = 0.5;
+
+// Fast capture only goes past audioMax for jobs that leave the audio out
+const resolvePlaybackRate = (value, fastCapture, keepAudio = true) => {
+    const rate = parseFloat(value);
+    if (!Number.isFinite(rate) || rate <= 0) {
+        return fastCapture ? DEFAULT_FAST_CAPTURE_RATE : 1.0;
+    }
+    let max = PLAYBACK_RATE_LIMITS.max;
+    if (fastCapture) {
+        max = keepAudio ? PLAYBACK_RATE_LIMITS.audioMax : PLAYBACK_RATE_LIMITS.fastCaptureMax;
+    }
+    return Math.min(max, Math.max(PLAYBACK_RATE_LIMITS.min, rate));
+};
+
+// atempo only takes factors between 0.5 and 2 on older FFmpeg builds, so larger changes are chained
+const atempoFilters = (factor) => {
+    const filters = [];
+    let remaining = factor;
+    while (remaining < 0.5) {
+        filters.push('atempo=0.5');
+        remaining /= 0.5;
+    }
+    while (remaining > 2) {
+        filters.push('atempo=2.0');
+        remaining /= 2;
+    }
+    if (Math.abs(remaining - 1) > 0.0001) {
+        filters.push(`atempo=${remaining.toFixed(6)}`);
+    }
+    return filters;
+};
+
+const escapeConcatPath = (filePath) => filePath.replace(/'/g, "'\\''");
+
+const DIAGNOSTIC_CHUNK_COUNT = 20;
+const DIAGNOSTIC_COMMAND_COUNT = 10;
+const DIAGNOSTICS_TIMEOUT_MS = 15000;
+
+const CONSOLE_LEVELS = { error: 'error', warn: 'warn', warning: 'warn', debug: 'debug' };
+
+const quoteArg = (arg) => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${String(arg).replace(/'/g, "'\\''")}'`);
+
+const withTimeout = (promise, ms) => Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+        setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms).unref();
+    })
+]);
+
 class Recorder {
-    constructor() {
+    constructor(options = {}) {
         this.browser = null;
         this.page = null;
         this.totalSize = 0;
@@ -33,13 +169,94 @@ class Recorder {
         this.isInitialized = false;
         this.monitorInterval = null;
         this.isStopping = false;
+        this.stopped = null;
         this.lastChunkPromise = Promise.resolve();
         this.sessionId = null;
-        const rateFromEnv = parseFloat(process.env.BBB_PLAYBACK_RATE || '1.0');
-        this.playbackRate = Number.isFinite(rateFromEnv) && rateFromEnv > 0
-            ? Math.min(2, Math.max(0.5, rateFromEnv))
-            : 1.0;
+        // Fast capture plays the page faster still and stretches the output back to real time
+        this.fastCapture = Boolean(options.fastCapture ?? process.env.BBB_FAST_CAPTURE === 'true');
+        this.dropAudio = this.fastCapture && Boolean(options.dropAudio) && !options.audioOnly;
+        this.playbackRate = resolvePlaybackRate(
+            options.playbackRate ?? (this.fastCapture ? process.env.BBB_FAST_CAPTURE_RATE : process.env.BBB_PLAYBACK_RATE),
+            this.fastCapture,
+            !this.dropAudio
+        );
         this.captureStrategy = 'captureStream';
+        // Retries ask for the strategy that did not fail last time; the other one is still the fallback
+        this.preferredStrategy = options.preferredStrategy || null;
+        this.attempt = options.attempt || 1;
+        // Keep the capture files after a failure so that a retry can resume from the last checkpoint
+        this.retainOnFailure = Boolean(options.retainOnFailure);
+        this.recovery = options.recovery || null;
+        this.segments = [];
+        this.resumeFrom = 0;
+        this.lastPlaybackTime = 0;
+        this.playbackDuration = 0;
+        this.concatListPath = null;
+        this.isPaused = false;
+        this.isCancelled = false;
+        this.exportMode = resolveExportMode(options.exportMode);
+        this.layout = resolveLayout(options.layout);
+        this.capture = resolveCaptureSettings(options.capture);
+        this.captureResult = null;
+        this.preview = null;
+        this.livePreview = options.livePreview ?? getPreviewSettings().enabled;
+        this.streamingTranscode = options.streamingTranscode ?? getStreamingSettings().enabled;
+        this.transcoder = null;
+        this.transcodeMode = null;
+        this.assetExporter = null;
+        this.meetingTitle = null;
+        this.chatMessages = null;
+        this.chapterTitles = options.chapterTitles !== false;
+        this.slideTimeline = null;
+        this.slideTitles = new Map();
+        this.profileNames = options.profiles || null;
+        this.renditions = [];
+        this.audioOnly = Boolean(options.audioOnly);
+        this.audioFormat = options.audioFormat || 'mp3';
+        this.jobId = options.jobId || null;
+        this.owner = options.owner || null;
+        this.meetingUrl = null;
+        this.startedAt = null;
+        this.lowDiskSpace = false;
+        this.ranges = options.ranges || null;
+        this.transcribe = options.transcribe ?? null;
+        this.transcriptionLanguage = options.transcriptionLanguage || null;
+        this.logger = null;
+        this.pendingLog = [];
+        this.loggedStep = null;
+        this.stepStartedAt = null;
+        this.chunkStats = [];
+        this.ffmpegCommands = [];
+    }
+
+    static hasRecoverableSession(recovery) {
+        return Boolean(recovery?.sessionId && recovery.segments?.length && hasSegmentData(recovery.segments[0]));
+    }
+
+    restoreSegments() {
+        if (!Recorder.hasRecoverableSession(this.recovery)) {
+            return [];
+        }
+
+        const segments = [];
+        let resumeFrom = this.recovery.currentTime || 0;
+        for (const segment of this.recovery.segments) {
+            if (!hasSegmentData(segment)) {
+                resumeFrom = segment.startOffset;
+                break;
+            }
+            segments.push({ ...segment });
+        }
+
+        const last = segments[segments.length - 1];
+        if (last && last.endOffset === undefined) {
+            last.endOffset = resumeFrom;
+        }
+
+        this.resumeFrom = resumeFrom;
+        this.lastPlaybackTime = resumeFrom;
+        this.playbackDuration = this.recovery.duration || 0;
+        return segments;
     }
 
     async initialize() {
@@ -52,13 +269,32 @@ class Recorder {
             ensureDir(BASE_TEMP_DIR);
             ensureDir(EXPORT_DIR);
 
-            this.sessionId = getTimestamp();
-            this.outputWebM = path.join(BASE_TEMP_DIR, `recording_${this.sessionId}.webm`);
-            this.outputMP4 = path.join(EXPORT_DIR, `meeting_${this.sessionId}.mp4`);
-            this.publicDownloadUrl = `/exports/meeting_${this.sessionId}.mp4`;
+            this.sessionId = this.recovery?.sessionId || getTimestamp();
+            this.startedAt = this.recovery?.startedAt || new Date().toISOString();
+            lockSession(this.sessionId);
+            this.openLog();
+            this.segments = this.restoreSegments();
+            this.outputWebM = path.join(
+                BASE_TEMP_DIR,
+                this.segments.length
+                    ? `recording_${this.sessionId}_part${this.segments.length + 1}.webm`
+                    : `recording_${this.sessionId}.webm`
+            );
+            const profiles = this.audioOnly
+                ? [resolveAudioProfile(this.audioFormat)]
+                : resolveProfiles(this.profileNames);
+            this.renditions = profiles.map((profile) => {
+                const suffix = profile.name === 'default' || this.audioOnly ? '' : `.${profile.name}`;
+                const file = this.getExportFile(`${suffix}.${profile.container}`);
+                return { profile: profile.name, settings: profile, path: file.path, url: file.url };
+            });
+            this.outputMP4 = this.renditions[0].path;
+            this.publicDownloadUrl = this.renditions[0].url;
 
             if (fs.existsSync(this.outputWebM)) fs.unlinkSync(this.outputWebM);
-            if (fs.existsSync(this.outputMP4)) fs.unlinkSync(this.outputMP4);
+            this.renditions.forEach((rendition) => {
+                if (fs.existsSync(rendition.path)) fs.unlinkSync(rendition.path);
+            });
 
             this.isInitialized = true;
             this.updateProgress('Environment ready', 100);
@@ -66,7 +302,7 @@ class Recorder {
         } catch (error) {
             this.isInitialized = false;
             if (this.errorCallback) {
-                this.errorCallback(error.message);
+                this.errorCallback(error);
             }
             throw error;
         }
@@ -90,13 +326,689 @@ class Recorder {
     }
 
     setCallbacks(progressCallback, errorCallback) {
-        this.progressCallback = progressCallback;
-        this.errorCallback = errorCallback;
+        this.progressCallback = progressCallback && ((type, data = {}) => {
+            this.logEvent(type, data);
+            progressCallback(type, data);
+        });
+        // Errors arrive as messages or as Error objects; the latter say whether retrying can help
+        this.errorCallback = errorCallback && ((error) => {
+            const message = typeof error === 'string' ? error : error.message || String(error);
+            this.log('error', 'recorder', message);
+            errorCallback(message, { permanent: Boolean(error?.permanent) });
+        });
+    }
+
+    log(level, source, message, data = {}) {
+        if (this.logger) {
+            this.logger.log(level, source, message, data);
+        } else {
+            this.pendingLog.push({ level, source, message, data });
+        }
+    }
+
+    // Entries logged before the session id is known are written once the log file exists
+    openLog() {
+        if (this.logger) return;
+
+        this.logger = new JobLogger({ sessionId: this.sessionId, jobId: this.jobId });
+        this.log('info', 'recorder', this.recovery ? 'Resuming recording session' : 'Starting recording session', {
+            meetingUrl: this.meetingUrl,
+            exportMode: this.exportMode,
+            playbackRate: this.playbackRate,
+            attempt: this.attempt,
+            preferredStrategy: this.preferredStrategy
+        });
+        this.pendingLog.splice(0).forEach(({ level, source, message, data }) => {
+            this.logger.log(level, source, message, data);
+        });
+        if (this.progressCallback) {
+            this.progressCallback('session', { sessionId: this.sessionId });
+        }
+    }
+
+    logEvent(type, data) {
+        if (type === 'checkpoint' || type === 'session') return;
+
+        if (data.step !== undefined && data.step !== this.loggedStep) {
+            const now = Date.now();
+            if (this.loggedStep !== null) {
+                this.log('info', 'timing', `Step ${this.loggedStep} took ${Math.round((now - this.stepStartedAt) / 1000)}s`, {
+                    step: this.loggedStep,
+                    durationMs: now - this.stepStartedAt
+                });
+            }
+            this.loggedStep = data.step;
+            this.stepStartedAt = now;
+        }
+
+        // Chunk progress arrives every few seconds; it is kept in chunkStats instead
+        if (data.recordedBytes !== undefined) return;
+
+        const { message, ...details } = data;
+        const fields = Object.fromEntries(Object.entries(details)
+            .filter(([, value]) => value === null || typeof value !== 'object'));
+        const level = { error: 'error', cancelled: 'warn' }[type] || (data.currentTime !== undefined ? 'debug' : 'info');
+        this.log(level, type, message || type, fields);
+    }
+
+    async execFFmpeg(label, args, options = {}) {
+        const command = ['ffmpeg', ...args].map(quoteArg).join(' ');
+        const entry = { label, command, startedAt: new Date().toISOString(), durationMs: null, error: null };
+        this.ffmpegCommands.push(entry);
+        if (this.ffmpegCommands.length > DIAGNOSTIC_COMMAND_COUNT) this.ffmpegCommands.shift();
+
+        this.log('info', 'ffmpeg', `Running FFmpeg (${label})`, { command });
+        const started = Date.now();
+        try {
+            const stderr = await runFFmpeg(args, options);
+            entry.durationMs = Date.now() - started;
+            this.log('debug', 'ffmpeg', `FFmpeg (${label}) finished`, { durationMs: entry.durationMs, stderr });
+            return stderr;
+        } catch (error) {
+            entry.durationMs = Date.now() - started;
+            entry.error = error.message;
+            this.log('error', 'ffmpeg', `FFmpeg (${label}) failed`, { durationMs: entry.durationMs, stderr: error.message });
+            throw error;
+        }
+    }
+
+    async describePage() {
+        if (!this.page) return null;
+
+        const [screenshot, dom, state, browserVersion] = await withTimeout(Promise.all([
+            this.page.screenshot({ encoding: 'base64', type: 'png' }),
+            this.page.content(),
+            this.page.evaluate(() => {
+                const video = document.querySelector('video');
+                return {
+                    url: window.location.href,
+                    title: document.title,
+                    mediaRecorderState: window.mediaRecorder ? window.mediaRecorder.state : null,
+                    video: video
+                        ? {
+                            currentTime: video.currentTime,
+                            duration: video.duration,
+                            paused: video.paused,
+                            ended: video.ended,
+                            playbackRate: video.playbackRate,
+                            readyState: video.readyState,
+                            networkState: video.networkState,
+                            error: video.error ? video.error.message || video.error.code : null
+                        }
+                        : null
+                };
+            }),
+            this.browser ? this.browser.version() : null
+        ]), DIAGNOSTICS_TIMEOUT_MS);
+
+        return { ...state, browserVersion, screenshot, dom };
+    }
+
+    // Everything needed to triage a failure without reproducing it, saved next to the job log
+    async saveDiagnostics(error) {
+        if (!this.logger) return;
+
+        let page = null;
+        try {
+            page = await this.describePage();
+        } catch (pageError) {
+            page = { error: `Failed to capture page state: ${pageError.message}` };
+        }
+
+        try {
+            const filePath = this.logger.writeDiagnostics({
+                error: { message: error?.message || String(error), stack: error?.stack || null },
+                meetingUrl: this.meetingUrl,
+                exportMode: this.exportMode,
+                captureStrategy: this.captureStrategy,
+                playbackRate: this.playbackRate,
+                step: this.currentStep,
+                totalSteps: this.totalSteps,
+                playback: { currentTime: this.lastPlaybackTime, duration: this.playbackDuration },
+                segments: this.segments,
+                recordedBytes: this.totalSize,
+                chunkStats: this.chunkStats,
+                ffmpegCommands: this.ffmpegCommands,
+                page
+            });
+            this.log('info', 'recorder', 'Saved diagnostics bundle', { filePath });
+        } catch (writeError) {
+            console.warn('Failed to save diagnostics bundle:', writeError.message);
+        }
+    }
+
+    getExportFile(suffix) {
+        const fileName = `meeting_${this.sessionId}${suffix}`;
+        return {
+            path: path.join(EXPORT_DIR, fileName),
+            url: exportUrl(fileName)
+        };
+    }
+
+    outputRate(segment) {
+        return this.fastCapture ? 1 : segment.playbackRate || this.playbackRate;
+    }
+
+    // Capture rate that conversion has to undo, or null when the output keeps the capture timing
+    getRestoreRate() {
+        if (!this.fastCapture) return null;
+
+        const rate = this.segments[0]?.playbackRate || this.playbackRate;
+        return rate !== 1 ? rate : null;
+    }
+
+    // Chromium mutes the page past audioMax, so those captures are exported without an audio track
+    dropsAudio() {
+        return this.dropAudio && Boolean(this.getRestoreRate());
+    }
+
+    // Only playback inside the requested ranges ends up in the output
+    toOutputTime(playbackTime) {
+        if (this.captureStrategy === 'assets' || this.captureStrategy === 'assetAudio' || !this.segments.length) {
+            return capturedLength(this.ranges, 0, playbackTime);
+        }
+
+        let outputTime = 0;
+        for (const segment of this.segments) {
+            const rate = this.outputRate(segment);
+            const end = segment.endOffset ?? Infinity;
+            if (playbackTime < segment.startOffset) {
+                return outputTime;
+            }
+            if (playbackTime <= end) {
+                return outputTime + (capturedLength(this.ranges, segment.startOffset, playbackTime) / rate);
+            }
+            outputTime += capturedLength(this.ranges, segment.startOffset, end) / rate;
+        }
+        return outputTime;
+    }
+
+    getOutputDuration() {
+        const playbackEnd = this.lastPlaybackTime || this.playbackDuration;
+        return Math.round(this.toOutputTime(playbackEnd) * 1000) / 1000;
+    }
+
+    async collectMeetingData(meetingUrl) {
+        await this.collectChat(meetingUrl);
+        await this.collectSlideTimeline(meetingUrl);
+    }
+
+    async collectSlideTimeline(meetingUrl) {
+        const assets = resolvePlaybackAssets(meetingUrl);
+        if (!assets) return;
+
+        try {
+            const svg = await fetchText(assets.assetUrl('shapes.svg'), { optional: true });
+            if (!svg) return;
+            this.slideTimeline = parseSlideTimeline(svg);
+        } catch (error) {
+            console.warn('Failed to load slide timeline:', error.message);
+            return;
+        }
+
+        if (!this.chapterTitles) return;
+
+        const slides = Array.from(new Map(this.slideTimeline.map((slide) => [slide.href, slide])).values());
+        for (let index = 0; index < slides.length; index += TITLE_FETCH_BATCH) {
+            await Promise.all(slides.slice(index, index + TITLE_FETCH_BATCH).map(async (slide) => {
+                try {
+                    const text = await fetchText(
+                        assets.assetUrl(`presentation/${slide.presentationId}/textfiles/slide-${slide.slide}.txt`),
+                        { optional: true }
+                    );
+                    const title = titleFromText(text);
+                    if (title) {
+                        this.slideTitles.set(slide.href, title);
+                    }
+                } catch (error) {
+                    console.warn(`Failed to load text for slide ${slide.slide}:`, error.message);
+                }
+            }));
+        }
+    }
+
+    async collectChat(meetingUrl) {
+        const assets = resolvePlaybackAssets(meetingUrl);
+        if (assets) {
+            try {
+                const xml = await fetchText(assets.assetUrl('slides_new.xml'), { optional: true });
+                if (xml) {
+                    this.chatMessages = parseChatTimeline(xml);
+                    return;
+                }
+            } catch (error) {
+                console.warn('Failed to load chat timeline:', error.message);
+            }
+        }
+
+        if (!this.page) return;
+
+        try {
+            const entries = await this.page.evaluate(() => {
+                const items = document.querySelectorAll('.chat .message, .chat-wrapper .message, [class*="chat"] [class*="message-wrapper"]');
+                return Array.from(items).map((item) => {
+                    const pick = (selectors) => {
+                        const element = item.querySelector(selectors);
+                        return element ? element.textContent.trim() : '';
+                    };
+                    return {
+                        clock: pick('.timestamp, [class*="time"]'),
+                        name: pick('.name, .sender, [class*="name"]'),
+                        message: pick('.text, .content, [class*="text"]')
+                    };
+                });
+            });
+
+            this.chatMessages = entries
+                .map((entry) => ({
+                    time: parseClockTime(entry.clock),
+                    name: entry.name || 'Unknown',
+                    message: entry.message
+                }))
+                .filter((entry) => entry.time !== null && entry.message);
+        } catch (error) {
+            console.warn('Failed to read chat from playback page:', error.message);
+        }
+    }
+
+    exportChat() {
+        if (!this.chatMessages || !this.chatMessages.length) {
+            return null;
+        }
+
+        const files = {
+            json: this.getExportFile('.chat.json'),
+            txt: this.getExportFile('.chat.txt'),
+            vtt: this.getExportFile('.chat.vtt')
+        };
+        const messages = this.chatMessages
+            .filter((entry) => isInRanges(this.ranges, entry.time))
+            .map((entry) => ({
+                ...entry,
+                outputTime: Math.round(this.toOutputTime(entry.time) * 1000) / 1000
+            }));
+        if (!messages.length) return null;
+
+        try {
+            writeChatTranscript(messages, {
+                meeting: { title: this.meetingTitle, sessionId: this.sessionId },
+                files
+            });
+        } catch (error) {
+            console.warn('Failed to export chat transcript:', error.message);
+            return null;
+        }
+
+        return {
+            messageCount: messages.length,
+            downloads: {
+                json: files.json.url,
+                txt: files.txt.url,
+                vtt: files.vtt.url
+            }
+        };
+    }
+
+    describeRenditions() {
+        return this.renditions.map((rendition) => ({
+            profile: rendition.profile,
+            filePath: rendition.path,
+            downloadUrl: rendition.url,
+            size: fileSize(rendition.path)
+        }));
+    }
+
+    saveManifest({ cancelled, ...payload }) {
+        try {
+            writeManifest({
+                id: this.sessionId,
+                jobId: this.jobId,
+                owner: this.owner,
+                sourceUrl: this.meetingUrl,
+                title: this.meetingTitle,
+                status: cancelled ? 'partial' : 'complete',
+                createdAt: this.startedAt,
+                finishedAt: new Date().toISOString(),
+                size: fileSize(payload.filePath),
+                ...payload
+            });
+        } catch (error) {
+            console.warn('Failed to write export manifest:', error.message);
+        }
+    }
+
+    async completeExport(outputPaths, { message, cancelled = false }) {
+        const exports = await this.finalizeExports(outputPaths);
+        const payload = {
+            cancelled,
+            filePath: outputPaths[0],
+            downloadUrl: this.publicDownloadUrl,
+            captureStrategy: this.captureStrategy,
+            playbackRate: this.playbackRate,
+            fastCapture: Boolean(this.getRestoreRate()),
+            audioDropped: this.dropsAudio(),
+            ranges: this.ranges,
+            layout: this.layout.name,
+            capture: this.captureResult,
+            transcode: this.transcodeMode,
+            duration: this.getOutputDuration(),
+            renditions: this.describeRenditions(),
+            ...exports,
+            needsReview: exports.verification?.passed === false
+        };
+        this.saveManifest(payload);
+
+        if (this.progressCallback) {
+            this.progressCallback('complete', {
+                message: payload.needsReview ? `${message}; the output needs review` : message,
+                ...payload
+            });
+        }
+    }
+
+    async embedChapters(filePath, metadataPath) {
+        const extension = path.extname(filePath).slice(1);
+        if (!CHAPTER_CONTAINERS.includes(extension)) return;
+
+        const tempPath = filePath.replace(/(\.[^.]+)$/, '.chapters$1');
+        await this.execFFmpeg('chapters', [
+            '-y',
+            '-i', filePath,
+            '-f', 'ffmetadata',
+            '-i', metadataPath,
+            '-map', '0',
+            '-map_metadata', '1',
+            '-map_chapters', '1',
+            '-c', 'copy',
+            ...(MP4_FAMILY.includes(extension) ? ['-movflags', '+faststart'] : []),
+            tempPath
+        ], { timeoutMs: estimateTimeout(fs.statSync(filePath).size) });
+        fs.renameSync(tempPath, filePath);
+    }
+
+    async exportChapters(outputFiles) {
+        if (!this.slideTimeline || !this.slideTimeline.length) {
+            return null;
+        }
+
+        const slides = this.slideTimeline.filter((slide) => capturedLength(this.ranges, slide.start, slide.end) > 0);
+        const chapters = buildChapters(slides, {
+            titles: this.slideTitles,
+            toOutputTime: (time) => this.toOutputTime(time),
+            duration: this.toOutputTime(this.playbackDuration)
+        });
+        if (!chapters.length) return null;
+
+        const files = {
+            json: this.getExportFile('.chapters.json'),
+            vtt: this.getExportFile('.chapters.vtt')
+        };
+        const metadataPath = path.join(BASE_TEMP_DIR, `chapters_${this.sessionId}.txt`);
+
+        try {
+            writeChapters(chapters, {
+                meeting: { title: this.meetingTitle, sessionId: this.sessionId },
+                files
+            });
+            fs.writeFileSync(metadataPath, formatFfmetadata(chapters, { title: this.meetingTitle }));
+
+            for (const filePath of outputFiles) {
+                if (this.progressCallback) {
+                    this.progressCallback('progress', {
+                        message: `Embedding ${chapters.length} chapters...`
+                    });
+                }
+                await this.embedChapters(filePath, metadataPath);
+            }
+        } catch (error) {
+            console.warn('Failed to export chapters:', error.message);
+            return null;
+        } finally {
+            if (fs.existsSync(metadataPath)) fs.unlinkSync(metadataPath);
+        }
+
+        return {
+            count: chapters.length,
+            downloads: {
+                json: files.json.url,
+                vtt: files.vtt.url
+            }
+        };
+    }
+
+    async checkSync(outputFiles) {
+        if (!this.getRestoreRate() || this.dropsAudio()) return null;
+
+        const videoOutputs = this.renditions
+            .filter((rendition) => !rendition.settings.audioOnly && outputFiles.includes(rendition.path));
+        const results = [];
+        for (const rendition of videoOutputs) {
+            try {
+                const { streams } = await probeMedia(rendition.path);
+                const video = streams.find((stream) => stream.type === 'video');
+                const audio = streams.find((stream) => stream.type === 'audio');
+                if (!video?.duration || !audio?.duration) continue;
+
+                const drift = Math.round(Math.abs(video.duration - audio.duration) * 1000) / 1000;
+                results.push({
+                    profile: rendition.profile,
+                    videoDuration: video.duration,
+                    audioDuration: audio.duration,
+                    drift,
+                    inSync: drift <= SYNC_TOLERANCE
+                });
+            } catch (error) {
+                console.warn(`Failed to probe ${rendition.path} for A/V sync:`, error.message);
+            }
+        }
+        if (!results.length) return null;
+
+        const drifting = results.filter((result) => !result.inSync);
+        if (drifting.length) {
+            const message = `Audio and video drift by up to ${Math.max(...drifting.map((result) => result.drift))}s after restoring the ${this.getRestoreRate()}x capture`;
+            console.warn(message);
+            if (this.progressCallback) {
+                this.progressCallback('progress', { message });
+            }
+        }
+        return { inSync: !drifting.length, tolerance: SYNC_TOLERANCE, renditions: results };
+    }
+
+    // Transcription runs after the capture steps as one extra step
+    reportTranscription(message, percent) {
+        if (!this.progressCallback) return;
+
+        const totalSteps = this.totalSteps + 1;
+        this.progressCallback('progress', {
+            message,
+            stage: 'transcription',
+            step: this.totalSteps,
+            totalSteps,
+            progress: Math.min(99, Math.round(((this.totalSteps + (percent / 100)) / totalSteps) * 100))
+        });
+    }
+
+    async embedSubtitles(filePath, subtitles) {
+        const extension = path.extname(filePath).slice(1);
+        const codec = SUBTITLE_CODECS[extension];
+        if (!codec) return false;
+
+        const tempPath = filePath.replace(/(\.[^.]+)$/, '.subtitles$1');
+        await this.execFFmpeg('subtitles', [
+            '-y',
+            '-i', filePath,
+            '-i', codec === 'webvtt' ? subtitles.vtt : subtitles.srt,
+            '-map', '0',
+            '-map', '1',
+            '-c', 'copy',
+            '-c:s', codec,
+            '-metadata:s:s:0', 'title=Captions',
+            ...(MP4_FAMILY.includes(extension) ? ['-movflags', '+faststart'] : []),
+            tempPath
+        ], { timeoutMs: estimateTimeout(fs.statSync(filePath).size) });
+        fs.renameSync(tempPath, filePath);
+        return true;
+    }
+
+    async exportSubtitles(outputFiles) {
+        const settings = getTranscriptionSettings();
+        if (!(this.transcribe ?? settings.enabled) || !outputFiles.length) {
+            return null;
+        }
+
+        const files = {
+            srt: this.getExportFile('.subtitles.srt'),
+            vtt: this.getExportFile('.subtitles.vtt')
+        };
+        const workDir = path.join(BASE_TEMP_DIR, `transcription_${this.sessionId}`);
+
+        try {
+            const result = await transcribe({
+                inputPath: outputFiles[0],
+                workDir,
+                language: this.transcriptionLanguage,
+                duration: this.getOutputDuration(),
+                onProgress: (percent, message) => this.reportTranscription(message, percent)
+            });
+            if (!result.segments.length) {
+                this.reportTranscription('No speech found to transcribe', 100);
+                return null;
+            }
+
+            fs.writeFileSync(files.srt.path, formatSrt(result.segments));
+            fs.writeFileSync(files.vtt.path, formatVtt(result.segments));
+
+            const embedded = [];
+            if (settings.embed) {
+                this.reportTranscription('Adding captions to the recording...', 95);
+                for (const rendition of this.renditions) {
+                    if (rendition.settings.audioOnly || !outputFiles.includes(rendition.path)) continue;
+                    if (await this.embedSubtitles(rendition.path, { srt: files.srt.path, vtt: files.vtt.path })) {
+                        embedded.push(rendition.profile);
+                    }
+                }
+            }
+            this.reportTranscription(`Transcribed ${result.segments.length} captions`, 100);
+
+            return {
+                engine: result.engine,
+                language: result.language,
+                cueCount: result.segments.length,
+                embedded,
+                downloads: {
+                    srt: files.srt.url,
+                    vtt: files.vtt.url
+                }
+            };
+        } catch (error) {
+            console.warn('Failed to transcribe recording:', error.message);
+            this.reportTranscription(`Transcription failed: ${error.message}`, 100);
+            return null;
+        } finally {
+            fs.rmSync(workDir, { recursive: true, force: true });
+        }
+    }
+
+    async finalizeExports(outputFiles) {
+        const exports = {
+            sync: await this.checkSync(outputFiles),
+            chat: this.exportChat(),
+            subtitles: await this.exportSubtitles(outputFiles),
+            chapters: await this.exportChapters(outputFiles)
+        };
+        // Runs last, on the files as they will be delivered
+        exports.verification = await this.verifyOutput(outputFiles);
+        return exports;
+    }
+
+    async verifyOutput(outputFiles) {
+        const settings = getVerificationSettings();
+        if (!settings.enabled) return null;
+
+        const expectedDuration = this.getOutputDuration();
+        const renditions = this.renditions.filter((rendition) => outputFiles.includes(rendition.path));
+        const results = [];
+        for (const [index, rendition] of renditions.entries()) {
+            if (this.progressCallback) {
+                this.progressCallback('progress', {
+                    message: `Verifying ${path.basename(rendition.path)}...`,
+                    stage: 'verification',
+                    step: this.totalSteps - 1,
+                    totalSteps: this.totalSteps,
+                    progress: 99
+                });
+            }
+
+            try {
+                const report = await verifyMedia(rendition.path, {
+                    expectedDuration,
+                    expectVideo: !rendition.settings.audioOnly,
+                    // Fast capture without audio writes video-only renditions on purpose
+                    expectAudio: !this.dropsAudio(),
+                    // Defects look the same in every rendition, so the full decode only runs on the first
+                    settings: index === 0 ? settings : { ...settings, detect: false },
+                    runFFmpeg: (args, options) => this.execFFmpeg('verify', args, options)
+                });
+                results.push({ profile: rendition.profile, ...report });
+            } catch (error) {
+                results.push({ profile: rendition.profile, issues: [`Could not verify the output: ${error.message}`] });
+            }
+        }
+
+        const issues = results.flatMap((result) => result.issues.map((issue) => (
+            renditions.length > 1 ? `${result.profile}: ${issue}` : issue
+        )));
+        if (issues.length) {
+            this.log('warn', 'verification', 'Output failed verification', { issues: issues.join('; ') });
+        }
+
+        return {
+            passed: !issues.length,
+            checkedAt: new Date().toISOString(),
+            thresholds: settings.thresholds,
+            issues,
+            renditions: results
+        };
+    }
+
+    emitCheckpoint(additionalData = {}) {
+        if (!this.progressCallback || !this.sessionId) return;
+
+        this.progressCallback('checkpoint', {
+            sessionId: this.sessionId,
+            startedAt: this.startedAt,
+            segments: this.segments.map((segment) => ({ ...segment })),
+            currentTime: this.lastPlaybackTime,
+            duration: this.playbackDuration,
+            ...additionalData
+        });
     }
 
     async startRecording(meetingUrl) {
+        this.meetingUrl = meetingUrl;
         try {
             await this.initialize();
+            assertFreeSpace(BASE_TEMP_DIR);
+
+            const rangesDone = nextCaptureTime(this.ranges, this.resumeFrom) === null;
+            if ((this.recovery?.captureComplete || rangesDone) && this.segments.length) {
+                await this.collectMeetingData(meetingUrl);
+                this.currentStep = this.totalSteps - 1;
+                this.updateProgress('Recovering completed capture...', 90);
+                await this.stopRecording({ reason: 'Resuming conversion of recovered capture' });
+                return;
+            }
+
+            if (this.exportMode !== 'capture' && !this.segments.length) {
+                if (await this.exportFromAssets(meetingUrl)) {
+                    unlockSession(this.sessionId);
+                    return;
+                }
+            }
+
+            // Audio-only jobs only need the page to play; keep the window small
+            // The window, the viewport and the display-media constraints all follow the capture settings
+            const frame = this.audioOnly ? { width: 640, height: 360 } : { width: this.capture.width, height: this.capture.height };
 
             this.updateProgress('Launching browser...', 10);
             this.browser = await puppeteer.launch({
@@ -114,7 +1026,7 @@ class Recorder {
                     '--disable-features=IsolateOrigins,site-per-process',
                     '--enable-audio-autoplay',
                     '--disable-audio-output',
-                    '--window-size=1920,1080'
+                    `--window-size=${frame.width},${frame.height}`
                 ]
             });
             this.updateProgress('Browser ready', 100);
@@ -122,7 +1034,7 @@ class Recorder {
             this.currentStep = 2;
             this.updateProgress('Preparing page...', 0);
             this.page = await this.browser.newPage();
-            await this.page.setViewport({ width: 1280, height: 720 });
+            await this.page.setViewport({ ...frame, deviceScaleFactor: 1 });
             await this.page.setDefaultTimeout(this.BASE_TIMEOUT);
             this.setupPageHandlers();
             this.updateProgress('Page prepared', 100);
@@ -132,7 +1044,11 @@ class Recorder {
             await this.page.goto(meetingUrl, { waitUntil: 'networkidle2', timeout: 0 });
             await sleep(3000);
             await this.ensureVideoReady();
-            await this.applyPlayerStyling();
+            this.meetingTitle = await this.page.title() || null;
+            await this.collectMeetingData(meetingUrl);
+            if (!this.audioOnly) {
+                await this.applyPlayerStyling();
+            }
             this.updateProgress('Meeting ready', 100);
 
             this.currentStep = 4;
@@ -150,30 +1066,148 @@ class Recorder {
             });
             this.startRecordingMonitor();
         } catch (error) {
-            if (this.errorCallback) this.errorCallback(error.message);
+            if (this.isCancelled) return;
+            if (this.errorCallback) this.errorCallback(error);
             await this.stopRecording({ error });
             throw error;
         }
     }
 
+    async exportFromAssets(meetingUrl) {
+        const assets = resolvePlaybackAssets(meetingUrl);
+        if (!assets) {
+            if (this.exportMode === 'assets') {
+                throw createPermanentError('Asset export requires a BigBlueButton presentation playback URL');
+            }
+            return false;
+        }
+
+        if (this.audioOnly) {
+            return this.exportAudioFromAssets(meetingUrl, assets);
+        }
+
+        if (!this.layout.assets) {
+            if (this.exportMode === 'assets') {
+                throw createPermanentError(`The ${this.layout.name} layout shows the chat, which only screen capture can record`);
+            }
+            return false;
+        }
+
+        this.assetExporter = new PresentationExporter({
+            assets,
+            workDir: path.join(BASE_TEMP_DIR, `assets_${this.sessionId}`),
+            ranges: this.ranges,
+            layout: this.layout,
+            runFFmpeg: (args, options) => this.execFFmpeg('composite', args, options),
+            outputs: this.renditions.map((rendition) => ({ path: rendition.path, profile: rendition.settings })),
+            onProgress: (data) => {
+                if (this.progressCallback) {
+                    this.progressCallback('progress', { ...data, captureStrategy: 'assets' });
+                }
+            }
+        });
+
+        try {
+            const result = await this.assetExporter.run();
+            this.captureStrategy = 'assets';
+            this.playbackDuration = result.duration;
+            this.playbackRate = 1;
+            this.meetingTitle = result.meetingName;
+            await this.collectMeetingData(meetingUrl);
+
+            await this.completeExport(result.outputPaths, { message: 'Recording exported successfully' });
+            return true;
+        } catch (error) {
+            if (this.isCancelled) return true;
+            if (this.exportMode === 'assets') throw error;
+
+            console.warn('Asset export failed, falling back to screen capture:', error.message);
+            this.updateProgress('Asset export unavailable, falling back to screen capture...', 0);
+            return false;
+        } finally {
+            this.assetExporter.cleanup();
+            this.assetExporter = null;
+        }
+    }
+
+    async exportAudioFromAssets(meetingUrl, assets) {
+        this.totalSteps = 3;
+        this.currentStep = 1;
+        this.updateProgress('Downloading meeting audio...', 0, { captureStrategy: 'assetAudio' });
+
+        let audioPath = null;
+        try {
+            const metadataXml = await fetchText(assets.assetUrl('metadata.xml'), { optional: true });
+            if (metadataXml) {
+                const metadata = parseMetadata(metadataXml);
+                this.meetingTitle = metadata.meetingName;
+                this.playbackDuration = metadata.duration;
+            }
+
+            for (const name of AUDIO_ASSETS) {
+                const destination = path.join(BASE_TEMP_DIR, `recording_${this.sessionId}${path.extname(name)}`);
+                if (await downloadFile(assets.assetUrl(name), destination, { optional: true })) {
+                    audioPath = destination;
+                    break;
+                }
+            }
+            if (!audioPath) {
+                throw new Error(`Recording asset not found: ${AUDIO_ASSETS.join(' or ')}`);
+            }
+        } catch (error) {
+            if (this.isCancelled) return true;
+            if (this.exportMode === 'assets') throw error;
+
+            console.warn('Audio asset download failed, falling back to audio capture:', error.message);
+            this.totalSteps = 6;
+            this.currentStep = 1;
+            this.updateProgress('Audio asset unavailable, falling back to audio capture...', 0);
+            return false;
+        }
+
+        if (this.isCancelled) {
+            fs.unlinkSync(audioPath);
+            return true;
+        }
+
+        this.captureStrategy = 'assetAudio';
+        this.playbackRate = 1;
+        this.outputWebM = audioPath;
+        this.segments = [{ file: path.basename(audioPath), startOffset: 0, playbackRate: 1 }];
+        this.updateProgress('Meeting audio downloaded', 100, { captureStrategy: this.captureStrategy });
+
+        await this.collectMeetingData(meetingUrl);
+        this.currentStep = 2;
+        await this.stopRecording({ reason: 'Converting meeting audio...' });
+        return true;
+    }
+
     setupPageHandlers() {
         if (!this.page) return;
 
         this.page.on('console', (msg) => {
             const text = msg.text();
             if (text) {
-                console.log('Browser console:', text);
+                this.log(CONSOLE_LEVELS[msg.type()] || 'info', 'browser', text);
             }
         });
 
+        this.page.on('requestfailed', (request) => {
+            this.log('warn', 'browser', `Request failed: ${request.url()}`, {
+                error: request.failure()?.errorText || null
+            });
+        });
+
         this.page.on('error', async (err) => {
             console.error('Page error:', err);
+            this.log('error', 'browser', `Page crashed: ${err.message}`);
             if (this.errorCallback) this.errorCallback(err.message);
             await this.stopRecording({ error: err });
         });
 
         this.page.on('pageerror', async (err) => {
             console.error('Browser page error:', err);
+            this.log('error', 'browser', `Page error: ${err.message}`, { stack: err.stack || null });
             if (this.errorCallback) this.errorCallback(err.message);
             await this.stopRecording({ error: err });
         });
@@ -216,6 +1250,53 @@ class Recorder {
                 });
             });
         });
+
+        if (this.layout.regions) {
+            await this.applyLayout();
+        }
+    }
+
+    // Pins the panes of the layout to their regions and hides everything else on the page
+    async applyLayout() {
+        const found = await this.page.evaluate((regions, paneSelectors) => {
+            const result = {};
+            Object.entries(paneSelectors).forEach(([pane, selectors]) => {
+                const element = selectors.map((selector) => document.querySelector(selector)).find(Boolean);
+                result[pane] = Boolean(element);
+                if (!element) return;
+
+                const region = regions[pane === 'deskshare' ? 'slides' : pane];
+                if (!region) return;
+
+                element.setAttribute('data-bbb-layout-pane', pane);
+                [
+                    ['position', 'fixed'],
+                    ['left', `${region.x * 100}vw`],
+                    ['top', `${region.y * 100}vh`],
+                    ['width', `${region.width * 100}vw`],
+                    ['height', `${region.height * 100}vh`],
+                    ['margin', '0'],
+                    ['z-index', pane === 'slides' || pane === 'deskshare' ? '10' : '20']
+                ].forEach(([property, value]) => element.style.setProperty(property, value, 'important'));
+            });
+
+            const style = document.createElement('style');
+            style.textContent = `
+                body * { visibility: hidden !important; }
+                [data-bbb-layout-pane], [data-bbb-layout-pane] * { visibility: visible !important; }
+                [data-bbb-layout-pane] video { width: 100% !important; height: 100% !important; object-fit: contain; }
+            `;
+            document.head.appendChild(style);
+            window.dispatchEvent(new Event('resize'));
+            return result;
+        }, this.layout.regions, getPaneSelectors());
+
+        const missing = Object.keys(this.layout.regions).filter((pane) => !found[pane]);
+        if (missing.length) {
+            const message = `Layout ${this.layout.name}: could not find the ${missing.join(', ')} area on the playback page`;
+            console.warn(message);
+            this.log('warn', 'layout', message, { found: JSON.stringify(found) });
+        }
     }
 
     async setupRecording() {
@@ -228,6 +1309,8 @@ class Recorder {
             console.error('Write stream error:', err);
             if (this.errorCallback) this.errorCallback('Failed to write recording data');
         });
+        this.startPreview();
+        this.startStreamingTranscode();
 
         await this.page.exposeFunction('saveChunk', async (chunkArray) => {
             if (!Array.isArray(chunkArray) || !this.writeStream) return false;
@@ -251,7 +1334,12 @@ class Recorder {
                 return false;
             }
 
+            if (this.preview) this.preview.write(buffer);
+            if (this.transcoder) this.transcoder.write(buffer);
             this.totalSize += buffer.length;
+            this.chunkStats.push({ at: new Date().toISOString(), bytes: buffer.length, totalBytes: this.totalSize });
+            if (this.chunkStats.length > DIAGNOSTIC_CHUNK_COUNT) this.chunkStats.shift();
+            this.checkDiskSpace();
 
             if (this.progressCallback) {
                 const recordedMB = (this.totalSize / (1024 * 1024)).toFixed(1);
@@ -266,7 +1354,7 @@ class Recorder {
             return true;
         });
 
-        const recordingResult = await this.page.evaluate(async (desiredPlaybackRate) => {
+        const recordingResult = await this.page.evaluate(async (desiredPlaybackRate, startAt, audioOnly, ranges, preferredStrategy, capture) => {
             if (!window.__bbbRecorderInitialized) {
                 window.__bbbRecorderInitialized = true;
             }
@@ -299,6 +1387,15 @@ class Recorder {
                 }
             }
 
+            const seekTo = (time) => new Promise((resolve) => {
+                video.addEventListener('seeked', resolve, { once: true });
+                video.currentTime = time;
+            });
+
+            if (startAt > 0) {
+                await seekTo(startAt);
+            }
+
             const tryCaptureStream = () => {
                 if (video.captureStream) {
                     try {
@@ -319,15 +1416,15 @@ class Recorder {
             };
 
             let captureStream = null;
-            let strategy = 'displayMedia';
+            let strategy = audioOnly ? 'audioContext' : 'displayMedia';
 
             const ensureHasVideo = (stream) => stream && stream.getVideoTracks && stream.getVideoTracks().length;
 
             const requestDisplayMedia = async () => navigator.mediaDevices.getDisplayMedia({
                 video: {
-                    frameRate: { ideal: 60, max: 60 },
-                    width: { ideal: 1920 },
-                    height: { ideal: 1080 },
+                    frameRate: { ideal: capture.fps, max: capture.fps },
+                    width: { ideal: capture.width, max: capture.width },
+                    height: { ideal: capture.height, max: capture.height },
                     displaySurface: 'browser'
                 },
                 audio: {
@@ -339,24 +1436,39 @@ class Recorder {
                 }
             });
 
-            try {
-                captureStream = await requestDisplayMedia();
-            } catch (err) {
-                console.warn('getDisplayMedia failed, falling back to direct capture:', err);
-            }
+            if (!audioOnly) {
+                const candidates = preferredStrategy === 'captureStream'
+                    ? ['captureStream', 'displayMedia']
+                    : ['displayMedia', 'captureStream'];
 
-            if (!ensureHasVideo(captureStream)) {
-                captureStream = tryCaptureStream();
-                strategy = 'captureStream';
-            }
+                for (const candidate of candidates) {
+                    if (candidate === 'displayMedia') {
+                        try {
+                            captureStream = await requestDisplayMedia();
+                        } catch (err) {
+                            console.warn('getDisplayMedia failed:', err);
+                        }
+                    } else {
+                        captureStream = tryCaptureStream();
+                    }
+
+                    if (ensureHasVideo(captureStream)) {
+                        strategy = candidate;
+                        break;
+                    }
+                    console.warn(`${candidate} capture unavailable, trying the next strategy`);
+                }
 
-            if (!ensureHasVideo(captureStream)) {
-                throw new Error('Unable to capture playback stream');
+                if (!ensureHasVideo(captureStream)) {
+                    throw new Error('Unable to capture playback stream');
+                }
             }
 
             const finalStream = new MediaStream();
 
-            captureStream.getVideoTracks().forEach((track) => finalStream.addTrack(track));
+            if (captureStream) {
+                captureStream.getVideoTracks().forEach((track) => finalStream.addTrack(track));
+            }
 
             let audioAdded = false;
             const AudioContextConstructor = window.AudioContext || window.webkitAudioContext;
@@ -387,18 +1499,35 @@ class Recorder {
             }
 
             if (!audioAdded) {
-                const audioTracks = captureStream.getAudioTracks ? captureStream.getAudioTracks() : [];
+                if (!captureStream) {
+                    captureStream = tryCaptureStream();
+                    strategy = 'captureStream';
+                }
+                const audioTracks = captureStream && captureStream.getAudioTracks ? captureStream.getAudioTracks() : [];
                 audioTracks.forEach((track) => {
                     finalStream.addTrack(track);
                     audioAdded = true;
                 });
             }
 
-            window.mediaRecorder = new MediaRecorder(finalStream, {
-                mimeType: 'video/webm;codecs=vp8,opus',
-                videoBitsPerSecond: 8_000_000,
-                audioBitsPerSecond: 256_000
-            });
+            if (audioOnly && !audioAdded) {
+                throw new Error('Unable to capture playback audio');
+            }
+
+            // Use the first MIME type the browser can record; the requested codec comes first
+            const mimeTypes = audioOnly ? ['audio/webm;codecs=opus'] : capture.mimeTypes;
+            const mimeType = mimeTypes.find((type) => MediaRecorder.isTypeSupported(type));
+            if (!mimeType) {
+                throw new Error(`The browser cannot record any of: ${mimeTypes.join(', ')}`);
+            }
+
+            window.mediaRecorder = new MediaRecorder(finalStream, audioOnly
+                ? { mimeType, audioBitsPerSecond: capture.audioBitrate }
+                : {
+                    mimeType,
+                    videoBitsPerSecond: capture.videoBitrate,
+                    audioBitsPerSecond: capture.audioBitrate
+                });
 
             window.__bbbRecorderStopPromise = new Promise((resolve, reject) => {
                 window.mediaRecorder.onstop = () => resolve(true);
@@ -415,32 +1544,239 @@ class Recorder {
                 }
             };
 
-            window.__bbbRecorderStream = captureStream;
+            window.__bbbRecorderStream = captureStream || finalStream;
             window.mediaRecorder.start(5000);
+
+            // Pause the recorder at the end of each range and pick up again at the start of the next one
+            if (ranges) {
+                let switching = false;
+                const watchRanges = async () => {
+                    if (switching || window.mediaRecorder.state !== 'recording') return;
+
+                    const time = video.currentTime;
+                    const current = ranges.find((range) => range.end === null || time < range.end);
+                    if (current && time >= current.start - 1) return;
+
+                    switching = true;
+                    window.mediaRecorder.pause();
+                    if (!current) {
+                        video.pause();
+                        video.removeEventListener('timeupdate', watchRanges);
+                        window.__bbbRecorderRangesDone = true;
+                        return;
+                    }
+
+                    try {
+                        await seekTo(current.start);
+                        await video.play();
+                    } catch (error) {
+                        console.warn('Failed to continue with the next range:', error);
+                    }
+                    window.mediaRecorder.resume();
+                    switching = false;
+                };
+                video.addEventListener('timeupdate', watchRanges);
+            }
+            const [videoTrack] = finalStream.getVideoTracks();
+            const trackSettings = videoTrack ? videoTrack.getSettings() : {};
             return {
                 started: true,
                 strategy,
-                playbackRate: video.playbackRate
+                playbackRate: video.playbackRate,
+                startTime: video.currentTime || 0,
+                mimeType,
+                track: {
+                    width: trackSettings.width || null,
+                    height: trackSettings.height || null,
+                    fps: trackSettings.frameRate || null
+                }
             };
-        }, this.playbackRate);
+        }, this.playbackRate, nextCaptureTime(this.ranges, this.resumeFrom), this.audioOnly, this.ranges, this.preferredStrategy, this.capture);
 
         if (!recordingResult?.started) {
             throw new Error('Failed to start recording');
         }
 
+        this.segments.push({
+            file: path.basename(this.outputWebM),
+            startOffset: recordingResult.startTime,
+            playbackRate: recordingResult.playbackRate || this.playbackRate
+        });
+        this.emitCheckpoint();
+
         this.captureStrategy = recordingResult.strategy || 'captureStream';
+        this.checkCaptureSettings(recordingResult);
 
+        const captureMessages = {
+            displayMedia: 'Recording via tab capture',
+            audioContext: 'Recording audio only'
+        };
         this.updateProgress(
-            this.captureStrategy === 'displayMedia'
-                ? 'Recording via tab capture'
-                : 'Recording via direct media capture',
+            captureMessages[this.captureStrategy] || 'Recording via direct media capture',
             70,
-            { captureStrategy: this.captureStrategy, playbackRate: recordingResult.playbackRate }
+            { captureStrategy: this.captureStrategy, playbackRate: recordingResult.playbackRate, capture: this.captureResult }
         );
 
         await this.ensureVideoPlaying();
     }
 
+    // The preview is best effort: when it cannot keep up or FFmpeg fails, the capture carries on without it
+    startPreview() {
+        if (!this.livePreview) return;
+        const settings = getPreviewSettings();
+
+        const preview = new LivePreview({
+            dir: path.join(BASE_TEMP_DIR, `preview_${this.sessionId}`),
+            audioOnly: this.audioOnly,
+            settings,
+            onReady: () => {
+                this.log('info', 'preview', 'Live preview available');
+                if (this.progressCallback) this.progressCallback('progress', { message: 'Live preview available', preview: true });
+            },
+            onStopped: (reason) => {
+                if (this.preview === preview) this.preview = null;
+                if (reason) {
+                    console.warn(`Live preview stopped: ${reason}`);
+                    this.log('warn', 'preview', 'Live preview stopped', { reason });
+                }
+                if (this.progressCallback) {
+                    this.progressCallback('progress', { ...(reason ? { message: 'Live preview stopped' } : {}), preview: false });
+                }
+            }
+        });
+        try {
+            preview.start();
+            this.preview = preview;
+        } catch (error) {
+            console.warn('Failed to start the live preview:', error.message);
+            this.log('warn', 'preview', 'Failed to start the live preview', { reason: error.message });
+        }
+    }
+
+    // Encodes the renditions while capturing; the WebM is still written, so the conversion after
+    // capture remains available whenever the live encode cannot be used
+    startStreamingTranscode() {
+        if (!this.streamingTranscode) return;
+        if (this.segments.length) {
+            this.log('info', 'transcode', 'Resumed captures are converted after capture');
+            return;
+        }
+
+        const { fragmented, maxBacklogBytes } = getStreamingSettings();
+        const restoreRate = this.getRestoreRate();
+        const transcoder = new StreamingTranscoder({
+            args: this.buildRenditionArgs({ restoreRate, fragmented }),
+            outputPaths: this.renditions.map((rendition) => rendition.path),
+            maxBacklogBytes,
+            onFallback: (reason) => {
+                if (this.transcoder === transcoder) this.transcoder = null;
+                console.warn(`Live encode abandoned: ${reason.slice(0, 500)}`);
+                this.log('warn', 'transcode', 'Live encode abandoned', { reason });
+                if (this.progressCallback && !this.isStopping) {
+                    this.progressCallback('progress', { message: 'Live encode stopped; the recording will be converted after capture' });
+                }
+            }
+        });
+        transcoder.restoreRate = restoreRate;
+
+        try {
+            transcoder.start();
+            this.transcoder = transcoder;
+            this.log('info', 'transcode', 'Encoding while capturing', { fragmented, restoreRate });
+        } catch (error) {
+            this.log('warn', 'transcode', 'Failed to start the live encode', { reason: error.message });
+        }
+    }
+
+    // Returns the finished renditions, or null when the capture has to be converted after all
+    async finishStreamingTranscode() {
+        const { transcoder } = this;
+        this.transcoder = null;
+        if (!transcoder?.active) return null;
+
+        const segments = this.segments.filter(hasSegmentData);
+        if (segments.length !== 1 || segments[0].endOffset !== undefined) {
+            await transcoder.abandon('The capture has more than one segment');
+            return null;
+        }
+        if (this.getRestoreRate() !== transcoder.restoreRate) {
+            await transcoder.abandon('The capture rate changed after the live encode started');
+            return null;
+        }
+
+        if (this.progressCallback) {
+            this.progressCallback('progress', { message: 'Finishing the live encode...' });
+        }
+        try {
+            const outputPaths = await transcoder.finish(
+                estimateTimeout(transcoder.backlog()) * this.renditions.length * (transcoder.restoreRate || 1)
+            );
+            this.log('info', 'transcode', 'Live encode finished');
+            return outputPaths;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async encodeOutputs() {
+        const streamed = await this.finishStreamingTranscode();
+        this.transcodeMode = streamed ? 'streaming' : 'two-pass';
+        return streamed || this.convertToMP4();
+    }
+
+    getPreviewDir() {
+        return this.preview?.ready ? this.preview.dir : null;
+    }
+
+    // Records what the browser actually delivers and warns where it differs from the request
+    checkCaptureSettings({ mimeType, track }) {
+        const { preset, width, height, fps, videoBitrate, audioBitrate, codec } = this.capture;
+        this.captureResult = {
+            preset,
+            requested: { width, height, fps, videoBitrate, audioBitrate, codec },
+            mimeType: mimeType || null,
+            width: track.width,
+            height: track.height,
+            fps: track.fps,
+            warnings: []
+        };
+        if (this.audioOnly) return;
+
+        const { warnings } = this.captureResult;
+        if (!CAPTURE_CODECS[codec].includes(mimeType)) {
+            warnings.push(`The browser cannot record ${codec}; using ${mimeType} instead`);
+        }
+        // captureStream follows the source video, so only tab capture is held to the requested size and rate
+        if (this.captureStrategy === 'displayMedia') {
+            if (track.width && (track.width !== width || track.height !== height)) {
+                warnings.push(`Capturing at ${track.width}x${track.height} instead of ${width}x${height}`);
+            }
+            if (track.fps && track.fps < fps - 1) {
+                warnings.push(`Capturing at ${Math.round(track.fps)} fps instead of ${fps} fps`);
+            }
+        }
+
+        warnings.forEach((message) => {
+            console.warn(message);
+            this.log('warn', 'capture', message, { mimeType, preset });
+        });
+    }
+
+    checkDiskSpace() {
+        if (this.isStopping || this.lowDiskSpace) return;
+
+        const free = getFreeSpace(BASE_TEMP_DIR);
+        const { stopBelowBytes } = getStoragePolicy();
+        if (free === null || free >= stopBelowBytes) return;
+
+        // Not awaited: stopping waits for the final chunk, which comes through saveChunk
+        this.lowDiskSpace = true;
+        const reason = `Free disk space is below ${formatBytes(stopBelowBytes)}; stopping and saving the capture so far`;
+        console.warn(reason);
+        this.stopRecording({ reason, cancelled: true, skipConversion: false })
+            .catch((error) => console.error('Failed to stop recording on low disk space:', error));
+    }
+
     async ensureVideoPlaying() {
         if (!this.page) return;
 
@@ -489,7 +1825,7 @@ class Recorder {
 
         const interval = 5000;
         this.monitorInterval = setInterval(async () => {
-            if (this.isStopping) return;
+            if (this.isStopping || this.isPaused) return;
 
             try {
                 const status = await this.page.evaluate(() => {
@@ -501,7 +1837,8 @@ class Recorder {
                     return {
                         currentTime: video.currentTime || 0,
                         duration: video.duration || 0,
-                        ended: Boolean(video.ended)
+                        ended: Boolean(video.ended),
+                        rangesDone: Boolean(window.__bbbRecorderRangesDone)
                     };
                 });
 
@@ -511,8 +1848,14 @@ class Recorder {
                     return;
                 }
 
-                const { currentTime, duration, ended } = status;
-                const playbackPercent = duration ? Math.min(100, Math.round((currentTime / duration) * 100)) : 0;
+                const { currentTime, duration, ended, rangesDone } = status;
+                this.lastPlaybackTime = currentTime;
+                this.playbackDuration = duration;
+                this.emitCheckpoint();
+                const total = capturedLength(this.ranges, 0, duration);
+                const playbackPercent = total
+                    ? Math.min(100, Math.round((capturedLength(this.ranges, 0, currentTime) / total) * 100))
+                    : 0;
 
                 if (this.progressCallback) {
                     this.progressCallback('progress', {
@@ -527,8 +1870,8 @@ class Recorder {
                     });
                 }
 
-                if (ended) {
-                    await this.stopRecording({ reason: 'Video playback finished' });
+                if (ended || rangesDone) {
+                    await this.stopRecording({ reason: rangesDone ? 'Selected ranges recorded' : 'Video playback finished' });
                     return;
                 }
 
@@ -545,15 +1888,102 @@ class Recorder {
         }, interval);
     }
 
-    async stopRecording({ reason, error } = {}) {
+    async pause() {
+        if (!this.page || this.currentStep < this.totalSteps - 1 || this.isStopping) {
+            throw new Error('Recording is not in progress');
+        }
+        if (this.isPaused) return;
+
+        await this.page.evaluate(() => {
+            if (window.mediaRecorder && window.mediaRecorder.state === 'recording') {
+                window.mediaRecorder.pause();
+            }
+            const video = document.querySelector('video');
+            if (video) {
+                video.pause();
+            }
+        });
+
+        this.isPaused = true;
+        if (this.progressCallback) {
+            this.progressCallback('progress', {
+                message: 'Recording paused',
+                paused: true,
+                step: this.currentStep,
+                totalSteps: this.totalSteps
+            });
+        }
+    }
+
+    async resume() {
+        if (!this.page || this.isStopping) {
+            throw new Error('Recording is not in progress');
+        }
+        if (!this.isPaused) return;
+
+        await this.page.evaluate(async (desiredRate) => {
+            const video = document.querySelector('video');
+            if (video) {
+                await video.play();
+                if (desiredRate && Number.isFinite(desiredRate)) {
+                    video.playbackRate = desiredRate;
+                }
+            }
+            if (window.mediaRecorder && window.mediaRecorder.state === 'paused') {
+                window.mediaRecorder.resume();
+            }
+        }, this.playbackRate);
+
+        this.isPaused = false;
+        if (this.progressCallback) {
+            this.progressCallback('progress', {
+                message: 'Recording resumed',
+                paused: false,
+                step: this.currentStep,
+                totalSteps: this.totalSteps
+            });
+        }
+    }
+
+    async cancel({ skipConversion = true } = {}) {
+        if (this.isStopping) return false;
+
+        this.isCancelled = true;
+        if (this.assetExporter) {
+            await this.assetExporter.abort();
+            await this.stopRecording({ reason: 'Cancelling export...', cancelled: true, skipConversion: true });
+            return true;
+        }
+
+        await this.stopRecording({
+            reason: skipConversion ? 'Cancelling recording...' : 'Stopping recording early...',
+            cancelled: true,
+            skipConversion
+        });
+        return true;
+    }
+
+    async stopRecording(options = {}) {
         if (this.isStopping) return;
         this.isStopping = true;
+        // Files kept for a retry stay protected by the job queue once the lock is gone
+        this.stopped = this.shutdown(options).finally(() => {
+            if (this.sessionId) unlockSession(this.sessionId);
+        });
+        await this.stopped;
+    }
 
+    async shutdown({ reason, error, cancelled = false, skipConversion = false }) {
         if (this.monitorInterval) {
             clearInterval(this.monitorInterval);
             this.monitorInterval = null;
         }
 
+        if (error) {
+            this.log('error', 'recorder', `Recording failed: ${error.message || error}`, { stack: error.stack || null });
+            await this.saveDiagnostics(error);
+        }
+
         if (reason && this.progressCallback) {
             this.progressCallback('progress', {
                 message: reason,
@@ -630,6 +2060,13 @@ class Recorder {
             this.writeStream = null;
         }
 
+        if (this.preview) {
+            await this.preview.stop();
+        }
+        if (this.transcoder && (error || (cancelled && skipConversion))) {
+            await this.transcoder.abandon('The recording was stopped');
+        }
+
         if (this.browser) {
             try {
                 await this.browser.close();
@@ -641,111 +2078,166 @@ class Recorder {
         this.page = null;
 
         if (error) {
-            if (this.errorCallback) this.errorCallback(error.message || String(error));
-            this.cleanupTempFiles();
+            if (this.errorCallback) this.errorCallback(error);
+            if (!this.retainOnFailure) this.cleanupTempFiles();
             return;
         }
 
-        try {
-            const outputPath = await this.convertToMP4();
+        if (cancelled && skipConversion) {
+            this.cleanupTempFiles();
             if (this.progressCallback) {
-                this.progressCallback('complete', {
-                    message: 'Recording completed successfully',
-                    filePath: outputPath,
-                    downloadUrl: this.publicDownloadUrl,
+                this.progressCallback('cancelled', {
+                    message: 'Recording cancelled',
                     captureStrategy: this.captureStrategy,
                     playbackRate: this.playbackRate
                 });
             }
+            return;
+        }
+
+        this.emitCheckpoint({ captureComplete: true });
+
+        try {
+            const outputPaths = await this.encodeOutputs();
+            const partialMessage = this.lowDiskSpace
+                ? 'Recording stopped because disk space ran low; partial capture saved'
+                : 'Recording stopped early; partial capture saved';
+            await this.completeExport(outputPaths, {
+                message: cancelled ? partialMessage : 'Recording completed successfully',
+                cancelled
+            });
         } catch (conversionError) {
             console.error('Conversion error:', conversionError);
+            await this.saveDiagnostics(conversionError);
             if (this.errorCallback) this.errorCallback(conversionError.message);
-        } finally {
-            this.cleanupTempFiles();
+            if (this.retainOnFailure) return;
         }
+        this.cleanupTempFiles();
     }
 
-    async convertToMP4() {
-        if (!this.outputWebM || !fs.existsSync(this.outputWebM)) {
+    getConversionInput() {
+        const segments = this.segments.filter(hasSegmentData);
+        if (!segments.length) {
             throw new Error('No recording data found to convert');
         }
 
-        const stats = fs.statSync(this.outputWebM);
-        if (!stats.size) {
+        const size = segments.reduce((total, segment) => total + fs.statSync(segmentPath(segment)).size, 0);
+        if (segments.length === 1 && segments[0].endOffset === undefined) {
+            return { args: ['-i', segmentPath(segments[0])], size, joined: false };
+        }
+
+        const lines = segments.map((segment) => {
+            const entry = [`file '${escapeConcatPath(segmentPath(segment))}'`];
+            if (segment.endOffset !== undefined) {
+                const rate = segment.playbackRate || this.playbackRate;
+                const outpoint = capturedLength(this.ranges, segment.startOffset, segment.endOffset) / rate;
+                entry.push(`outpoint ${outpoint.toFixed(3)}`);
+            }
+            return entry.join('\n');
+        });
+
+        this.concatListPath = path.join(BASE_TEMP_DIR, `recording_${this.sessionId}.concat.txt`);
+        fs.writeFileSync(this.concatListPath, `ffconcat version 1.0\n${lines.join('\n')}\n`);
+
+        return {
+            args: ['-f', 'concat', '-safe', '0', '-i', this.concatListPath],
+            size,
+            joined: true
+        };
+    }
+
+    // Output options of every rendition, shared by the conversion after capture and the live encode
+    buildRenditionArgs({ joined = false, restoreRate = this.getRestoreRate(), fragmented = false } = {}) {
+        // Captures only contain the requested ranges already; downloaded audio still has to be cut
+        const trim = this.ranges && this.captureStrategy === 'assetAudio'
+            ? `aselect='${selectExpression(this.ranges)}',asetpts=N/SR/TB`
+            : null;
+
+        const dropAudio = this.dropsAudio();
+        const args = [];
+        this.renditions.forEach(({ settings, path: outputPath }) => {
+            const vf = [
+                ...(restoreRate && !settings.audioOnly ? [`setpts=PTS*${restoreRate}`] : []),
+                ...(settings.audioOnly ? [] : videoFilters(settings))
+            ];
+            const af = [
+                ...(trim ? [trim] : []),
+                ...(joined || restoreRate ? ['aresample=async=1'] : []),
+                ...(restoreRate ? atempoFilters(1 / restoreRate) : []),
+                ...audioFilters(settings)
+            ];
+            // Fragmented MP4 stays playable up to the last fragment if the encode is cut short
+            const codec = codecArgs(settings).map((arg) => (
+                fragmented && arg === '+faststart' ? '+frag_keyframe+empty_moov+default_base_moof' : arg
+            ));
+
+            if (!settings.audioOnly) {
+                args.push('-map', '0:v?');
+            }
+            if (!dropAudio) {
+                args.push('-map', '0:a?');
+            }
+            if (vf.length) args.push('-vf', vf.join(','));
+            if (af.length && !dropAudio) args.push('-af', af.join(','));
+            args.push(...codec, ...(dropAudio ? ['-an'] : []), outputPath);
+        });
+        return args;
+    }
+
+    async convertToMP4() {
+        const input = this.getConversionInput();
+        if (!input.size) {
             throw new Error('Recorded file is empty');
         }
 
         if (this.progressCallback) {
             this.progressCallback('progress', {
-                message: 'Converting recording to MP4...'
+                message: this.renditions.length > 1
+                    ? `Converting recording into ${this.renditions.length} renditions...`
+                    : `Converting recording to ${this.renditions[0].settings.container.toUpperCase()}...`
             });
         }
 
-        await new Promise((resolve, reject) => {
-            const ffmpegArgs = [
-                '-y',
-                '-i', this.outputWebM,
-                '-c:v', 'libx264',
-                '-preset', 'medium',
-                '-crf', '23',
-                '-c:a', 'aac',
-                '-b:a', '192k',
-                '-movflags', '+faststart',
-                this.outputMP4
-            ];
-
-            const ffmpeg = spawn('ffmpeg', ffmpegArgs, { stdio: ['ignore', 'ignore', 'pipe'] });
-
-            let stderr = '';
-            ffmpeg.stderr.on('data', (data) => {
-                const message = data.toString();
-                stderr += message;
+        const restoreRate = this.getRestoreRate();
+        if (restoreRate && this.segments.some((segment) => (segment.playbackRate || this.playbackRate) !== restoreRate)) {
+            console.warn(`Capture segments were recorded at different rates; restoring all of them from ${restoreRate}x`);
+        }
 
-                const timeMatch = message.match(/time=(\d+:\d+:\d+\.\d+)/);
-                if (timeMatch && this.progressCallback) {
+        const ffmpegArgs = ['-y', ...input.args, ...this.buildRenditionArgs({ joined: input.joined, restoreRate })];
+        await this.execFFmpeg('convert', ffmpegArgs, {
+            timeoutMs: estimateTimeout(input.size) * this.renditions.length * (restoreRate || 1),
+            onProgress: (time) => {
+                if (this.progressCallback) {
                     this.progressCallback('progress', {
-                        message: `FFmpeg processing... ${timeMatch[1]}`
+                        message: `FFmpeg processing... ${time}`
                     });
                 }
-            });
-
-            ffmpeg.on('error', (err) => {
-                reject(new Error(`FFmpeg error: ${err.message}`));
-            });
-
-            const fileSizeMB = stats.size / (1024 * 1024);
-            const estimatedDurationMs = Math.max(this.BASE_TIMEOUT, fileSizeMB * 10000 * 5);
-            const timeout = setTimeout(() => {
-                try {
-                    ffmpeg.kill('SIGKILL');
-                } catch (killError) {
-                    console.error('Failed to terminate FFmpeg:', killError);
-                }
-                reject(new Error('FFmpeg process timed out'));
-            }, estimatedDurationMs);
-
-            ffmpeg.on('close', (code) => {
-                clearTimeout(timeout);
-                if (code === 0) {
-                    resolve();
-                } else {
-                    reject(new Error(`FFmpeg exited with code ${code}: ${stderr}`));
-                }
-            });
+            }
         });
 
-        return this.outputMP4;
+        return this.renditions.map((rendition) => rendition.path);
     }
 
     cleanupTempFiles() {
-        try {
-            if (this.outputWebM && fs.existsSync(this.outputWebM)) {
-                fs.unlinkSync(this.outputWebM);
+        const tempFiles = [
+            ...this.segments.map(segmentPath),
+            this.outputWebM,
+            this.concatListPath
+        ];
+
+        tempFiles.forEach((filePath) => {
+            try {
+                if (filePath && fs.existsSync(filePath)) {
+                    fs.unlinkSync(filePath);
+                }
+            } catch (error) {
+                console.warn('Failed to remove temporary recording file:', error.message);
             }
-        } catch (error) {
-            console.warn('Failed to remove temporary recording file:', error.message);
-        }
+        });
     }
 }
 
+Recorder.EXPORT_MODES = EXPORT_MODES;
+Recorder.PLAYBACK_RATE_LIMITS = PLAYBACK_RATE_LIMITS;
+
 module.exports = Recorder;
@@ -0,0 +1,105 @@
+const { getConfig } = require('./config');
+
+const CAPTURE_STRATEGIES = ['displayMedia', 'captureStream'];
+
+const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 3,
+    backoffSeconds: 30,
+    backoffMultiplier: 2,
+    maxBackoffSeconds: 600,
+    switchStrategy: true
+};
+
+const createRetryError = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+// For failures that another attempt would only repeat, such as a job asking for something the recording cannot give
+const createPermanentError = (message) => Object.assign(new Error(message), { permanent: true });
+
+const numberOr = (value, fallback) => {
+    const number = Number(value);
+    return value !== undefined && value !== null && value !== '' && Number.isFinite(number) && number >= 0
+        ? number
+        : fallback;
+};
+
+// Config file defaults, environment overrides, then the per-job overrides on top
+const getRetryPolicy = (overrides = {}) => {
+    const { retry = {} } = getConfig();
+    const base = {
+        maxAttempts: numberOr(process.env.BBB_RETRY_MAX_ATTEMPTS, numberOr(retry.maxAttempts, DEFAULT_RETRY_POLICY.maxAttempts)),
+        backoffSeconds: numberOr(process.env.BBB_RETRY_BACKOFF_SECONDS, numberOr(retry.backoffSeconds, DEFAULT_RETRY_POLICY.backoffSeconds)),
+        backoffMultiplier: numberOr(retry.backoffMultiplier, DEFAULT_RETRY_POLICY.backoffMultiplier),
+        maxBackoffSeconds: numberOr(retry.maxBackoffSeconds, DEFAULT_RETRY_POLICY.maxBackoffSeconds),
+        switchStrategy: retry.switchStrategy ?? DEFAULT_RETRY_POLICY.switchStrategy
+    };
+
+    return {
+        maxAttempts: Math.max(1, Math.round(numberOr(overrides?.maxAttempts, base.maxAttempts))),
+        backoffSeconds: numberOr(overrides?.backoffSeconds, base.backoffSeconds),
+        backoffMultiplier: Math.max(1, base.backoffMultiplier),
+        maxBackoffSeconds: base.maxBackoffSeconds,
+        switchStrategy: overrides?.switchStrategy ?? base.switchStrategy
+    };
+};
+
+const parseRetryOptions = (retry) => {
+    if (retry === undefined || retry === null || retry === '') return null;
+    if (typeof retry !== 'object' || Array.isArray(retry)) {
+        throw createRetryError('retry must be an object such as { "maxAttempts": 3, "backoffSeconds": 30 }');
+    }
+
+    const options = {};
+    if (retry.maxAttempts !== undefined) {
+        const maxAttempts = Number(retry.maxAttempts);
+        if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > 10) {
+            throw createRetryError('retry.maxAttempts must be a whole number between 1 and 10');
+        }
+        options.maxAttempts = maxAttempts;
+    }
+    if (retry.backoffSeconds !== undefined) {
+        const backoffSeconds = Number(retry.backoffSeconds);
+        if (!Number.isFinite(backoffSeconds) || backoffSeconds < 0 || backoffSeconds > 3600) {
+            throw createRetryError('retry.backoffSeconds must be between 0 and 3600');
+        }
+        options.backoffSeconds = backoffSeconds;
+    }
+    if (retry.switchStrategy !== undefined) {
+        options.switchStrategy = Boolean(retry.switchStrategy);
+    }
+    return options;
+};
+
+const retryDelayMs = (policy, failedAttempts) => {
+    const seconds = policy.backoffSeconds * (policy.backoffMultiplier ** Math.max(0, failedAttempts - 1));
+    return Math.round(Math.min(seconds, policy.maxBackoffSeconds || Infinity) * 1000);
+};
+
+// Browser capture failures are retried with the other strategy; asset and audio exports keep theirs
+const nextCaptureStrategy = (policy, usedStrategy, preferredStrategy) => {
+    if (!policy.switchStrategy || !CAPTURE_STRATEGIES.includes(usedStrategy)) {
+        return preferredStrategy || null;
+    }
+    return CAPTURE_STRATEGIES[(CAPTURE_STRATEGIES.indexOf(usedStrategy) + 1) % CAPTURE_STRATEGIES.length];
+};
+
+// Returns { delayMs, captureStrategy } for the next attempt, or null when the job should fail
+const planRetry = (policy, job, error = null) => {
+    const attempts = job.attempts || [];
+    if (!policy || job.cancelRequested || error?.permanent || attempts.length >= policy.maxAttempts) {
+        return null;
+    }
+
+    const last = attempts[attempts.length - 1] || {};
+    return {
+        delayMs: retryDelayMs(policy, attempts.length),
+        captureStrategy: nextCaptureStrategy(policy, last.captureStrategy, job.preferredStrategy)
+    };
+};
+
+module.exports = {
+    CAPTURE_STRATEGIES,
+    createPermanentError,
+    getRetryPolicy,
+    parseRetryOptions,
+    planRetry
+};
@@ -0,0 +1,304 @@
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('./config');
+const { EXPORT_DIR, deleteRecording, getExportUsage, listRecordings } = require('./library');
+const { LOG_DIR } = require('./jobLogs');
+
+const TEMP_DIR = path.join(process.cwd(), 'temp_chunks');
+
+const MB = 1024 * 1024;
+const GB = 1024 * MB;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Temp files younger than this are left alone even without an owner or a lock, in case a job is starting up
+const ORPHAN_GRACE_MS = 15 * 60 * 1000;
+
+const createStorageError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const positiveNumber = (...values) => {
+    for (const value of values) {
+        const number = Number(value);
+        if (value !== undefined && value !== null && value !== '' && Number.isFinite(number) && number >= 0) {
+            return number;
+        }
+    }
+    return null;
+};
+
+const getStoragePolicy = () => {
+    const { retention = {}, storage = {} } = getConfig();
+    const maxAgeDays = positiveNumber(process.env.BBB_RETENTION_MAX_AGE_DAYS, retention.maxAgeDays);
+    const maxTotalSizeGB = positiveNumber(process.env.BBB_RETENTION_MAX_SIZE_GB, retention.maxTotalSizeGB);
+
+    return {
+        maxAgeMs: maxAgeDays ? maxAgeDays * DAY_MS : null,
+        maxTotalBytes: maxTotalSizeGB ? maxTotalSizeGB * GB : null,
+        keepLastPerSource: positiveNumber(process.env.BBB_RETENTION_KEEP_LAST, retention.keepLastPerSource) || null,
+        sweepIntervalMs: (positiveNumber(retention.sweepIntervalMinutes) || 60) * 60 * 1000,
+        logMaxAgeMs: (positiveNumber(process.env.BBB_LOG_MAX_AGE_DAYS, retention.logMaxAgeDays) ?? 30) * DAY_MS,
+        minFreeBytes: (positiveNumber(process.env.BBB_MIN_FREE_SPACE_MB, storage.minFreeSpaceMB) ?? 2048) * MB,
+        stopBelowBytes: (positiveNumber(process.env.BBB_STOP_FREE_SPACE_MB, storage.stopRecordingBelowMB) ?? 512) * MB
+    };
+};
+
+const formatBytes = (bytes) => (bytes >= GB ? `${(bytes / GB).toFixed(1)} GB` : `${Math.round(bytes / MB)} MB`);
+
+const getFreeSpace = (dirPath) => {
+    try {
+        const stats = fs.statfsSync(fs.existsSync(dirPath) ? dirPath : process.cwd());
+        return stats.bavail * stats.bsize;
+    } catch (error) {
+        console.warn('Failed to read free disk space:', error.message);
+        return null;
+    }
+};
+
+const assertFreeSpace = (dirPath, minBytes = getStoragePolicy().minFreeBytes) => {
+    const free = getFreeSpace(dirPath);
+    if (free !== null && free < minBytes) {
+        throw createStorageError(
+            `Not enough free disk space to start recording: ${formatBytes(free)} available, ${formatBytes(minBytes)} required`,
+            507
+        );
+    }
+    return free;
+};
+
+const directorySize = (dirPath) => {
+    if (!fs.existsSync(dirPath)) return 0;
+
+    return fs.readdirSync(dirPath, { withFileTypes: true }).reduce((total, entry) => {
+        const entryPath = path.join(dirPath, entry.name);
+        try {
+            return total + (entry.isDirectory() ? directorySize(entryPath) : fs.statSync(entryPath).size);
+        } catch (error) {
+            return total;
+        }
+    }, 0);
+};
+
+const LOCK_PREFIX = 'session_';
+const LOCK_SUFFIX = '.lock';
+
+const lockPath = (sessionId) => path.join(TEMP_DIR, `${LOCK_PREFIX}${sessionId}${LOCK_SUFFIX}`);
+
+const isProcessAlive = (pid) => {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+};
+
+// Every recorder marks its session with a lock file naming its process, so a sweep in one
+// process leaves alone the captures of another one, such as a command line job
+const lockSession = (sessionId) => {
+    fs.mkdirSync(TEMP_DIR, { recursive: true });
+    fs.writeFileSync(lockPath(sessionId), JSON.stringify({ pid: process.pid, lockedAt: new Date().toISOString() }));
+};
+
+const unlockSession = (sessionId) => {
+    fs.rmSync(lockPath(sessionId), { force: true });
+};
+
+// Sessions locked by a process that is still running; locks left by a crash do not count
+const getLockedSessions = () => {
+    if (!fs.existsSync(TEMP_DIR)) return [];
+
+    return fs.readdirSync(TEMP_DIR)
+        .filter((name) => name.startsWith(LOCK_PREFIX) && name.endsWith(LOCK_SUFFIX))
+        .filter((name) => {
+            try {
+                const { pid } = JSON.parse(fs.readFileSync(path.join(TEMP_DIR, name), 'utf8'));
+                return Number.isInteger(pid) && isProcessAlive(pid);
+            } catch (error) {
+                return false;
+            }
+        })
+        .map((name) => name.slice(LOCK_PREFIX.length, -LOCK_SUFFIX.length));
+};
+
+// Session ids that running, paused or recoverable jobs still need, in this process or another
+const getProtectedSessions = () => {
+    const sessions = new Set(getLockedSessions());
+    (global.activeRecorders || new Map()).forEach((recorder) => {
+        if (recorder.sessionId) sessions.add(recorder.sessionId);
+    });
+    (global.recordingQueue ? global.recordingQueue.list() : []).forEach((job) => {
+        if (['queued', 'running', 'paused'].includes(job.status) && job.recovery?.sessionId) {
+            sessions.add(job.recovery.sessionId);
+        }
+    });
+    return sessions;
+};
+
+const selectExpiredRecordings = (recordings, usage, policy, now = Date.now()) => {
+    const expired = new Map();
+    const expire = (recording, reason) => {
+        if (!expired.has(recording.id)) expired.set(recording.id, reason);
+    };
+
+    if (policy.maxAgeMs) {
+        recordings
+            .filter((recording) => now - Date.parse(recording.createdAt) > policy.maxAgeMs)
+            .forEach((recording) => expire(recording, 'max age'));
+    }
+
+    if (policy.keepLastPerSource) {
+        const bySource = new Map();
+        recordings.filter((recording) => recording.sourceUrl).forEach((recording) => {
+            if (!bySource.has(recording.sourceUrl)) bySource.set(recording.sourceUrl, []);
+            bySource.get(recording.sourceUrl).push(recording);
+        });
+        bySource.forEach((group) => {
+            group
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+                .slice(policy.keepLastPerSource)
+                .forEach((recording) => expire(recording, 'keep last per source'));
+        });
+    }
+
+    if (policy.maxTotalBytes) {
+        let total = recordings
+            .filter((recording) => !expired.has(recording.id))
+            .reduce((sum, recording) => sum + (usage.get(recording.id) || 0), 0);
+        recordings
+            .filter((recording) => !expired.has(recording.id))
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+            .forEach((recording) => {
+                if (total <= policy.maxTotalBytes) return;
+                total -= usage.get(recording.id) || 0;
+                expire(recording, 'max total size');
+            });
+    }
+
+    return expired;
+};
+
+class StorageManager {
+    constructor({ policy = getStoragePolicy } = {}) {
+        this.getPolicy = policy;
+        this.timer = null;
+        this.lastSweep = null;
+    }
+
+    start() {
+        if (this.timer) return this;
+
+        this.sweep();
+        this.timer = setInterval(() => this.sweep(), this.getPolicy().sweepIntervalMs);
+        if (this.timer.unref) this.timer.unref();
+        return this;
+    }
+
+    applyRetention(protectedSessions = getProtectedSessions()) {
+        const policy = this.getPolicy();
+        const usage = getExportUsage();
+        const recordings = listRecordings().filter((recording) => !protectedSessions.has(recording.id));
+        const deleted = [];
+
+        selectExpiredRecordings(recordings, usage, policy).forEach((reason, id) => {
+            try {
+                deleteRecording(id);
+                deleted.push({ id, reason, bytes: usage.get(id) || 0 });
+            } catch (error) {
+                console.warn(`Failed to delete expired export ${id}:`, error.message);
+            }
+        });
+        return deleted;
+    }
+
+    sweepTempFiles(protectedSessions = getProtectedSessions()) {
+        if (!fs.existsSync(TEMP_DIR)) return [];
+
+        const now = Date.now();
+        const removed = [];
+        fs.readdirSync(TEMP_DIR).forEach((name) => {
+            if (Array.from(protectedSessions).some((sessionId) => name.includes(sessionId))) return;
+
+            const entryPath = path.join(TEMP_DIR, name);
+            try {
+                const stat = fs.statSync(entryPath);
+                if (now - stat.mtimeMs < ORPHAN_GRACE_MS) return;
+
+                const bytes = stat.isDirectory() ? directorySize(entryPath) : stat.size;
+                fs.rmSync(entryPath, { recursive: true, force: true });
+                removed.push({ name, bytes });
+            } catch (error) {
+                console.warn(`Failed to remove orphaned temp file ${name}:`, error.message);
+            }
+        });
+        return removed;
+    }
+
+    sweepLogs(protectedSessions = getProtectedSessions()) {
+        const { logMaxAgeMs } = this.getPolicy();
+        if (!logMaxAgeMs || !fs.existsSync(LOG_DIR)) return [];
+
+        const now = Date.now();
+        const removed = [];
+        fs.readdirSync(LOG_DIR).forEach((name) => {
+            if (Array.from(protectedSessions).some((sessionId) => name.startsWith(sessionId))) return;
+
+            const entryPath = path.join(LOG_DIR, name);
+            try {
+                const stat = fs.statSync(entryPath);
+                if (now - stat.mtimeMs < logMaxAgeMs) return;
+
+                fs.rmSync(entryPath, { force: true });
+                removed.push({ name, bytes: stat.size });
+            } catch (error) {
+                console.warn(`Failed to remove old job log ${name}:`, error.message);
+            }
+        });
+        return removed;
+    }
+
+    sweep() {
+        const protectedSessions = getProtectedSessions();
+        const result = {
+            at: new Date().toISOString(),
+            tempFiles: this.sweepTempFiles(protectedSessions),
+            exports: this.applyRetention(protectedSessions),
+            logs: this.sweepLogs(protectedSessions)
+        };
+
+        const freed = [...result.tempFiles, ...result.exports].reduce((total, entry) => total + entry.bytes, 0);
+        if (freed) {
+            console.log(`Storage sweep removed ${result.tempFiles.length} temp files and ${result.exports.length} exports (${formatBytes(freed)})`);
+        }
+        this.lastSweep = result;
+        return result;
+    }
+
+    describe() {
+        const policy = this.getPolicy();
+        return {
+            freeBytes: getFreeSpace(EXPORT_DIR),
+            exportsBytes: directorySize(EXPORT_DIR),
+            tempBytes: directorySize(TEMP_DIR),
+            policy,
+            lastSweep: this.lastSweep
+        };
+    }
+}
+
+const getStorageManager = () => {
+    if (!global.storageManager) {
+        global.storageManager = new StorageManager();
+    }
+    return global.storageManager;
+};
+
+module.exports = {
+    StorageManager,
+    assertFreeSpace,
+    formatBytes,
+    getFreeSpace,
+    getStorageManager,
+    getStoragePolicy,
+    lockSession,
+    selectExpiredRecordings,
+    unlockSession
+};
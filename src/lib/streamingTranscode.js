@@ -0,0 +1,103 @@
+const fs = require('fs');
+const { getConfig } = require('./config');
+const { pipeFFmpeg } = require('./ffmpeg');
+
+const DEFAULT_STREAMING_SETTINGS = {
+    enabled: false,
+    fragmented: false,
+    maxBacklogMB: 128
+};
+
+const getStreamingSettings = () => {
+    const { streamingTranscode = {} } = getConfig();
+    const settings = { ...DEFAULT_STREAMING_SETTINGS, ...streamingTranscode };
+    const maxBacklogMB = Number(settings.maxBacklogMB);
+    return {
+        enabled: process.env.BBB_STREAMING_TRANSCODE
+            ? process.env.BBB_STREAMING_TRANSCODE === 'true'
+            : Boolean(settings.enabled),
+        fragmented: Boolean(settings.fragmented),
+        maxBacklogBytes: (Number.isFinite(maxBacklogMB) && maxBacklogMB > 0
+            ? maxBacklogMB
+            : DEFAULT_STREAMING_SETTINGS.maxBacklogMB) * 1024 * 1024
+    };
+};
+
+// Encodes the capture chunks into the final renditions while the recording runs. Once it gives up
+// (too far behind, or FFmpeg failed) it removes its partial outputs and stays out of the way, so
+// the recorder can fall back to converting the WebM after capture.
+class StreamingTranscoder {
+    constructor({ args, outputPaths, maxBacklogBytes, onFallback, onProgress }) {
+        this.args = args;
+        this.outputPaths = outputPaths;
+        this.maxBacklogBytes = maxBacklogBytes;
+        this.onFallback = onFallback;
+        this.onProgress = onProgress;
+        this.pipe = null;
+        this.failure = null;
+        this.finishing = false;
+    }
+
+    get active() {
+        return Boolean(this.pipe) && !this.failure;
+    }
+
+    backlog() {
+        return this.pipe ? this.pipe.backlog() : 0;
+    }
+
+    start() {
+        this.pipe = pipeFFmpeg(['-y', '-i', 'pipe:0', ...this.args], { onProgress: this.onProgress });
+        this.pipe.done.catch((error) => {
+            if (!this.finishing) this.abandon(`The live encoder stopped: ${error.message}`);
+        });
+    }
+
+    write(buffer) {
+        if (!this.active || this.finishing) return;
+
+        if (this.pipe.backlog() > this.maxBacklogBytes) {
+            this.abandon('The live encoder fell behind the capture');
+            return;
+        }
+        this.pipe.write(buffer);
+    }
+
+    // Resolves once every output is complete; rejects when the encode has to be redone
+    async finish(timeoutMs) {
+        if (!this.active) {
+            throw new Error(this.failure || 'The live encoder is not running');
+        }
+
+        this.finishing = true;
+        try {
+            await this.pipe.end(timeoutMs);
+        } catch (error) {
+            await this.abandon(`The live encoder failed to finish: ${error.message}`);
+            throw error;
+        }
+        return this.outputPaths;
+    }
+
+    async abandon(reason) {
+        if (this.failure) return;
+        this.failure = reason;
+
+        if (this.pipe) {
+            await this.pipe.kill();
+        }
+        this.outputPaths.forEach((filePath) => {
+            try {
+                if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+            } catch (error) {
+                console.warn('Failed to remove partial live encode:', error.message);
+            }
+        });
+        if (this.onFallback) this.onFallback(reason);
+    }
+}
+
+module.exports = {
+    StreamingTranscoder,
+    getStreamingSettings
+};
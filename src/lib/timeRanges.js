@@ -0,0 +1,93 @@
+const { parseClockTime } = require('./chat');
+
+const createRangeError = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+// Accepts seconds or clock strings such as "12:30" and "1:02:03"
+const parseOffset = (value, name) => {
+    if (value === undefined || value === null) return null;
+
+    const seconds = typeof value === 'number' ? value : parseClockTime(value);
+    if (seconds === null || !Number.isFinite(seconds) || seconds < 0) {
+        throw createRangeError(`${name} must be a number of seconds or a HH:MM:SS time`);
+    }
+    return seconds;
+};
+
+// Sorted, non-overlapping [{ start, end }] list; end is null for "until the recording ends"
+const parseRanges = ({ start, end, ranges } = {}) => {
+    let entries;
+    if (ranges !== undefined && ranges !== null && ranges !== '') {
+        if (start !== undefined || end !== undefined) {
+            throw createRangeError('Use either start/end or ranges, not both');
+        }
+        if (!Array.isArray(ranges)) {
+            throw createRangeError('ranges must be a list of { start, end } objects');
+        }
+        entries = ranges.map((range, index) => ({
+            start: parseOffset(range?.start, `ranges[${index}].start`) || 0,
+            end: parseOffset(range?.end, `ranges[${index}].end`)
+        }));
+    } else {
+        entries = [{ start: parseOffset(start, 'start') || 0, end: parseOffset(end, 'end') }];
+    }
+
+    entries.forEach((range) => {
+        if (range.end !== null && range.end <= range.start) {
+            throw createRangeError('Each range must end after it starts');
+        }
+    });
+
+    const merged = [];
+    entries
+        .sort((a, b) => a.start - b.start)
+        .forEach((range) => {
+            const previous = merged[merged.length - 1];
+            if (previous && (previous.end === null || range.start <= previous.end)) {
+                previous.end = previous.end === null || range.end === null ? null : Math.max(previous.end, range.end);
+            } else {
+                merged.push({ ...range });
+            }
+        });
+
+    if (!merged.length || (merged.length === 1 && merged[0].start === 0 && merged[0].end === null)) {
+        return null;
+    }
+    return merged;
+};
+
+const rangeEnd = (range) => (range.end === null ? Infinity : range.end);
+
+// Seconds of [from, to] that fall inside the ranges
+const capturedLength = (ranges, from, to) => {
+    if (!ranges) return Math.max(0, to - from);
+
+    return ranges.reduce(
+        (total, range) => total + Math.max(0, Math.min(to, rangeEnd(range)) - Math.max(from, range.start)),
+        0
+    );
+};
+
+const isInRanges = (ranges, time) => !ranges || ranges.some((range) => time >= range.start && time < rangeEnd(range));
+
+// Where playback has to be to continue recording from the given time, or null when every range is done
+const nextCaptureTime = (ranges, time) => {
+    if (!ranges) return time;
+
+    const range = ranges.find((entry) => rangeEnd(entry) > time);
+    return range ? Math.max(time, range.start) : null;
+};
+
+// FFmpeg expression that is true inside the ranges, for select/aselect
+const selectExpression = (ranges) => ranges
+    .map((range) => (range.end === null
+        ? `gte(t,${range.start.toFixed(3)})`
+        : `between(t,${range.start.toFixed(3)},${range.end.toFixed(3)})`))
+    .join('+');
+
+module.exports = {
+    capturedLength,
+    isInRanges,
+    nextCaptureTime,
+    parseRanges,
+    selectExpression
+};
@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { getConfig } = require('./config');
+const { escapeVtt, formatVttTime } = require('./chat');
+const { runFFmpeg } = require('./ffmpeg');
+
+const DEFAULT_ENGINE = 'whisper.cpp';
+const MIN_TIMEOUT_MS = 10 * 60 * 1000;
+
+const createTranscriptionError = (message, statusCode = 500) => Object.assign(new Error(message), { statusCode });
+
+const runCommand = (binary, args, { timeoutMs, onOutput } = {}) => new Promise((resolve, reject) => {
+    const child = spawn(binary, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+
+    const timeout = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(new Error(`${binary} timed out`));
+    }, timeoutMs);
+
+    let output = '';
+    const collect = (data) => {
+        const text = data.toString();
+        output = `${output}${text}`.slice(-20000);
+        if (onOutput) onOutput(text);
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+
+    child.on('error', (err) => {
+        clearTimeout(timeout);
+        reject(new Error(`Failed to run ${binary}: ${err.message}`));
+    });
+
+    child.on('close', (code, signal) => {
+        clearTimeout(timeout);
+        if (code === 0) {
+            resolve(output);
+        } else {
+            reject(new Error(`${binary} exited with code ${code ?? signal}: ${output.slice(-2000)}`));
+        }
+    });
+});
+
+const parseSubtitleTime = (value) => {
+    const match = /(?:(\d+):)?(\d+):(\d+)[,.](\d+)/.exec(value || '');
+    if (!match) return null;
+    const [, hours = '0', minutes, seconds, fraction] = match;
+    return (Number(hours) * 3600) + (Number(minutes) * 60) + Number(seconds) + Number(`0.${fraction}`);
+};
+
+// Reads SRT and WebVTT cues into { start, end, text } segments
+const parseSubtitles = (text) => String(text || '')
+    .replace(/\r/g, '')
+    .split(/\n{2,}/)
+    .map((block) => {
+        const lines = block.split('\n').filter(Boolean);
+        const timingIndex = lines.findIndex((line) => line.includes('-->'));
+        if (timingIndex === -1) return null;
+
+        const [start, end] = lines[timingIndex].split('-->').map(parseSubtitleTime);
+        return {
+            start,
+            end,
+            text: lines.slice(timingIndex + 1).join('\n').replace(/<[^>]+>/g, '').trim()
+        };
+    })
+    .filter((segment) => segment && segment.start !== null && segment.end !== null && segment.text);
+
+const formatSrtTime = (seconds) => formatVttTime(seconds).replace('.', ',');
+
+const formatSrt = (segments) => segments
+    .map((segment, index) => [
+        String(index + 1),
+        `${formatSrtTime(segment.start)} --> ${formatSrtTime(segment.end)}`,
+        segment.text
+    ].join('\n'))
+    .join('\n\n')
+    .concat('\n');
+
+const formatVtt = (segments) => {
+    const cues = segments.map((segment, index) => [
+        String(index + 1),
+        `${formatVttTime(segment.start)} --> ${formatVttTime(segment.end)}`,
+        escapeVtt(segment.text)
+    ].join('\n'));
+    return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+};
+
+// Engines turn a 16 kHz mono WAV file into { start, end, text } segments
+const transcriptionEngines = {
+    'whisper.cpp': {
+        transcribe: async ({ audioPath, workDir, language, settings, timeoutMs, onProgress }) => {
+            if (!settings.model) {
+                throw createTranscriptionError('whisper.cpp needs transcription.engines["whisper.cpp"].model in the config');
+            }
+
+            const outputPrefix = path.join(workDir, 'whisper');
+            await runCommand(settings.binary || 'whisper-cli', [
+                '-m', settings.model,
+                '-f', audioPath,
+                '-l', language || 'auto',
+                '-t', String(settings.threads || 4),
+                '-oj',
+                '-of', outputPrefix,
+                '-pp',
+                ...(settings.args || [])
+            ], {
+                timeoutMs,
+                onOutput: (text) => {
+                    const match = /progress\s*=\s*(\d+)%/.exec(text);
+                    if (match) onProgress(Number(match[1]));
+                }
+            });
+
+            const result = JSON.parse(fs.readFileSync(`${outputPrefix}.json`, 'utf8'));
+            return (result.transcription || []).map((entry) => ({
+                start: entry.offsets.from / 1000,
+                end: entry.offsets.to / 1000,
+                text: String(entry.text || '').trim()
+            }));
+        }
+    },
+    vosk: {
+        transcribe: async ({ audioPath, workDir, language, settings, timeoutMs }) => {
+            const outputPath = path.join(workDir, 'vosk.srt');
+            await runCommand(settings.binary || 'vosk-transcriber', [
+                ...(settings.model ? ['--model', settings.model] : []),
+                ...(language && language !== 'auto' ? ['--lang', language] : []),
+                '--input', audioPath,
+                '--output', outputPath,
+                '--output-type', 'srt',
+                ...(settings.args || [])
+            ], { timeoutMs });
+
+            return parseSubtitles(fs.readFileSync(outputPath, 'utf8'));
+        }
+    },
+    // Any other CLI; {input}, {output} and {language} in args are replaced, output is SRT, WebVTT or JSON segments
+    command: {
+        transcribe: async ({ audioPath, workDir, language, settings, timeoutMs }) => {
+            if (!settings.binary) {
+                throw createTranscriptionError('The command engine needs transcription.engines.command.binary in the config');
+            }
+
+            const format = settings.format || 'srt';
+            const outputPath = path.join(workDir, `transcript.${format}`);
+            const args = (settings.args || ['{input}', '{output}']).map((arg) => String(arg)
+                .replace('{input}', audioPath)
+                .replace('{output}', outputPath)
+                .replace('{language}', language || 'auto'));
+            await runCommand(settings.binary, args, { timeoutMs });
+
+            const output = fs.readFileSync(outputPath, 'utf8');
+            return format === 'json' ? JSON.parse(output) : parseSubtitles(output);
+        }
+    }
+};
+
+const registerTranscriptionEngine = (name, engine) => {
+    transcriptionEngines[name] = engine;
+};
+
+const getTranscriptionSettings = () => {
+    const { transcription = {} } = getConfig();
+    return {
+        enabled: process.env.BBB_TRANSCRIBE ? process.env.BBB_TRANSCRIBE === 'true' : Boolean(transcription.enabled),
+        engine: process.env.BBB_TRANSCRIPTION_ENGINE || transcription.engine || DEFAULT_ENGINE,
+        language: transcription.language || 'auto',
+        embed: transcription.embed !== false,
+        engines: transcription.engines || {}
+    };
+};
+
+const extractAudio = async (inputPath, audioPath) => {
+    await runFFmpeg([
+        '-y',
+        '-i', inputPath,
+        '-vn',
+        '-ac', '1',
+        '-ar', '16000',
+        '-c:a', 'pcm_s16le',
+        audioPath
+    ], { timeoutMs: MIN_TIMEOUT_MS });
+};
+
+const transcribe = async ({ inputPath, workDir, language, duration, onProgress = () => {} }) => {
+    const settings = getTranscriptionSettings();
+    const engine = transcriptionEngines[settings.engine];
+    if (!engine) {
+        throw createTranscriptionError(`Unknown transcription engine: ${settings.engine}`);
+    }
+
+    fs.mkdirSync(workDir, { recursive: true });
+    const audioPath = path.join(workDir, 'audio.wav');
+    onProgress(0, 'Extracting audio for transcription...');
+    await extractAudio(inputPath, audioPath);
+
+    onProgress(5, `Transcribing with ${settings.engine}...`);
+    const segments = await engine.transcribe({
+        audioPath,
+        workDir,
+        language: language || settings.language,
+        settings: settings.engines[settings.engine] || {},
+        timeoutMs: Math.max(MIN_TIMEOUT_MS, (duration || 0) * 1000 * 5),
+        onProgress: (percent) => onProgress(5 + Math.round(percent * 0.9), `Transcribing with ${settings.engine}... ${percent}%`)
+    });
+
+    return {
+        engine: settings.engine,
+        language: language || settings.language,
+        segments: segments.filter((segment) => segment.text && segment.end > segment.start)
+    };
+};
+
+module.exports = {
+    formatSrt,
+    formatVtt,
+    getTranscriptionSettings,
+    parseSubtitles,
+    registerTranscriptionEngine,
+    transcribe
+};
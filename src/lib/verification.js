@@ -0,0 +1,156 @@
+const fs = require('fs');
+const { getConfig } = require('./config');
+const { estimateTimeout, probeMedia, runFFmpeg } = require('./ffmpeg');
+
+const MAX_REPORTED_INTERVALS = 50;
+
+const DEFAULT_THRESHOLDS = {
+    durationTolerance: 0.02,
+    minDurationToleranceSeconds: 5,
+    blackMaxSeconds: 30,
+    freezeMaxSeconds: 900,
+    silenceMaxSeconds: 600,
+    silenceNoiseDb: -50
+};
+
+const numberOr = (value, fallback) => {
+    const number = Number(value);
+    return value !== undefined && value !== null && value !== '' && Number.isFinite(number) ? number : fallback;
+};
+
+const getVerificationSettings = () => {
+    const { verification = {} } = getConfig();
+    return {
+        enabled: process.env.BBB_VERIFY_OUTPUT
+            ? process.env.BBB_VERIFY_OUTPUT === 'true'
+            : verification.enabled !== false,
+        detect: verification.detect !== false,
+        thresholds: Object.fromEntries(Object.entries(DEFAULT_THRESHOLDS)
+            .map(([key, value]) => [key, numberOr(verification[key], value)]))
+    };
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Pairs the start/end lines the detect filters print; a start without an end runs to the end of the file
+const parseIntervals = (stderr, startPattern, endPattern, duration) => {
+    const events = [];
+    [[startPattern, 'start'], [endPattern, 'end']].forEach(([pattern, type]) => {
+        const regex = new RegExp(pattern.source, 'g');
+        let match = regex.exec(stderr);
+        while (match) {
+            events.push({ type, index: match.index, time: parseFloat(match[1]) });
+            match = regex.exec(stderr);
+        }
+    });
+
+    const intervals = [];
+    let start = null;
+    events
+        .sort((a, b) => a.index - b.index)
+        .forEach((event) => {
+            if (event.type === 'start') {
+                start = event.time;
+            } else if (start !== null) {
+                intervals.push({ start: round(start), end: round(event.time), duration: round(event.time - start) });
+                start = null;
+            }
+        });
+    if (start !== null && duration) {
+        intervals.push({ start: round(start), end: round(duration), duration: round(duration - start) });
+    }
+    return intervals;
+};
+
+const detectDefects = async (filePath, { hasVideo, hasAudio, duration, thresholds, run }) => {
+    const args = ['-hide_banner', '-nostats', '-i', filePath];
+    if (hasVideo) {
+        args.push(
+            '-map', '0:v:0',
+            '-vf', `blackdetect=d=${thresholds.blackMaxSeconds}:pix_th=0.10,freezedetect=n=-60dB:d=${thresholds.freezeMaxSeconds}`
+        );
+    }
+    if (hasAudio) {
+        args.push(
+            '-map', '0:a:0',
+            '-af', `silencedetect=n=${thresholds.silenceNoiseDb}dB:d=${thresholds.silenceMaxSeconds}`
+        );
+    }
+    args.push('-f', 'null', '-');
+
+    const stderr = await run(args, { timeoutMs: estimateTimeout(fs.statSync(filePath).size) });
+    return {
+        black: hasVideo ? parseIntervals(stderr, /black_start:\s*([\d.]+)/, /black_end:\s*([\d.]+)/, duration) : [],
+        freeze: hasVideo
+            ? parseIntervals(stderr, /freezedetect\.freeze_start:\s*([\d.]+)/, /freezedetect\.freeze_end:\s*([\d.]+)/, duration)
+            : [],
+        silence: hasAudio ? parseIntervals(stderr, /silence_start:\s*([\d.]+)/, /silence_end:\s*([\d.]+)/, duration) : []
+    };
+};
+
+const describeLongest = (intervals) => {
+    const longest = intervals.reduce((max, interval) => (interval.duration > max.duration ? interval : max));
+    return `${Math.round(longest.duration)}s at ${Math.round(longest.start)}s`;
+};
+
+// Probes one output file and lists everything that looks wrong with it
+const verifyMedia = async (filePath, {
+    expectedDuration,
+    expectVideo = true,
+    expectAudio = true,
+    settings = getVerificationSettings(),
+    probeMedia: probeFile = probeMedia,
+    runFFmpeg: run = runFFmpeg
+} = {}) => {
+    const { thresholds } = settings;
+    const issues = [];
+    const probe = await probeFile(filePath);
+    const hasVideo = probe.streams.some((stream) => stream.type === 'video');
+    const hasAudio = probe.streams.some((stream) => stream.type === 'audio');
+
+    if (expectVideo && !hasVideo) issues.push('No video stream in the output');
+    if (expectAudio && !hasAudio) issues.push('No audio stream in the output');
+
+    const report = {
+        duration: probe.duration,
+        expectedDuration: expectedDuration || null,
+        durationDifference: null,
+        streams: probe.streams,
+        black: [],
+        freeze: [],
+        silence: []
+    };
+
+    if (expectedDuration && probe.duration) {
+        const tolerance = Math.max(thresholds.minDurationToleranceSeconds, expectedDuration * thresholds.durationTolerance);
+        report.durationDifference = round(probe.duration - expectedDuration);
+        if (Math.abs(report.durationDifference) > tolerance) {
+            issues.push(`Output is ${Math.round(probe.duration)}s long but the playback covers ${Math.round(expectedDuration)}s`);
+        }
+    } else if (!probe.duration) {
+        issues.push('Output duration could not be read');
+    }
+
+    if (settings.detect && (hasVideo || hasAudio)) {
+        const defects = await detectDefects(filePath, {
+            hasVideo: expectVideo && hasVideo,
+            hasAudio: expectAudio && hasAudio,
+            duration: probe.duration,
+            thresholds,
+            run
+        });
+        Object.assign(report, Object.fromEntries(Object.entries(defects)
+            .map(([key, intervals]) => [key, intervals.slice(0, MAX_REPORTED_INTERVALS)])));
+
+        if (defects.black.length) issues.push(`Black video for ${describeLongest(defects.black)}`);
+        if (defects.freeze.length) issues.push(`Frozen video for ${describeLongest(defects.freeze)}`);
+        if (defects.silence.length) issues.push(`Silent audio for ${describeLongest(defects.silence)}`);
+    }
+
+    return { ...report, issues };
+};
+
+module.exports = {
+    getVerificationSettings,
+    verifyMedia
+};
@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('./config');
+
+const DATA_DIR = path.join(process.cwd(), 'data');
+const DELIVERIES_FILE = path.join(DATA_DIR, 'webhooks.json');
+const SECRET_FILE = path.join(DATA_DIR, 'webhook-secret');
+
+const DELIVERY_STATUS = {
+    PENDING: 'pending',
+    DELIVERED: 'delivered',
+    FAILED: 'failed'
+};
+
+const WEBHOOK_EVENTS = {
+    done: 'recording.completed',
+    needs_review: 'recording.needs_review',
+    failed: 'recording.failed'
+};
+
+const MAX_LOG_ENTRIES = 500;
+const REQUEST_TIMEOUT_MS = 10000;
+
+const ensureDir = (dirPath) => {
+    if (!fs.existsSync(dirPath)) {
+        fs.mkdirSync(dirPath, { recursive: true });
+    }
+};
+
+const parsePositiveInt = (value, fallback) => {
+    const number = parseInt(value, 10);
+    return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+const fileSize = (filePath) => {
+    try {
+        return fs.statSync(filePath).size;
+    } catch (error) {
+        return null;
+    }
+};
+
+const signPayload = (body, secret) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+const isWebhookUrl = (value) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+};
+
+// Per-job webhooks make the server send requests wherever the job says, so only admins may
+// pick any host; everyone else is limited to webhooks.allowedHosts
+const isAllowedWebhookTarget = (url, user) => {
+    if (!user || user.role === 'admin') return true;
+    const allowedHosts = (getConfig().webhooks?.allowedHosts || []).map((host) => String(host).toLowerCase());
+    return allowedHosts.includes(new URL(url).hostname.toLowerCase());
+};
+
+const buildPayload = (job, event) => {
+    const result = job.result || {};
+    const renditions = (result.renditions || []).map((rendition) => ({
+        ...rendition,
+        size: fileSize(rendition.filePath)
+    }));
+
+    return {
+        event,
+        jobId: job.id,
+        url: job.url,
+        status: job.status,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        error: job.error || null,
+        attempts: job.attempts || [],
+        result: job.status === 'done' || job.status === 'needs_review'
+            ? {
+                filePath: result.filePath || null,
+                downloadUrl: result.downloadUrl || null,
+                duration: result.duration ?? null,
+                size: result.filePath ? fileSize(result.filePath) : null,
+                captureStrategy: result.captureStrategy || null,
+                playbackRate: result.playbackRate ?? null,
+                renditions,
+                chat: result.chat || null,
+                chapters: result.chapters || null,
+                subtitles: result.subtitles || null,
+                verification: result.verification || null
+            }
+            : null
+    };
+};
+
+class WebhookDispatcher {
+    constructor({
+        storePath = DELIVERIES_FILE,
+        secretPath = SECRET_FILE,
+        maxAttempts = parsePositiveInt(process.env.BBB_WEBHOOK_MAX_ATTEMPTS, 6),
+        retryDelayMs = parsePositiveInt(process.env.BBB_WEBHOOK_RETRY_DELAY_MS, 30000)
+    } = {}) {
+        this.storePath = storePath;
+        this.secretPath = secretPath;
+        this.generatedSecret = null;
+        this.maxAttempts = maxAttempts;
+        this.retryDelayMs = retryDelayMs;
+        this.deliveries = [];
+        this.timers = new Map();
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.storePath)) return;
+
+        try {
+            const stored = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+            this.deliveries = stored.deliveries || [];
+            this.deliveries
+                .filter((delivery) => delivery.status === DELIVERY_STATUS.PENDING)
+                .forEach((delivery) => this.scheduleAttempt(delivery));
+        } catch (error) {
+            console.error('Failed to load webhook delivery log:', error);
+        }
+    }
+
+    save() {
+        try {
+            ensureDir(path.dirname(this.storePath));
+            const tempPath = `${this.storePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify({ deliveries: this.deliveries }, null, 2));
+            fs.renameSync(tempPath, this.storePath);
+        } catch (error) {
+            console.error('Failed to persist webhook delivery log:', error);
+        }
+    }
+
+    // Deliveries are always signed. Without a configured secret, one is generated once and kept
+    // next to the delivery log so that receivers can be set up with it.
+    getSecret() {
+        const configured = process.env.BBB_WEBHOOK_SECRET || getConfig().webhooks?.secret;
+        if (configured) return configured;
+        if (this.generatedSecret) return this.generatedSecret;
+
+        try {
+            this.generatedSecret = fs.readFileSync(this.secretPath, 'utf8').trim() || null;
+        } catch (error) {
+            this.generatedSecret = null;
+        }
+        if (!this.generatedSecret) {
+            this.generatedSecret = crypto.randomBytes(32).toString('hex');
+            ensureDir(path.dirname(this.secretPath));
+            fs.writeFileSync(this.secretPath, `${this.generatedSecret}\n`, { mode: 0o600 });
+            console.log(`No webhook secret is configured; signing deliveries with the one generated in ${this.secretPath}`);
+        }
+        return this.generatedSecret;
+    }
+
+    list({ jobId } = {}) {
+        return this.deliveries
+            .filter((delivery) => !jobId || delivery.jobId === jobId)
+            .slice()
+            .reverse();
+    }
+
+    getTargets(job) {
+        const configured = getConfig().webhooks?.urls || [];
+        return Array.from(new Set([...(job.options?.webhooks || []), ...configured])).filter(isWebhookUrl);
+    }
+
+    jobFinished(job) {
+        const event = WEBHOOK_EVENTS[job.status];
+        if (!event) return;
+
+        const targets = this.getTargets(job);
+        if (!targets.length) return;
+
+        const payload = buildPayload(job, event);
+        targets.forEach((url) => {
+            const delivery = {
+                id: crypto.randomUUID(),
+                jobId: job.id,
+                event,
+                url,
+                status: DELIVERY_STATUS.PENDING,
+                createdAt: new Date().toISOString(),
+                deliveredAt: null,
+                nextAttemptAt: null,
+                attempts: [],
+                payload
+            };
+            this.deliveries.push(delivery);
+            this.attempt(delivery);
+        });
+
+        if (this.deliveries.length > MAX_LOG_ENTRIES) {
+            this.deliveries = this.deliveries.slice(-MAX_LOG_ENTRIES);
+        }
+        this.save();
+    }
+
+    scheduleAttempt(delivery) {
+        const delay = Math.max(0, Date.parse(delivery.nextAttemptAt || 0) - Date.now());
+        const timer = setTimeout(() => {
+            this.timers.delete(delivery.id);
+            this.attempt(delivery);
+        }, delay);
+        if (timer.unref) timer.unref();
+        this.timers.set(delivery.id, timer);
+    }
+
+    async attempt(delivery) {
+        const body = JSON.stringify({ ...delivery.payload, deliveryId: delivery.id, sentAt: new Date().toISOString() });
+        const attempt = { at: new Date().toISOString(), statusCode: null, error: null };
+        try {
+            const response = await fetch(delivery.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'bbb-recorder-webhooks',
+                    'X-BBB-Recorder-Event': delivery.event,
+                    'X-BBB-Recorder-Delivery': delivery.id,
+                    'X-BBB-Recorder-Signature': signPayload(body, this.getSecret())
+                },
+                body,
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+            });
+            attempt.statusCode = response.status;
+            if (!response.ok) {
+                attempt.error = `HTTP ${response.status}`;
+            }
+        } catch (error) {
+            attempt.error = error.message;
+        }
+
+        delivery.attempts.push(attempt);
+        if (!attempt.error) {
+            delivery.status = DELIVERY_STATUS.DELIVERED;
+            delivery.deliveredAt = attempt.at;
+            delivery.nextAttemptAt = null;
+        } else if (delivery.attempts.length >= this.maxAttempts) {
+            console.warn(`Webhook delivery to ${delivery.url} failed after ${delivery.attempts.length} attempts:`, attempt.error);
+            delivery.status = DELIVERY_STATUS.FAILED;
+            delivery.nextAttemptAt = null;
+        } else {
+            const delay = this.retryDelayMs * (2 ** (delivery.attempts.length - 1));
+            delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+            this.scheduleAttempt(delivery);
+        }
+        this.save();
+    }
+}
+
+const getWebhookDispatcher = () => {
+    if (!global.webhookDispatcher) {
+        global.webhookDispatcher = new WebhookDispatcher();
+    }
+    return global.webhookDispatcher;
+};
+
+module.exports = {
+    DELIVERY_STATUS,
+    WebhookDispatcher,
+    getWebhookDispatcher,
+    isAllowedWebhookTarget,
+    isWebhookUrl,
+    signPayload
+};
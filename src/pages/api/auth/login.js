@@ -0,0 +1,20 @@
+import { createSessionCookie, isAuthEnabled, login } from '../../../lib/auth';
+
+export default async function handler(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ message: 'Method not allowed' });
+    }
+
+    if (!isAuthEnabled()) {
+        return res.status(400).json({ message: 'Authentication is disabled' });
+    }
+
+    const { username, password } = req.body || {};
+    try {
+        const user = await login(username, password);
+        res.setHeader('Set-Cookie', createSessionCookie(user));
+        res.status(200).json({ user });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ message: error.message });
+    }
+}
@@ -0,0 +1,10 @@
+import { clearSessionCookie } from '../../../lib/auth';
+
+export default function handler(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ message: 'Method not allowed' });
+    }
+
+    res.setHeader('Set-Cookie', clearSessionCookie());
+    res.status(200).json({ message: 'Logged out' });
+}
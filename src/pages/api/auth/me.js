@@ -0,0 +1,15 @@
+import { getAuthProviderName, isAuthEnabled, withAuth } from '../../../lib/auth';
+
+function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ message: 'Method not allowed' });
+    }
+
+    res.status(200).json({
+        user: req.user,
+        authEnabled: isAuthEnabled(),
+        provider: getAuthProviderName()
+    });
+}
+
+export default withAuth(handler);
@@ -0,0 +1,34 @@
+import { getUserStore, isAuthEnabled, withAuth } from '../../../lib/auth';
+
+function handler(req, res) {
+    if (!isAuthEnabled()) {
+        return res.status(400).json({ message: 'Authentication is disabled' });
+    }
+
+    const store = getUserStore();
+
+    try {
+        if (req.method === 'GET') {
+            return res.status(200).json({ tokens: store.listTokens(req.user.id) });
+        }
+
+        if (req.method === 'POST') {
+            const token = store.createToken(req.user.id, req.body?.name);
+            return res.status(201).json({
+                message: 'Copy the token now; it will not be shown again',
+                token
+            });
+        }
+
+        if (req.method === 'DELETE') {
+            store.revokeToken(req.user.id, req.query.id || req.body?.id);
+            return res.status(200).json({ message: 'Token revoked' });
+        }
+
+        res.status(405).json({ message: 'Method not allowed' });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ message: error.message });
+    }
+}
+
+export default withAuth(handler);
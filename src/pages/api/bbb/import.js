@@ -0,0 +1,73 @@
+import { annotateWithExports, fetchRecordings } from '../../../lib/bbbApi';
+import { getJobQueue } from '../../../lib/jobQueue';
+import { listRecordings } from '../../../lib/library';
+import { parseJobOptions } from '../../../lib/jobOptions';
+import { withAuth } from '../../../lib/auth';
+
+async function handler(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ message: 'Method not allowed' });
+    }
+
+    const body = req.body || {};
+    const { baseUrl, secret, checksumAlgorithm, meetingId, recordIds, all, priority } = body;
+    if (!all && (!Array.isArray(recordIds) || !recordIds.length)) {
+        return res.status(400).json({ message: 'Select at least one recording or send "all": true' });
+    }
+
+    let options;
+    try {
+        options = parseJobOptions(body, { user: req.user });
+    } catch (error) {
+        return res.status(error.statusCode || 400).json({ message: error.message });
+    }
+
+    const queue = getJobQueue();
+    let recordings;
+    try {
+        recordings = annotateWithExports(
+            await fetchRecordings({ baseUrl, secret, checksumAlgorithm, meetingId }),
+            { exports: listRecordings({ user: req.user }), jobs: queue.listForUser(req.user) }
+        );
+    } catch (error) {
+        console.error('Failed to list BigBlueButton recordings:', error);
+        return res.status(error.statusCode || 500).json({ message: error.message });
+    }
+
+    const selected = all
+        ? recordings
+        : recordings.filter((recording) => recordIds.includes(recording.recordId));
+    const jobs = [];
+    const skipped = [];
+
+    selected.forEach((recording) => {
+        if (!recording.playbackUrl) {
+            skipped.push({ recordId: recording.recordId, reason: 'No presentation playback format' });
+            return;
+        }
+        if (recording.exportStatus) {
+            skipped.push({
+                recordId: recording.recordId,
+                reason: recording.exportStatus === 'exported' ? 'Already exported' : 'Already queued',
+                exportId: recording.exportId,
+                jobId: recording.jobId
+            });
+            return;
+        }
+        jobs.push(queue.enqueue({ url: recording.playbackUrl, priority, options, owner: req.user.id }));
+    });
+
+    if (!all) {
+        recordIds
+            .filter((recordId) => !selected.some((recording) => recording.recordId === recordId))
+            .forEach((recordId) => skipped.push({ recordId, reason: 'Recording not found' }));
+    }
+
+    res.status(200).json({
+        message: `Queued ${jobs.length} recording${jobs.length === 1 ? '' : 's'}`,
+        jobs,
+        skipped
+    });
+}
+
+export default withAuth(handler);
@@ -0,0 +1,28 @@
+import { annotateWithExports, fetchRecordings } from '../../../lib/bbbApi';
+import { getJobQueue } from '../../../lib/jobQueue';
+import { listRecordings } from '../../../lib/library';
+import { withAuth } from '../../../lib/auth';
+
+// POST so the shared secret never ends up in a query string or access log
+async function handler(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ message: 'Method not allowed' });
+    }
+
+    const { baseUrl, secret, checksumAlgorithm, meetingId, state } = req.body || {};
+
+    try {
+        const recordings = await fetchRecordings({ baseUrl, secret, checksumAlgorithm, meetingId, state });
+        res.status(200).json({
+            recordings: annotateWithExports(recordings, {
+                exports: listRecordings({ user: req.user }),
+                jobs: getJobQueue().listForUser(req.user)
+            })
+        });
+    } catch (error) {
+        console.error('Failed to list BigBlueButton recordings:', error);
+        res.status(error.statusCode || 500).json({ message: error.message });
+    }
+}
+
+export default withAuth(handler);
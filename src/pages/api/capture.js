@@ -0,0 +1,18 @@
+import { describeCapturePresets, resolveCaptureSettings } from '../../lib/captureSettings';
+import { withAuth } from '../../lib/auth';
+
+function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ message: 'Method not allowed' });
+    }
+
+    try {
+        const { preset, ...defaults } = resolveCaptureSettings();
+        delete defaults.mimeTypes;
+        res.status(200).json({ presets: describeCapturePresets(), defaultPreset: preset, defaults });
+    } catch (error) {
+        res.status(500).json({ message: `Invalid capture configuration: ${error.message}` });
+    }
+}
+
+export default withAuth(handler);
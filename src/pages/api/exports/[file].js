@@ -0,0 +1,85 @@
+import fs from 'fs';
+import path from 'path';
+import { withAuth } from '../../../lib/auth';
+import { resolveExportFile } from '../../../lib/library';
+
+const CONTENT_TYPES = {
+    '.mp4': 'video/mp4',
+    '.m4a': 'audio/mp4',
+    '.mov': 'video/quicktime',
+    '.mkv': 'video/x-matroska',
+    '.webm': 'video/webm',
+    '.mp3': 'audio/mpeg',
+    '.opus': 'audio/ogg',
+    '.ogg': 'audio/ogg',
+    '.json': 'application/json; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.vtt': 'text/vtt; charset=utf-8',
+    '.srt': 'application/x-subrip; charset=utf-8'
+};
+
+export const config = {
+    api: {
+        responseLimit: false
+    }
+};
+
+// Parses a single "bytes=start-end" range; multi-range requests get the whole file
+const parseRange = (header, size) => {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+    if (!match || (!match[1] && !match[2])) return null;
+
+    const start = match[1] ? Number(match[1]) : Math.max(0, size - Number(match[2]));
+    const end = match[1] && match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+    return start <= end && start < size ? { start, end } : 'invalid';
+};
+
+function handler(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return res.status(405).json({ message: 'Method not allowed' });
+    }
+
+    let file;
+    try {
+        file = resolveExportFile(req.query.file, { user: req.user });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({ message: error.message });
+    }
+
+    const { filePath, stat } = file;
+    const range = parseRange(req.headers.range, stat.size);
+    if (range === 'invalid') {
+        res.setHeader('Content-Range', `bytes */${stat.size}`);
+        return res.status(416).end();
+    }
+
+    res.setHeader('Content-Type', CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream');
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('Cache-Control', 'private, no-cache');
+    res.setHeader('Last-Modified', stat.mtime.toUTCString());
+    if (req.query.download) {
+        res.setHeader('Content-Disposition', `attachment; filename="${path.basename(filePath)}"`);
+    }
+
+    const { start, end } = range || { start: 0, end: stat.size - 1 };
+    res.setHeader('Content-Length', end - start + 1);
+    if (range) {
+        res.setHeader('Content-Range', `bytes ${start}-${end}/${stat.size}`);
+        res.status(206);
+    } else {
+        res.status(200);
+    }
+
+    if (req.method === 'HEAD' || stat.size === 0) {
+        return res.end();
+    }
+
+    const stream = fs.createReadStream(filePath, { start, end });
+    stream.on('error', (error) => {
+        console.error('Failed to stream export:', error);
+        res.destroy(error);
+    });
+    stream.pipe(res);
+}
+
+export default withAuth(handler);
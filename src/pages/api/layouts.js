@@ -0,0 +1,12 @@
+import { describeLayouts } from '../../lib/layouts';
+import { withAuth } from '../../lib/auth';
+
+function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ message: 'Method not allowed' });
+    }
+
+    res.status(200).json({ layouts: describeLayouts() });
+}
+
+export default withAuth(handler);
@@ -0,0 +1,15 @@
+import { describeProfiles, getDefaultProfileNames } from '../../lib/profiles';
+import { withAuth } from '../../lib/auth';
+
+function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ message: 'Method not allowed' });
+    }
+
+    res.status(200).json({
+        profiles: describeProfiles(),
+        defaultProfiles: getDefaultProfileNames()
+    });
+}
+
+export default withAuth(handler);
@@ -1,9 +1,24 @@
-export default function handler(req, res) {
+import { withAuth } from '../../lib/auth';
+import { getJobQueue } from '../../lib/jobQueue';
+import { replayProgress } from '../../lib/progress';
+
+function handler(req, res) {
     if (req.method !== 'GET') {
         return res.status(405).json({ message: 'Method not allowed' });
     }
 
     const { recordingId } = req.query;
+    let job = null;
+    if (recordingId) {
+        try {
+            job = getJobQueue().getForUser(recordingId, req.user);
+        } catch (error) {
+            return res.status(error.statusCode || 500).json({ message: error.message });
+        }
+    }
+
+    // EventSource sends Last-Event-ID when it reconnects; a reloaded page passes it as a query parameter
+    const lastEventId = Number(req.headers['last-event-id'] || req.query.lastEventId);
 
     // Ensure client store exists
     if (!global.progressClients) {
@@ -23,6 +38,7 @@ export default function handler(req, res) {
     const client = {
         res,
         recordingId: recordingId || null,
+        user: req.user,
         heartbeat: null
     };
 
@@ -37,6 +53,15 @@ export default function handler(req, res) {
     // Send initial confirmation
     send({ type: 'connected', recordingId: recordingId || null });
 
+    // Catch up: the job as it stands, which is all a client gets once the history of the job is gone,
+    // then the events the client missed, if they are still kept
+    if (job) {
+        send({ type: 'snapshot', recordingId, job, queuePosition: getJobQueue().getQueuePosition(job.id) });
+    }
+    if (Number.isFinite(lastEventId) && lastEventId > 0) {
+        replayProgress(client, lastEventId);
+    }
+
     // Heartbeat to keep connection alive in proxies
     client.heartbeat = setInterval(() => {
         try {
@@ -60,3 +85,5 @@ export default function handler(req, res) {
     req.on('close', removeClient);
     req.on('end', removeClient);
 }
+
+export default withAuth(handler);
@@ -0,0 +1,17 @@
+import { getJobQueue } from '../../../../lib/jobQueue';
+import { withAuth } from '../../../../lib/auth';
+
+function handler(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ message: 'Method not allowed' });
+    }
+
+    try {
+        const job = getJobQueue().approve(req.query.id, req.user);
+        return res.status(200).json({ message: 'Recording approved', job });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({ message: error.message });
+    }
+}
+
+export default withAuth(handler);
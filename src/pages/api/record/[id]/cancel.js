@@ -0,0 +1,25 @@
+import { getJobQueue } from '../../../../lib/jobQueue';
+import { withAuth } from '../../../../lib/auth';
+
+async function handler(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ message: 'Method not allowed' });
+    }
+
+    const { id } = req.query;
+    const skipConversion = req.body?.skipConversion !== false;
+
+    try {
+        const queue = getJobQueue();
+        queue.getForUser(id, req.user);
+        const job = await queue.cancel(id, { skipConversion });
+        res.status(200).json({
+            message: skipConversion ? 'Recording cancelled' : 'Recording stopped; converting partial capture',
+            job
+        });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ message: error.message });
+    }
+}
+
+export default withAuth(handler);
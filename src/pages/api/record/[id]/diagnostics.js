@@ -0,0 +1,41 @@
+import fs from 'fs';
+import { getJobQueue } from '../../../../lib/jobQueue';
+import { getDiagnosticsFile, getJobSessionIds } from '../../../../lib/jobLogs';
+import { withAuth } from '../../../../lib/auth';
+
+export const config = {
+    api: {
+        responseLimit: false
+    }
+};
+
+function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ message: 'Method not allowed' });
+    }
+
+    try {
+        const job = getJobQueue().getForUser(req.query.id, req.user);
+        const sessions = getJobSessionIds(job);
+        const { sessionId } = req.query;
+        if (sessionId && !sessions.includes(sessionId)) {
+            return res.status(404).json({ message: 'Session not found for this job' });
+        }
+
+        // Without a session, the bundle of the latest failed attempt
+        const bundle = sessionId
+            ? getDiagnosticsFile(sessionId)
+            : sessions.map(getDiagnosticsFile).filter(Boolean).pop();
+        if (!bundle) {
+            return res.status(404).json({ message: 'No diagnostics bundle for this job' });
+        }
+
+        res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="job_${job.id}.diagnostics.json"`);
+        return fs.createReadStream(bundle).pipe(res);
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({ message: error.message });
+    }
+}
+
+export default withAuth(handler);
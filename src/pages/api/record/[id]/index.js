@@ -0,0 +1,24 @@
+import { getJobQueue } from '../../../../lib/jobQueue';
+import { getLastEventId } from '../../../../lib/progress';
+import { withAuth } from '../../../../lib/auth';
+
+function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ message: 'Method not allowed' });
+    }
+
+    try {
+        const queue = getJobQueue();
+        const job = queue.getForUser(req.query.id, req.user);
+        res.status(200).json({
+            job,
+            queuePosition: queue.getQueuePosition(job.id),
+            // Pass this as lastEventId to /api/progress to receive only the events after the snapshot
+            lastEventId: getLastEventId(job.id)
+        });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ message: error.message });
+    }
+}
+
+export default withAuth(handler);
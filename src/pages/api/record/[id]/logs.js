@@ -0,0 +1,68 @@
+import fs from 'fs';
+import { getJobQueue } from '../../../../lib/jobQueue';
+import { getJobLogFile, getJobSessionIds, readJobLog } from '../../../../lib/jobLogs';
+import { withAuth } from '../../../../lib/auth';
+
+export const config = {
+    api: {
+        responseLimit: false
+    }
+};
+
+// The files are sent one after the other, which keeps the download valid JSON lines
+const streamFiles = (files, res) => {
+    const next = () => {
+        const file = files.shift();
+        if (!file) {
+            res.end();
+            return;
+        }
+        const stream = fs.createReadStream(file);
+        stream.on('end', next);
+        stream.on('error', (error) => res.destroy(error));
+        stream.pipe(res, { end: false });
+    };
+    next();
+};
+
+function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ message: 'Method not allowed' });
+    }
+
+    const { id, level, source, limit, download, sessionId: requestedSession } = req.query;
+
+    try {
+        const job = getJobQueue().getForUser(id, req.user);
+        const jobSessions = getJobSessionIds(job);
+        if (requestedSession && !jobSessions.includes(requestedSession)) {
+            return res.status(404).json({ message: 'Session not found for this job' });
+        }
+
+        const sessions = (requestedSession ? [requestedSession] : jobSessions)
+            .filter((sessionId) => getJobLogFile(sessionId));
+        if (!sessions.length) {
+            return res.status(404).json({ message: 'No logs recorded for this job yet' });
+        }
+
+        if (download) {
+            res.setHeader('Content-Type', 'application/x-ndjson');
+            res.setHeader('Content-Disposition', `attachment; filename="job_${job.id}.log.jsonl"`);
+            return streamFiles(sessions.map(getJobLogFile), res);
+        }
+
+        const entries = sessions
+            .flatMap((sessionId) => readJobLog(sessionId, { level, source }).map((entry) => ({ ...entry, sessionId })));
+        const max = parseInt(limit, 10);
+        return res.status(200).json({
+            jobId: job.id,
+            sessionId: sessions[sessions.length - 1],
+            sessions,
+            entries: max > 0 ? entries.slice(-max) : entries
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({ message: error.message });
+    }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,21 @@
+import { getJobQueue } from '../../../../lib/jobQueue';
+import { withAuth } from '../../../../lib/auth';
+
+async function handler(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ message: 'Method not allowed' });
+    }
+
+    const { id } = req.query;
+
+    try {
+        const queue = getJobQueue();
+        queue.getForUser(id, req.user);
+        const job = await queue.pause(id);
+        res.status(200).json({ message: 'Recording paused', job });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ message: error.message });
+    }
+}
+
+export default withAuth(handler);
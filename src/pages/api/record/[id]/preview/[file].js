@@ -0,0 +1,45 @@
+import fs from 'fs';
+import path from 'path';
+import { getJobQueue } from '../../../../../lib/jobQueue';
+import { isPreviewFile } from '../../../../../lib/livePreview';
+import { withAuth } from '../../../../../lib/auth';
+
+const CONTENT_TYPES = {
+    '.m3u8': 'application/vnd.apple.mpegurl',
+    '.ts': 'video/mp2t'
+};
+
+function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ message: 'Method not allowed' });
+    }
+
+    const { id, file } = req.query;
+    if (!isPreviewFile(file)) {
+        return res.status(404).json({ message: 'Not found' });
+    }
+
+    try {
+        const queue = getJobQueue();
+        queue.getForUser(id, req.user);
+        const { recorder } = queue.getActiveRecorder(id);
+        const dir = recorder.getPreviewDir();
+        if (!dir) {
+            return res.status(404).json({ message: 'No live preview for this recording' });
+        }
+
+        // Segments roll off the playlist while it is being played, so a missing one is an ordinary 404
+        const filePath = path.join(dir, file);
+        if (!fs.existsSync(filePath)) {
+            return res.status(404).json({ message: 'Preview segment no longer available' });
+        }
+
+        res.setHeader('Content-Type', CONTENT_TYPES[path.extname(file)]);
+        res.setHeader('Cache-Control', 'no-store');
+        return fs.createReadStream(filePath).pipe(res);
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({ message: error.message });
+    }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,46 @@
+import { getJobQueue } from '../../../lib/jobQueue';
+import { parseJobOptions } from '../../../lib/jobOptions';
+import { withAuth } from '../../../lib/auth';
+
+async function handler(req, res) {
+    const queue = getJobQueue();
+
+    if (req.method === 'GET') {
+        return res.status(200).json({
+            jobs: queue.listForUser(req.user),
+            maxConcurrent: queue.maxConcurrent
+        });
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({ message: 'Method not allowed' });
+    }
+
+    const { url, priority } = req.body;
+    if (!url) {
+        return res.status(400).json({ message: 'URL is required' });
+    }
+
+    let options;
+    try {
+        options = parseJobOptions(req.body, { user: req.user });
+    } catch (error) {
+        return res.status(error.statusCode || 400).json({ message: error.message });
+    }
+
+    try {
+        const job = queue.enqueue({ url, priority, options, owner: req.user.id });
+
+        res.status(200).json({
+            message: job.status === 'queued' ? 'Recording queued' : 'Recording initiated',
+            recordingId: job.id,
+            job,
+            queuePosition: queue.getQueuePosition(job.id)
+        });
+    } catch (error) {
+        console.error('Setup error:', error);
+        res.status(500).json({ message: error.message });
+    }
+}
+
+export default withAuth(handler);
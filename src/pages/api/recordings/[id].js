@@ -0,0 +1,23 @@
+import { deleteRecording, getRecording } from '../../../lib/library';
+import { withAuth } from '../../../lib/auth';
+
+function handler(req, res) {
+    const { id } = req.query;
+
+    try {
+        if (req.method === 'GET') {
+            return res.status(200).json({ recording: getRecording(id, { user: req.user }) });
+        }
+
+        if (req.method === 'DELETE') {
+            const deleted = deleteRecording(id, { user: req.user });
+            return res.status(200).json({ message: 'Recording deleted', files: deleted });
+        }
+
+        res.status(405).json({ message: 'Method not allowed' });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ message: error.message });
+    }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,15 @@
+import { listRecordings } from '../../../lib/library';
+import { withAuth } from '../../../lib/auth';
+
+function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ message: 'Method not allowed' });
+    }
+
+    const { q, status, captureStrategy, from, to, sort } = req.query;
+    res.status(200).json({
+        recordings: listRecordings({ user: req.user, search: q, status, captureStrategy, from, to, sort })
+    });
+}
+
+export default withAuth(handler);
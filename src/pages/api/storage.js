@@ -0,0 +1,18 @@
+import { withAuth } from '../../lib/auth';
+import { getStorageManager } from '../../lib/storage';
+
+function handler(req, res) {
+    const manager = getStorageManager();
+
+    if (req.method === 'GET') {
+        return res.status(200).json(manager.describe());
+    }
+
+    if (req.method === 'POST') {
+        return res.status(200).json({ sweep: manager.sweep() });
+    }
+
+    res.status(405).json({ message: 'Method not allowed' });
+}
+
+export default withAuth(handler, { role: 'admin' });
@@ -0,0 +1,18 @@
+import { getJobQueue } from '../../lib/jobQueue';
+import { getWebhookDispatcher } from '../../lib/webhooks';
+import { withAuth } from '../../lib/auth';
+
+function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ message: 'Method not allowed' });
+    }
+
+    const ownJobs = new Set(getJobQueue().listForUser(req.user).map((job) => job.id));
+    res.status(200).json({
+        deliveries: getWebhookDispatcher()
+            .list({ jobId: req.query.jobId })
+            .filter((delivery) => req.user.role === 'admin' || ownJobs.has(delivery.jobId))
+    });
+}
+
+export default withAuth(handler);
@@ -1,4 +1,5 @@
-import { useState } from 'react';
+import { useCallback, useEffect, useRef, useState } from 'react';
+import NextLink from 'next/link';
 import {
   Box,
   Container,
@@ -9,8 +10,85 @@ import {
   Progress,
   Alert,
   AlertIcon,
+  Select,
+  HStack,
+  Checkbox,
+  CheckboxGroup,
+  Wrap,
+  WrapItem,
+  Link,
   useToast
 } from '@chakra-ui/react';
+import JobList from '../components/JobList';
+import LayoutPreview from '../components/LayoutPreview';
+import LivePreviewPlayer from '../components/LivePreviewPlayer';
+import RecordingImport from '../components/RecordingImport';
+import UserMenu from '../components/UserMenu';
+
+const ACTIVE_RECORDING_KEY = 'bbb-recorder.activeRecording';
+const ACTIVE_STATUSES = ['queued', 'running', 'paused'];
+
+const captureModeLabels = {
+  displayMedia: 'Tab capture',
+  captureStream: 'Direct stream',
+  assets: 'Asset export',
+  assetAudio: 'Audio asset export',
+  audioContext: 'Audio-only capture'
+};
+
+const collectDownloads = (data) => {
+  const downloads = [];
+  (data.renditions || []).slice(1).forEach((rendition) => {
+    downloads.push({ label: `Rendition: ${rendition.profile}`, href: rendition.downloadUrl });
+  });
+  if (data.chat?.downloads) {
+    downloads.push(
+      { label: 'Chat (JSON)', href: data.chat.downloads.json },
+      { label: 'Chat (text)', href: data.chat.downloads.txt },
+      { label: 'Chat (WebVTT)', href: data.chat.downloads.vtt }
+    );
+  }
+  if (data.chapters?.downloads) {
+    downloads.push(
+      { label: `Chapters (${data.chapters.count}, JSON)`, href: data.chapters.downloads.json },
+      { label: 'Chapters (WebVTT)', href: data.chapters.downloads.vtt }
+    );
+  }
+  if (data.subtitles?.downloads) {
+    downloads.push(
+      { label: 'Captions (SRT)', href: data.subtitles.downloads.srt },
+      { label: 'Captions (WebVTT)', href: data.subtitles.downloads.vtt }
+    );
+  }
+  return downloads;
+};
+
+// "12:00-47:00, 1:05:00-" becomes [{ start: '12:00', end: '47:00' }, { start: '1:05:00' }]
+const parseRangeInput = (value) => value
+  .split(',')
+  .map((part) => part.trim())
+  .filter(Boolean)
+  .map((part) => {
+    const [start, end] = part.split('-').map((time) => time.trim());
+    return { start: start || undefined, end: end || undefined };
+  });
+
+// The job as sent on (re)connect, turned into the event that leaves the page in the same state
+const snapshotToEvent = ({ job, queuePosition }) => {
+  if (job.status === 'queued') {
+    return { type: 'job', job, queuePosition };
+  }
+  if (job.status === 'running' || job.status === 'paused') {
+    return { type: 'progress', ...job.progress, paused: job.status === 'paused', preview: Boolean(job.preview), replayed: true };
+  }
+  if (job.status === 'done' || job.status === 'needs_review') {
+    return { type: 'complete', ...job.result, replayed: true };
+  }
+  if (job.status === 'cancelled') {
+    return { type: 'cancelled', replayed: true };
+  }
+  return { type: 'error', message: job.error, replayed: true };
+};
 
 export default function Home() {
   const [url, setUrl] = useState('');
@@ -21,8 +99,33 @@ export default function Home() {
   const [totalSteps, setTotalSteps] = useState(0);
   const [downloadUrl, setDownloadUrl] = useState(null);
   const [downloadPath, setDownloadPath] = useState(null);
+  const [extraDownloads, setExtraDownloads] = useState([]);
   const [captureStrategy, setCaptureStrategy] = useState(null);
   const [playbackRate, setPlaybackRate] = useState(null);
+  const [captureInfo, setCaptureInfo] = useState(null);
+  const [priority, setPriority] = useState('0');
+  const [exportMode, setExportMode] = useState('auto');
+  const [availableProfiles, setAvailableProfiles] = useState([]);
+  const [selectedProfiles, setSelectedProfiles] = useState([]);
+  const [availableLayouts, setAvailableLayouts] = useState([]);
+  const [layout, setLayout] = useState('default');
+  const [capturePresets, setCapturePresets] = useState([]);
+  const [capturePreset, setCapturePreset] = useState('');
+  const [audioOnly, setAudioOnly] = useState(false);
+  const [audioFormat, setAudioFormat] = useState('mp3');
+  const [rangeInput, setRangeInput] = useState('');
+  const [fastCapture, setFastCapture] = useState(false);
+  const [fastCaptureRate, setFastCaptureRate] = useState('4');
+  const [streamingTranscode, setStreamingTranscode] = useState(false);
+  const [livePreview, setLivePreview] = useState(false);
+  const [transcribe, setTranscribe] = useState(false);
+  const [isTranscribing, setIsTranscribing] = useState(false);
+  const [jobsRefreshKey, setJobsRefreshKey] = useState(0);
+  const [recordingId, setRecordingId] = useState(null);
+  const [isPaused, setIsPaused] = useState(false);
+  const [previewAvailable, setPreviewAvailable] = useState(false);
+  const [pendingAction, setPendingAction] = useState(null);
+  const eventSourceRef = useRef(null);
   const toast = useToast();
 
   const playbackRateDisplay = (() => {
@@ -36,7 +139,7 @@ export default function Home() {
     return `${numericValue.toFixed(2)}x playback`;
   })();
 
-  const steps = [
+  const captureSteps = [
     'Preparing',
     'Launching Browser',
     'Setting up Page',
@@ -45,6 +148,316 @@ export default function Home() {
     'Recording in Progress'
   ];
 
+  const assetSteps = [
+    'Preparing',
+    'Downloading Assets',
+    'Rendering Slides',
+    'Compositing Video'
+  ];
+
+  const audioAssetSteps = [
+    'Preparing',
+    'Downloading Audio',
+    'Converting Audio'
+  ];
+
+  const isAssetExport = captureStrategy === 'assets' || captureStrategy === 'assetAudio';
+  const steps = [
+    ...({
+      assets: assetSteps,
+      assetAudio: audioAssetSteps
+    }[captureStrategy] || captureSteps),
+    ...(isTranscribing ? ['Transcribing'] : [])
+  ];
+
+  const jobOptions = {
+    priority: Number(priority),
+    exportMode,
+    ...(audioOnly
+      ? { audioOnly: true, audioFormat }
+      : {
+        profiles: selectedProfiles.length ? selectedProfiles : undefined,
+        layout: layout !== 'default' ? layout : undefined,
+        capture: capturePreset || undefined
+      }),
+    ...(fastCapture ? { fastCapture: true, playbackRate: Number(fastCaptureRate), dropAudio: fastCaptureRate === '8' } : {}),
+    ...(streamingTranscode && exportMode !== 'assets' ? { streamingTranscode: true } : {}),
+    ...(livePreview && exportMode !== 'assets' ? { livePreview: true } : {}),
+    ...(transcribe ? { transcribe: true } : {})
+  };
+
+  useEffect(() => {
+    const loadProfiles = async () => {
+      try {
+        const response = await fetch('/api/profiles');
+        if (!response.ok) return;
+        const data = await response.json();
+        setAvailableProfiles(data.profiles || []);
+        setSelectedProfiles(data.defaultProfiles || []);
+      } catch (error) {
+        console.error('Failed to load output profiles:', error);
+      }
+    };
+    const loadLayouts = async () => {
+      try {
+        const response = await fetch('/api/layouts');
+        if (!response.ok) return;
+        const data = await response.json();
+        setAvailableLayouts(data.layouts || []);
+      } catch (error) {
+        console.error('Failed to load layouts:', error);
+      }
+    };
+    const loadCapturePresets = async () => {
+      try {
+        const response = await fetch('/api/capture');
+        if (!response.ok) return;
+        const data = await response.json();
+        setCapturePresets(data.presets || []);
+        setCapturePreset(data.defaultPreset || '');
+      } catch (error) {
+        console.error('Failed to load capture presets:', error);
+      }
+    };
+    loadProfiles();
+    loadLayouts();
+    loadCapturePresets();
+  }, []);
+
+  // Chat layouts need screen capture, so they are not offered for asset-only exports
+  const selectableLayouts = availableLayouts.filter((option) => exportMode !== 'assets' || option.assets);
+  const selectedLayout = availableLayouts.find((option) => option.name === layout);
+
+  useEffect(() => {
+    if (exportMode === 'assets' && selectedLayout && !selectedLayout.assets) {
+      setLayout('default');
+    }
+  }, [exportMode, selectedLayout]);
+
+  const sendRecordingAction = async (action, body = {}) => {
+    if (!recordingId) return;
+
+    setPendingAction(action);
+    try {
+      const response = await fetch(`/api/record/${recordingId}/${action}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || `Failed to ${action} recording`);
+      }
+      setJobsRefreshKey((key) => key + 1);
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.message,
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const followRecording = useCallback((recordingId) => {
+    // Set up SSE for progress updates (scoped to this recording id)
+    const eventSource = new EventSource(`/api/progress?recordingId=${recordingId}`);
+    eventSourceRef.current = eventSource;
+    window.localStorage.setItem(ACTIVE_RECORDING_KEY, recordingId);
+    const stopFollowing = () => {
+      eventSource.close();
+      window.localStorage.removeItem(ACTIVE_RECORDING_KEY);
+    };
+
+    eventSource.onmessage = (event) => {
+      let data = JSON.parse(event.data);
+      if (data.type === 'snapshot') {
+        data = snapshotToEvent(data);
+      }
+
+      if (data.recordingId && recordingId && data.recordingId !== recordingId) {
+        return;
+      }
+
+      if (data.type === 'job' && data.job?.status === 'queued' && data.queuePosition) {
+        setStatus(`Waiting in queue (position ${data.queuePosition})...`);
+      }
+
+      if (data.type === 'cancelled' || (data.type === 'job' && data.job?.status === 'cancelled' && !data.job.startedAt)) {
+        stopFollowing();
+        setJobsRefreshKey((key) => key + 1);
+        setIsRecording(false);
+        setIsPaused(false);
+        setProgress(0);
+        setStatus(data.message || 'Recording cancelled');
+        return;
+      }
+
+      if (data.type === 'progress') {
+        if (data.progress !== undefined) {
+          setProgress(data.progress);
+        }
+        if (data.step !== undefined) {
+          setCurrentStep(data.step);
+        }
+        if (data.totalSteps !== undefined) {
+          setTotalSteps(data.totalSteps);
+        }
+        if (data.message) {
+          setStatus(data.message);
+        }
+        if (data.paused !== undefined) {
+          setIsPaused(data.paused);
+        }
+        if (data.preview !== undefined) {
+          setPreviewAvailable(data.preview);
+        }
+        if (data.stage === 'transcription') {
+          setIsTranscribing(true);
+        }
+
+        if (data.captureStrategy) {
+          setCaptureStrategy(data.captureStrategy);
+        }
+        if (data.playbackRate) {
+          setPlaybackRate(data.playbackRate);
+        }
+        if (data.capture) {
+          setCaptureInfo(data.capture);
+          (data.replayed ? [] : data.capture.warnings || []).forEach((warning) => toast({
+            title: 'Capture settings adjusted',
+            description: warning,
+            status: 'warning',
+            duration: 8000,
+            isClosable: true,
+          }));
+        }
+
+        if (data.currentTime && data.duration) {
+          const videoProgress = Math.round((data.currentTime / data.duration) * 100);
+          setStatus(`Recording in progress: ${videoProgress}% of video processed`);
+        }
+      }
+
+      if (data.type === 'complete') {
+        stopFollowing();
+        setJobsRefreshKey((key) => key + 1);
+        setIsRecording(false);
+        setIsPaused(false);
+        setProgress(100);
+        setStatus(data.message || 'Recording completed successfully');
+        if (data.downloadUrl) {
+          setDownloadUrl(data.downloadUrl);
+        }
+        if (data.filePath) {
+          setDownloadPath(data.filePath);
+        }
+        setExtraDownloads(collectDownloads(data));
+        if (data.captureStrategy) {
+          setCaptureStrategy(data.captureStrategy);
+        }
+        if (data.playbackRate) {
+          setPlaybackRate(data.playbackRate);
+        }
+        if (data.replayed) return;
+        toast({
+          title: data.needsReview ? 'Needs review' : 'Success',
+          description: data.message || 'Recording completed successfully',
+          status: data.needsReview ? 'warning' : 'success',
+          duration: 5000,
+          isClosable: true,
+        });
+      } else if (data.type === 'error' && data.willRetry) {
+        setJobsRefreshKey((key) => key + 1);
+        setIsPaused(false);
+        setProgress(0);
+        setStatus(`Attempt failed: ${data.message}. Retrying...`);
+        if (data.replayed) return;
+        toast({
+          title: 'Retrying',
+          description: data.message,
+          status: 'warning',
+          duration: 5000,
+          isClosable: true,
+        });
+      } else if (data.type === 'error') {
+        stopFollowing();
+        setJobsRefreshKey((key) => key + 1);
+        setIsRecording(false);
+        setIsPaused(false);
+        setProgress(0);
+        setStatus(data.message || 'Recording failed');
+        if (data.captureStrategy) {
+          setCaptureStrategy(data.captureStrategy);
+        }
+        if (data.replayed) return;
+        toast({
+          title: 'Error',
+          description: data.message || 'Recording failed',
+          status: 'error',
+          duration: 5000,
+          isClosable: true,
+        });
+      }
+    };
+
+    // EventSource reconnects by itself, and the server then resends the job and what was missed
+    eventSource.onerror = () => {
+      if (eventSource.readyState === EventSource.CONNECTING) {
+        setStatus('Connection to server lost, reconnecting...');
+        return;
+      }
+      stopFollowing();
+      setIsRecording(false);
+      setProgress(0);
+      setStatus('Connection to server lost');
+      toast({
+        title: 'Error',
+        description: 'Connection to server lost',
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    };
+  }, [toast]);
+
+  // Follows the job this browser started last if it is still active, else the most recent active one
+  useEffect(() => {
+    let cancelled = false;
+    const reattach = async () => {
+      try {
+        const response = await fetch('/api/record');
+        if (!response.ok) return;
+        const data = await response.json();
+        const activeJobs = (data.jobs || []).filter((job) => ACTIVE_STATUSES.includes(job.status));
+        const storedId = window.localStorage.getItem(ACTIVE_RECORDING_KEY);
+        const job = activeJobs.find((candidate) => candidate.id === storedId) || activeJobs[0];
+        if (cancelled || !job) return;
+
+        setUrl(job.url);
+        setRecordingId(job.id);
+        setIsRecording(true);
+        setStatus('Reconnecting to the running recording...');
+        followRecording(job.id);
+      } catch (error) {
+        console.error('Failed to reattach to a running recording:', error);
+      }
+    };
+    reattach();
+
+    return () => {
+      cancelled = true;
+      if (eventSourceRef.current) {
+        eventSourceRef.current.close();
+      }
+    };
+  }, [followRecording]);
+
   const startRecording = async () => {
     if (!url) {
       toast({
@@ -65,117 +478,39 @@ export default function Home() {
       setTotalSteps(0);
       setDownloadUrl(null);
       setDownloadPath(null);
+      setExtraDownloads([]);
       setCaptureStrategy(null);
       setPlaybackRate(null);
+      setCaptureInfo(null);
+      setIsPaused(false);
+      setIsTranscribing(false);
+      setRecordingId(null);
+      setPreviewAvailable(false);
 
       const response = await fetch('/api/record', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ url }),
+        body: JSON.stringify({
+          url,
+          ...jobOptions,
+          ranges: rangeInput.trim() ? parseRangeInput(rangeInput) : undefined
+        }),
       });
 
       if (!response.ok) {
         throw new Error('Failed to start recording');
       }
 
-      const { recordingId } = await response.json();
-      setStatus('Recording initiated. Setting up browser...');
-
-      // Set up SSE for progress updates (scoped to this recording id)
-      const eventSource = new EventSource(`/api/progress?recordingId=${recordingId}`);
-      
-      eventSource.onmessage = (event) => {
-        const data = JSON.parse(event.data);
-        
-        if (data.recordingId && recordingId && data.recordingId !== recordingId) {
-          return;
-        }
-
-        if (data.type === 'progress') {
-          if (data.progress !== undefined) {
-            setProgress(data.progress);
-          }
-          if (data.step !== undefined) {
-            setCurrentStep(data.step);
-          }
-          if (data.totalSteps !== undefined) {
-            setTotalSteps(data.totalSteps);
-          }
-          if (data.message) {
-            setStatus(data.message);
-          }
-
-          if (data.captureStrategy) {
-            setCaptureStrategy(data.captureStrategy);
-          }
-          if (data.playbackRate) {
-            setPlaybackRate(data.playbackRate);
-          }
-
-          if (data.currentTime && data.duration) {
-            const videoProgress = Math.round((data.currentTime / data.duration) * 100);
-            setStatus(`Recording in progress: ${videoProgress}% of video processed`);
-          }
-        }
-
-        if (data.type === 'complete') {
-          eventSource.close();
-          setIsRecording(false);
-          setProgress(100);
-          setStatus(data.message || 'Recording completed successfully');
-          if (data.downloadUrl) {
-            setDownloadUrl(data.downloadUrl);
-          }
-          if (data.filePath) {
-            setDownloadPath(data.filePath);
-          }
-          if (data.captureStrategy) {
-            setCaptureStrategy(data.captureStrategy);
-          }
-          if (data.playbackRate) {
-            setPlaybackRate(data.playbackRate);
-          }
-          toast({
-            title: 'Success',
-            description: data.message || 'Recording completed successfully',
-            status: 'success',
-            duration: 5000,
-            isClosable: true,
-          });
-        } else if (data.type === 'error') {
-          eventSource.close();
-          setIsRecording(false);
-          setProgress(0);
-          setStatus(data.message || 'Recording failed');
-          if (data.captureStrategy) {
-            setCaptureStrategy(data.captureStrategy);
-          }
-          toast({
-            title: 'Error',
-            description: data.message || 'Recording failed',
-            status: 'error',
-            duration: 5000,
-            isClosable: true,
-          });
-        }
-      };
-
-      eventSource.onerror = () => {
-        eventSource.close();
-        setIsRecording(false);
-        setProgress(0);
-        setStatus('Connection to server lost');
-        toast({
-          title: 'Error',
-          description: 'Connection to server lost',
-          status: 'error',
-          duration: 5000,
-          isClosable: true,
-        });
-      };
+      const { recordingId, job, queuePosition } = await response.json();
+      setRecordingId(recordingId);
+      setJobsRefreshKey((key) => key + 1);
+      setStatus(job?.status === 'queued'
+        ? `Waiting in queue (position ${queuePosition})...`
+        : 'Recording initiated. Setting up browser...');
 
+      followRecording(recordingId);
     } catch (error) {
       setIsRecording(false);
       setStatus(error.message);
@@ -195,6 +530,12 @@ export default function Home() {
         <Text fontSize="2xl" fontWeight="bold">
           BigBlueButton Recording Tool
         </Text>
+        <HStack spacing={6}>
+          <Link as={NextLink} href="/library" color="blue.500">
+            Browse past recordings
+          </Link>
+          <UserMenu />
+        </HStack>
         
         <Box w="100%">
           <Input
@@ -204,6 +545,168 @@ export default function Home() {
             isDisabled={isRecording}
             mb={4}
           />
+
+          <Select
+            value={priority}
+            onChange={(e) => setPriority(e.target.value)}
+            isDisabled={isRecording}
+            mb={4}
+          >
+            <option value="10">High priority</option>
+            <option value="0">Normal priority</option>
+            <option value="-10">Low priority</option>
+          </Select>
+
+          <Select
+            value={exportMode}
+            onChange={(e) => setExportMode(e.target.value)}
+            isDisabled={isRecording}
+            mb={4}
+          >
+            <option value="auto">Asset export, falling back to screen capture</option>
+            <option value="assets">Asset export only</option>
+            <option value="capture">Screen capture only</option>
+          </Select>
+
+          <HStack mb={4} spacing={4}>
+            <Checkbox
+              isChecked={audioOnly}
+              onChange={(e) => setAudioOnly(e.target.checked)}
+              isDisabled={isRecording}
+              flexShrink={0}
+            >
+              Audio only
+            </Checkbox>
+            {audioOnly && (
+              <Select
+                value={audioFormat}
+                onChange={(e) => setAudioFormat(e.target.value)}
+                isDisabled={isRecording}
+              >
+                <option value="mp3">MP3</option>
+                <option value="opus">Opus</option>
+                <option value="m4a">M4A (AAC)</option>
+              </Select>
+            )}
+          </HStack>
+
+          {exportMode !== 'assets' && (
+            <HStack mb={4} spacing={4}>
+              <Checkbox
+                isChecked={fastCapture}
+                onChange={(e) => setFastCapture(e.target.checked)}
+                isDisabled={isRecording}
+                flexShrink={0}
+              >
+                Fast capture
+              </Checkbox>
+              {fastCapture && (
+                <Select
+                  value={fastCaptureRate}
+                  onChange={(e) => setFastCaptureRate(e.target.value)}
+                  isDisabled={isRecording}
+                >
+                  <option value="2">Play at 2x</option>
+                  <option value="3">Play at 3x</option>
+                  <option value="4">Play at 4x</option>
+                  <option value="8">Play at 8x (no audio)</option>
+                </Select>
+              )}
+            </HStack>
+          )}
+
+          {exportMode !== 'assets' && (
+            <Checkbox
+              isChecked={streamingTranscode}
+              onChange={(e) => setStreamingTranscode(e.target.checked)}
+              isDisabled={isRecording}
+              mb={4}
+            >
+              Encode while recording
+            </Checkbox>
+          )}
+
+          {exportMode !== 'assets' && (
+            <Checkbox
+              isChecked={livePreview}
+              onChange={(e) => setLivePreview(e.target.checked)}
+              isDisabled={isRecording}
+              mb={4}
+            >
+              Live preview
+            </Checkbox>
+          )}
+
+          <Checkbox
+            isChecked={transcribe}
+            onChange={(e) => setTranscribe(e.target.checked)}
+            isDisabled={isRecording}
+            mb={4}
+          >
+            Generate captions
+          </Checkbox>
+
+          <Input
+            placeholder="Time ranges (optional), e.g. 12:00-47:00, 1:05:00-1:10:00"
+            value={rangeInput}
+            onChange={(e) => setRangeInput(e.target.value)}
+            isDisabled={isRecording}
+            mb={4}
+          />
+
+          {!audioOnly && selectableLayouts.length > 0 && (
+            <HStack mb={4} spacing={4} align="center">
+              <Box flex={1}>
+                <Text mb={2} fontSize="sm" color="gray.600">Layout</Text>
+                <Select
+                  value={layout}
+                  onChange={(e) => setLayout(e.target.value)}
+                  isDisabled={isRecording}
+                >
+                  {selectableLayouts.map((option) => (
+                    <option key={option.name} value={option.name}>{option.label}</option>
+                  ))}
+                </Select>
+              </Box>
+              <LayoutPreview layout={selectedLayout} />
+            </HStack>
+          )}
+
+          {!audioOnly && exportMode !== 'assets' && capturePresets.length > 0 && (
+            <Box mb={4}>
+              <Text mb={2} fontSize="sm" color="gray.600">Capture quality</Text>
+              <Select
+                value={capturePreset}
+                onChange={(e) => setCapturePreset(e.target.value)}
+                isDisabled={isRecording}
+              >
+                {capturePresets.map((option) => (
+                  <option key={option.name} value={option.name}>
+                    {`${option.label} (${option.width}x${option.height}, ${option.fps} fps, ${option.codec.toUpperCase()})`}
+                  </option>
+                ))}
+              </Select>
+            </Box>
+          )}
+
+          {!audioOnly && availableProfiles.length > 0 && (
+            <Box mb={4}>
+              <Text mb={2} fontSize="sm" color="gray.600">Output profiles</Text>
+              <CheckboxGroup
+                value={selectedProfiles}
+                onChange={setSelectedProfiles}
+                isDisabled={isRecording}
+              >
+                <Wrap spacing={4}>
+                  {availableProfiles.map((profile) => (
+                    <WrapItem key={profile.name}>
+                      <Checkbox value={profile.name}>{profile.label}</Checkbox>
+                    </WrapItem>
+                  ))}
+                </Wrap>
+              </CheckboxGroup>
+            </Box>
+          )}
           
           <Button
             colorScheme="blue"
@@ -221,13 +724,55 @@ export default function Home() {
             <VStack spacing={4} align="stretch">
               <Text fontWeight="bold">{status}</Text>
 
+              {recordingId && (
+                <HStack spacing={3}>
+                  {!isAssetExport && (
+                    <>
+                      <Button
+                        size="sm"
+                        onClick={() => sendRecordingAction(isPaused ? 'resume' : 'pause')}
+                        isLoading={pendingAction === 'pause' || pendingAction === 'resume'}
+                        isDisabled={Boolean(pendingAction) || isTranscribing || currentStep < steps.length - 1}
+                      >
+                        {isPaused ? 'Resume' : 'Pause'}
+                      </Button>
+                      <Button
+                        size="sm"
+                        colorScheme="orange"
+                        variant="outline"
+                        onClick={() => sendRecordingAction('cancel', { skipConversion: false })}
+                        isDisabled={Boolean(pendingAction) || isTranscribing || currentStep < steps.length - 1}
+                      >
+                        Stop &amp; Save
+                      </Button>
+                    </>
+                  )}
+                  <Button
+                    size="sm"
+                    colorScheme="red"
+                    variant="outline"
+                    onClick={() => sendRecordingAction('cancel', { skipConversion: true })}
+                    isLoading={pendingAction === 'cancel'}
+                    isDisabled={Boolean(pendingAction)}
+                  >
+                    Cancel
+                  </Button>
+                </HStack>
+              )}
+
               {captureStrategy && (
                 <Text fontSize="sm" color="gray.600">
-                  Mode: {captureStrategy === 'displayMedia' ? 'Tab capture' : 'Direct stream'}
+                  Mode: {captureModeLabels[captureStrategy] || 'Direct stream'}
                   {playbackRateDisplay ? ` · ${playbackRateDisplay}` : ''}
+                  {captureInfo?.width ? ` · ${captureInfo.width}x${captureInfo.height}` : ''}
+                  {captureInfo?.fps ? ` @ ${Math.round(captureInfo.fps)} fps` : ''}
                 </Text>
               )}
 
+              {recordingId && previewAvailable && (
+                <LivePreviewPlayer recordingId={recordingId} />
+              )}
+
               {/* Overall progress */}
               <Box>
                 <Text mb={2} fontSize="sm" color="gray.600">
@@ -279,8 +824,10 @@ export default function Home() {
               <Text fontWeight="semibold">Recording ready for download</Text>
               {captureStrategy && (
                 <Text fontSize="sm" color="gray.600">
-                  Mode: {captureStrategy === 'displayMedia' ? 'Tab capture' : 'Direct stream'}
+                  Mode: {captureModeLabels[captureStrategy] || 'Direct stream'}
                   {playbackRateDisplay ? ` · ${playbackRateDisplay}` : ''}
+                  {captureInfo?.width ? ` · ${captureInfo.width}x${captureInfo.height}` : ''}
+                  {captureInfo?.fps ? ` @ ${Math.round(captureInfo.fps)} fps` : ''}
                 </Text>
               )}
               <Button
@@ -290,8 +837,25 @@ export default function Home() {
                 target="_blank"
                 rel="noopener noreferrer"
               >
-                Download MP4
+                Download {downloadUrl.split('.').pop().toUpperCase()}
               </Button>
+              {extraDownloads.length > 0 && (
+                <HStack spacing={2} wrap="wrap">
+                  {extraDownloads.map((download) => (
+                    <Button
+                      key={download.href}
+                      as="a"
+                      href={download.href}
+                      size="sm"
+                      variant="outline"
+                      target="_blank"
+                      rel="noopener noreferrer"
+                    >
+                      {download.label}
+                    </Button>
+                  ))}
+                </HStack>
+              )}
               {downloadPath && (
                 <Text fontSize="sm" color="gray.600">
                   Saved locally at: {downloadPath}
@@ -300,6 +864,13 @@ export default function Home() {
             </VStack>
           </Box>
         )}
+
+        <RecordingImport
+          jobOptions={jobOptions}
+          onImported={() => setJobsRefreshKey((key) => key + 1)}
+        />
+
+        <JobList refreshKey={jobsRefreshKey} />
       </VStack>
     </Container>
   );
@@ -0,0 +1,254 @@
+import { useEffect, useState } from 'react';
+import NextLink from 'next/link';
+import {
+  Badge,
+  Box,
+  Button,
+  Container,
+  HStack,
+  Input,
+  Link,
+  Select,
+  Text,
+  VStack,
+  useToast
+} from '@chakra-ui/react';
+import UserMenu from '../components/UserMenu';
+
+const captureModeLabels = {
+  displayMedia: 'Tab capture',
+  captureStream: 'Direct stream',
+  assets: 'Asset export',
+  assetAudio: 'Audio asset export',
+  audioContext: 'Audio-only capture'
+};
+
+const statusColors = {
+  complete: 'green',
+  partial: 'orange'
+};
+
+const AUDIO_EXTENSIONS = ['mp3', 'm4a', 'opus', 'ogg'];
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const formatDuration = (seconds) => {
+  if (!seconds && seconds !== 0) return '—';
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = String(Math.floor((total % 3600) / 60)).padStart(hours ? 2 : 1, '0');
+  const secs = String(total % 60).padStart(2, '0');
+  return hours ? `${hours}:${minutes}:${secs}` : `${minutes}:${secs}`;
+};
+
+const formatSize = (bytes) => {
+  if (!bytes && bytes !== 0) return '—';
+  if (bytes >= 1024 ** 3) return `${(bytes / (1024 ** 3)).toFixed(2)} GB`;
+  return `${(bytes / (1024 ** 2)).toFixed(1)} MB`;
+};
+
+const isAudioFile = (url) => AUDIO_EXTENSIONS.includes(String(url).split('.').pop());
+
+export default function Library() {
+  const [recordings, setRecordings] = useState([]);
+  const [search, setSearch] = useState('');
+  const [status, setStatus] = useState('');
+  const [captureStrategy, setCaptureStrategy] = useState('');
+  const [sort, setSort] = useState('newest');
+  const [previewId, setPreviewId] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+  const toast = useToast();
+
+  useEffect(() => {
+    let cancelled = false;
+    const params = new URLSearchParams({ sort });
+    if (search) params.set('q', search);
+    if (status) params.set('status', status);
+    if (captureStrategy) params.set('captureStrategy', captureStrategy);
+
+    const loadRecordings = async () => {
+      setIsLoading(true);
+      try {
+        const response = await fetch(`/api/recordings?${params}`);
+        if (!response.ok) return;
+        const data = await response.json();
+        if (!cancelled) {
+          setRecordings(data.recordings || []);
+        }
+      } catch (error) {
+        console.error('Failed to load recordings:', error);
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    const timeout = setTimeout(loadRecordings, 250);
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [search, status, captureStrategy, sort, reloadKey]);
+
+  const deleteRecording = async (recording) => {
+    if (!window.confirm(`Delete ${recording.title || recording.id} and all of its files?`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/recordings/${recording.id}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to delete recording');
+      }
+      setReloadKey((key) => key + 1);
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.message,
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    }
+  };
+
+  return (
+    <Container maxW="container.lg" py={10}>
+      <VStack spacing={6} align="stretch">
+        <HStack justify="space-between">
+          <Text fontSize="2xl" fontWeight="bold">
+            Recordings Library
+          </Text>
+          <HStack spacing={6}>
+            <UserMenu />
+            <Link as={NextLink} href="/" color="blue.500">
+              New recording
+            </Link>
+          </HStack>
+        </HStack>
+
+        <HStack spacing={3}>
+          <Input
+            placeholder="Search by title, URL or id"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+          />
+          <Select value={status} onChange={(e) => setStatus(e.target.value)} maxW="160px">
+            <option value="">Any status</option>
+            <option value="complete">Complete</option>
+            <option value="partial">Partial</option>
+          </Select>
+          <Select value={captureStrategy} onChange={(e) => setCaptureStrategy(e.target.value)} maxW="200px">
+            <option value="">Any mode</option>
+            {Object.entries(captureModeLabels).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </Select>
+          <Select value={sort} onChange={(e) => setSort(e.target.value)} maxW="140px">
+            <option value="newest">Newest</option>
+            <option value="oldest">Oldest</option>
+            <option value="largest">Largest</option>
+            <option value="longest">Longest</option>
+          </Select>
+        </HStack>
+
+        {!recordings.length && (
+          <Text color="gray.600">
+            {isLoading ? 'Loading recordings...' : 'No recordings found.'}
+          </Text>
+        )}
+
+        {recordings.map((recording) => (
+          <Box key={recording.id} p={4} borderRadius="md" borderWidth="1px">
+            <HStack justify="space-between" align="start">
+              <Box minW={0}>
+                <Text fontWeight="semibold" noOfLines={1}>
+                  {recording.title || `meeting_${recording.id}`}
+                </Text>
+                {recording.sourceUrl && (
+                  <Text fontSize="xs" color="gray.600" noOfLines={1} wordBreak="break-all">
+                    {recording.sourceUrl}
+                  </Text>
+                )}
+              </Box>
+              <HStack spacing={1}>
+                {recording.needsReview && <Badge colorScheme="purple">needs review</Badge>}
+                <Badge colorScheme={statusColors[recording.status] || 'gray'}>
+                  {recording.status}
+                </Badge>
+              </HStack>
+            </HStack>
+
+            <Text fontSize="xs" color="gray.600" mt={1}>
+              {formatDate(recording.createdAt)}
+              {' · '}{formatDuration(recording.duration)}
+              {' · '}{formatSize(recording.size)}
+              {recording.captureStrategy ? ` · ${captureModeLabels[recording.captureStrategy] || recording.captureStrategy}` : ''}
+              {recording.playbackRate ? ` · ${Number(recording.playbackRate).toFixed(2)}x` : ''}
+              {recording.fastCapture ? ' (restored to real time)' : ''}
+            </Text>
+            {recording.needsReview && (recording.verification?.issues || []).map((issue) => (
+              <Text key={issue} fontSize="xs" color="purple.600">{issue}</Text>
+            ))}
+
+            {previewId === recording.id && (
+              <Box mt={3}>
+                {isAudioFile(recording.downloadUrl) ? (
+                  <audio src={recording.downloadUrl} controls style={{ width: '100%' }} />
+                ) : (
+                  <video src={recording.downloadUrl} controls style={{ width: '100%' }} />
+                )}
+              </Box>
+            )}
+
+            <HStack spacing={2} mt={3} wrap="wrap">
+              <Button
+                size="sm"
+                onClick={() => setPreviewId(previewId === recording.id ? null : recording.id)}
+              >
+                {previewId === recording.id ? 'Close preview' : 'Preview'}
+              </Button>
+              {(recording.renditions || []).map((rendition) => (
+                <Button
+                  key={rendition.downloadUrl}
+                  as="a"
+                  href={rendition.downloadUrl}
+                  size="sm"
+                  variant="outline"
+                  colorScheme="green"
+                  download
+                >
+                  {rendition.profile} ({formatSize(rendition.size)})
+                </Button>
+              ))}
+              {recording.chat?.downloads && (
+                <Button as="a" href={recording.chat.downloads.txt} size="sm" variant="outline" download>
+                  Chat
+                </Button>
+              )}
+              {recording.subtitles?.downloads && (
+                <Button as="a" href={recording.subtitles.downloads.vtt} size="sm" variant="outline" download>
+                  Captions
+                </Button>
+              )}
+              {recording.chapters?.downloads && (
+                <Button as="a" href={recording.chapters.downloads.vtt} size="sm" variant="outline" download>
+                  Chapters
+                </Button>
+              )}
+              <Button
+                size="sm"
+                colorScheme="red"
+                variant="outline"
+                onClick={() => deleteRecording(recording)}
+              >
+                Delete
+              </Button>
+            </HStack>
+          </Box>
+        ))}
+      </VStack>
+    </Container>
+  );
+}
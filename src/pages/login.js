@@ -0,0 +1,78 @@
+import { useState } from 'react';
+import { useRouter } from 'next/router';
+import {
+  Button,
+  Container,
+  Input,
+  Text,
+  VStack,
+  useToast
+} from '@chakra-ui/react';
+
+export default function Login() {
+  const router = useRouter();
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const toast = useToast();
+
+  const submit = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    try {
+      const response = await fetch('/api/auth/login', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ username, password }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || 'Login failed');
+      }
+      const next = typeof router.query.next === 'string' && router.query.next.startsWith('/')
+        ? router.query.next
+        : '/';
+      router.replace(next);
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.message,
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Container maxW="sm" py={20}>
+      <form onSubmit={submit}>
+        <VStack spacing={4}>
+          <Text fontSize="2xl" fontWeight="bold">
+            Sign in
+          </Text>
+          <Input
+            placeholder="Username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            autoComplete="username"
+          />
+          <Input
+            type="password"
+            placeholder="Password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+          />
+          <Button type="submit" colorScheme="blue" w="100%" isLoading={isSubmitting}>
+            Sign in
+          </Button>
+        </VStack>
+      </form>
+    </Container>
+  );
+}
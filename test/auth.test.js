@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bbb-auth-'));
+process.env.BBB_RECORDER_CONFIG = path.join(tempDir, 'config.json');
+process.env.BBB_SESSION_SECRET = 'test-session-secret';
+delete process.env.BBB_AUTH_PROVIDER;
+
+const {
+    ANONYMOUS_USER,
+    UserStore,
+    createSessionCookie,
+    getAuthProviderName,
+    getRequestUser,
+    parseCookies
+} = require('../src/lib/auth');
+
+global.userStore = new UserStore({ storePath: path.join(tempDir, 'users.json') });
+const store = global.userStore;
+
+const requestWith = (headers) => ({ headers });
+const cookieHeader = (setCookie) => setCookie.split(';')[0];
+
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+test('authentication stays off until the first user is added', () => {
+    assert.strictEqual(getAuthProviderName(), 'none');
+    assert.strictEqual(getRequestUser(requestWith({})), ANONYMOUS_USER);
+
+    store.addUser({ username: 'alice', password: 'secret', role: 'admin' });
+
+    assert.strictEqual(getAuthProviderName(), 'local');
+    assert.strictEqual(getRequestUser(requestWith({})), null);
+});
+
+test('a configured provider wins over the default', () => {
+    fs.writeFileSync(process.env.BBB_RECORDER_CONFIG, JSON.stringify({ auth: { provider: 'none' } }));
+    try {
+        assert.strictEqual(getAuthProviderName(), 'none');
+    } finally {
+        fs.unlinkSync(process.env.BBB_RECORDER_CONFIG);
+    }
+});
+
+test('session cookies identify their user', () => {
+    const alice = store.findByUsername('alice');
+    const cookie = cookieHeader(createSessionCookie(alice));
+
+    assert.strictEqual(getRequestUser(requestWith({ cookie })).username, 'alice');
+
+    const [name, value] = cookie.split('=');
+    const [payload] = value.split('.');
+    assert.strictEqual(getRequestUser(requestWith({ cookie: `${name}=${payload}.forged` })), null);
+});
+
+test('malformed cookies are treated as absent', () => {
+    assert.deepStrictEqual(parseCookies('bad=%E0%A4%A; theme=dark'), { theme: 'dark' });
+    assert.strictEqual(getRequestUser(requestWith({ cookie: 'bbb_session=%' })), null);
+});
+
+test('API tokens authenticate until they are revoked', () => {
+    const alice = store.findByUsername('alice');
+    const { id, token } = store.createToken(alice.id, 'ci');
+    const authorization = `Bearer ${token}`;
+
+    assert.strictEqual(getRequestUser(requestWith({ authorization })).username, 'alice');
+    assert.strictEqual(store.listTokens(alice.id)[0].hash, undefined);
+
+    store.revokeToken(alice.id, id);
+    assert.strictEqual(getRequestUser(requestWith({ authorization })), null);
+    assert.strictEqual(getRequestUser(requestWith({ authorization: 'Bearer bbbr_unknown' })), null);
+});
@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const CONFIGURED_SECRET = 'configured-secret';
+const OTHER_SECRET = 'other-secret';
+const MEETING_A = `${'a'.repeat(40)}-1700000000000`;
+const MEETING_B = `${'b'.repeat(40)}-1700000100000`;
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bbb-api-'));
+process.env.BBB_RECORDER_CONFIG = path.join(tempDir, 'config.json');
+
+const { annotateWithExports, fetchRecordings, resolveApiCredentials } = require('../src/lib/bbbApi');
+
+const recordingXml = (meetingId, origin) => `
+    <recording>
+        <recordID>${meetingId}</recordID>
+        <meetingID>meeting-${meetingId.slice(0, 4)}</meetingID>
+        <name>Lecture ${meetingId.slice(0, 1)}</name>
+        <published>true</published>
+        <state>published</state>
+        <startTime>1700000000000</startTime>
+        <endTime>1700003600000</endTime>
+        <playback>
+            <format>
+                <type>presentation</type>
+                <url>${origin}/playback/presentation/2.3/${meetingId}</url>
+                <length>60</length>
+            </format>
+        </playback>
+    </recording>`;
+
+// Answers getRecordings like a BBB server with the given secret, and records every request
+const startMockServer = (secret) => new Promise((resolve) => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        requests.push(url);
+        const query = url.search.slice(1).replace(/&?checksum=[^&]*$/, '');
+        const expected = crypto.createHash('sha1').update(`getRecordings${query}${secret}`).digest('hex');
+        const origin = `http://localhost:${server.address().port}`;
+
+        res.setHeader('Content-Type', 'text/xml');
+        if (url.pathname !== '/bigbluebutton/api/getRecordings' || url.searchParams.get('checksum') !== expected) {
+            res.end('<response><returncode>FAILED</returncode><messageKey>checksumError</messageKey>'
+                + '<message>Checksums do not match</message></response>');
+            return;
+        }
+        res.end(`<response><returncode>SUCCESS</returncode><recordings>${
+            recordingXml(MEETING_A, origin)}${recordingXml(MEETING_B, origin)}</recordings></response>`);
+    });
+    server.listen(0, '127.0.0.1', () => {
+        resolve({
+            server,
+            requests,
+            baseUrl: `http://127.0.0.1:${server.address().port}/bigbluebutton/api`
+        });
+    });
+});
+
+let configured;
+let other;
+
+test.before(async () => {
+    configured = await startMockServer(CONFIGURED_SECRET);
+    other = await startMockServer(OTHER_SECRET);
+    fs.writeFileSync(process.env.BBB_RECORDER_CONFIG, JSON.stringify({
+        bbb: { baseUrl: configured.baseUrl, secret: CONFIGURED_SECRET }
+    }));
+});
+
+test.after(() => {
+    configured.server.close();
+    other.server.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('lists the recordings of the configured server with the configured secret', async () => {
+    const recordings = await fetchRecordings();
+
+    assert.deepStrictEqual(recordings.map((recording) => recording.recordId), [MEETING_A, MEETING_B]);
+    assert.strictEqual(recordings[0].duration, 3600);
+    assert.match(recordings[0].playbackUrl, new RegExp(`/playback/presentation/2.3/${MEETING_A}$`));
+    assert.strictEqual(configured.requests.at(-1).searchParams.get('state'), 'published');
+});
+
+test('accepts the configured server written differently', () => {
+    const credentials = resolveApiCredentials({ baseUrl: configured.baseUrl.replace(/\/api$/, '/api/') });
+    assert.strictEqual(credentials.secret, CONFIGURED_SECRET);
+});
+
+test('never uses the configured secret for another server', async () => {
+    const requestsBefore = other.requests.length;
+
+    await assert.rejects(fetchRecordings({ baseUrl: other.baseUrl }), { statusCode: 400 });
+    assert.throws(() => resolveApiCredentials({ baseUrl: 'http://attacker.example/bigbluebutton/api' }), {
+        statusCode: 400
+    });
+    assert.strictEqual(other.requests.length, requestsBefore);
+});
+
+test('lists another server with its own secret', async () => {
+    const recordings = await fetchRecordings({ baseUrl: other.baseUrl, secret: OTHER_SECRET });
+    assert.strictEqual(recordings.length, 2);
+});
+
+test('reports a wrong secret as a checksum error', async () => {
+    await assert.rejects(fetchRecordings({ baseUrl: other.baseUrl, secret: 'wrong' }), {
+        statusCode: 401,
+        message: /Checksums do not match/
+    });
+});
+
+test('rejects API URLs that are not http', () => {
+    assert.throws(() => resolveApiCredentials({ baseUrl: 'file:///etc/passwd', secret: 'x' }), { statusCode: 400 });
+});
+
+test('marks recordings found in the library as exported, and active jobs as queued', async () => {
+    const [first, second] = await fetchRecordings();
+    const recordings = annotateWithExports([first, second], {
+        exports: [{ id: 'session-1', jobId: '42', sourceUrl: first.playbackUrl, status: 'complete' }],
+        jobs: [
+            { id: '43', url: first.playbackUrl, status: 'queued' },
+            { id: '44', url: second.playbackUrl, status: 'running' }
+        ]
+    });
+
+    assert.deepStrictEqual(recordings.map(({ exportStatus, exportId, jobId }) => ({ exportStatus, exportId, jobId })), [
+        { exportStatus: 'exported', exportId: 'session-1', jobId: '42' },
+        { exportStatus: 'queued', exportId: null, jobId: '44' }
+    ]);
+});
+
+test('finished jobs without a library export do not count as exported', async () => {
+    const [first] = await fetchRecordings();
+    const [recording] = annotateWithExports([first], {
+        exports: [{ id: 'session-2', sourceUrl: first.playbackUrl, status: 'partial' }],
+        jobs: [{ id: '45', url: first.playbackUrl, status: 'done' }]
+    });
+
+    assert.strictEqual(recording.exportStatus, null);
+});
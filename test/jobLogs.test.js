@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Logs are written to data/logs under the working directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bbb-logs-'));
+process.chdir(workDir);
+
+const { JobLogger, getDiagnosticsFile, getJobSessionIds, readJobLog } = require('../src/lib/jobLogs');
+
+test.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+test('every attempt of a job keeps its session', () => {
+    const job = {
+        sessionId: 'third',
+        recovery: null,
+        attempts: [
+            { number: 1, sessionId: 'first' },
+            { number: 2, sessionId: 'second' },
+            { number: 3, sessionId: 'second' },
+            { number: 4, sessionId: 'third' }
+        ]
+    };
+
+    assert.deepStrictEqual(getJobSessionIds(job), ['first', 'second', 'third']);
+    assert.deepStrictEqual(getJobSessionIds({ sessionId: 'only' }), ['only']);
+    assert.deepStrictEqual(getJobSessionIds({ attempts: [{ number: 1, sessionId: null }] }), []);
+});
+
+test('logs and diagnostics are kept per session', () => {
+    const first = new JobLogger({ sessionId: 'first', jobId: '1' });
+    first.log('error', 'recorder', 'Capture failed');
+    first.writeDiagnostics({ error: 'Capture failed' });
+    new JobLogger({ sessionId: 'second', jobId: '1' }).log('info', 'recorder', 'Recording started');
+
+    assert.deepStrictEqual(readJobLog('first').map((entry) => entry.message), ['Capture failed']);
+    assert.deepStrictEqual(readJobLog('second', { level: 'warn' }), []);
+    assert.ok(getDiagnosticsFile('first'));
+    assert.strictEqual(getDiagnosticsFile('second'), null);
+    assert.throws(() => readJobLog('../escape'), { statusCode: 400 });
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+
+process.env.BBB_RECORDER_CONFIG = path.join(os.tmpdir(), 'bbb-recorder-missing-config.json');
+delete process.env.BBB_FAST_CAPTURE_RATE;
+
+const Recorder = require('../src/lib/recorder');
+const { parseJobOptions } = require('../src/lib/jobOptions');
+const { getPreviewSettings } = require('../src/lib/livePreview');
+const { resolveProfiles } = require('../src/lib/profiles');
+
+const rejects = (body, message) => assert.throws(() => parseJobOptions(body), { statusCode: 400, message });
+
+test('accepts an empty body', () => {
+    assert.deepStrictEqual(parseJobOptions({}), {});
+});
+
+test('validates the export mode and playback rate', () => {
+    rejects({ exportMode: 'fax' }, /exportMode must be one of/);
+    rejects({ playbackRate: 3 }, /enable fastCapture/);
+    rejects({ playbackRate: 'fast' }, /playbackRate must be between/);
+    assert.strictEqual(parseJobOptions({ playbackRate: '1.5' }).playbackRate, 1.5);
+});
+
+test('fast capture keeping the audio stops at the audio limit', () => {
+    const { audioMax } = Recorder.PLAYBACK_RATE_LIMITS;
+
+    assert.strictEqual(parseJobOptions({ fastCapture: true, playbackRate: audioMax }).playbackRate, audioMax);
+    rejects({ fastCapture: true, playbackRate: audioMax * 2 }, /mutes the audio/);
+    assert.deepStrictEqual(parseJobOptions({ fastCapture: true, playbackRate: 8, dropAudio: true }), {
+        fastCapture: true,
+        dropAudio: true,
+        playbackRate: 8
+    });
+    rejects({ dropAudio: true }, /only applies to fast capture/);
+    rejects({ fastCapture: true, dropAudio: true, audioOnly: true }, /only applies to fast capture/);
+});
+
+test('the recorder caps fast capture at the audio limit unless the audio is dropped', () => {
+    const { audioMax } = Recorder.PLAYBACK_RATE_LIMITS;
+
+    assert.strictEqual(new Recorder({ fastCapture: true, playbackRate: 8 }).playbackRate, audioMax);
+    assert.strictEqual(new Recorder({ fastCapture: true, playbackRate: 8, dropAudio: true }).playbackRate, 8);
+});
+
+test('captures without audio are converted with -an', () => {
+    const recorder = new Recorder({ fastCapture: true, playbackRate: 8, dropAudio: true });
+    recorder.renditions = resolveProfiles(['default']).map((profile) => ({
+        profile: profile.name,
+        settings: profile,
+        path: '/tmp/out.mp4'
+    }));
+
+    const args = recorder.buildRenditionArgs();
+    assert.ok(recorder.dropsAudio());
+    assert.ok(args.includes('-an'));
+    assert.ok(!args.includes('0:a?'));
+    assert.ok(!args.includes('-af'));
+});
+
+test('parses time ranges, capture settings and retry options', () => {
+    const options = parseJobOptions({
+        start: '1:00',
+        end: 600,
+        capture: { preset: 'slides', fps: 15 },
+        retry: { maxAttempts: 2 }
+    });
+
+    assert.deepStrictEqual(options.ranges, [{ start: 60, end: 600 }]);
+    assert.deepStrictEqual(options.capture, { preset: 'slides', fps: 15 });
+    assert.strictEqual(options.retry.maxAttempts, 2);
+    rejects({ capture: { width: 10 } }, /capture.width/);
+});
+
+test('audio-only jobs ignore the capture and layout settings they never use', () => {
+    const options = parseJobOptions({ audioOnly: true, capture: 'foo', layout: 'nonexistent' });
+
+    assert.strictEqual(options.capture, undefined);
+    assert.strictEqual(options.layout, undefined);
+    rejects({ capture: 'foo' }, /Unknown capture preset/);
+});
+
+test('the live preview only runs for jobs that ask for it', () => {
+    delete process.env.BBB_LIVE_PREVIEW;
+    assert.strictEqual(getPreviewSettings().enabled, false);
+    assert.strictEqual(new Recorder().livePreview, false);
+    assert.strictEqual(new Recorder(parseJobOptions({ livePreview: true })).livePreview, true);
+    assert.deepStrictEqual(parseJobOptions({ livePreview: false }), { livePreview: false });
+});
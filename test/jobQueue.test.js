@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JOB_STATUS, JobQueue } = require('../src/lib/jobQueue');
+const { createPermanentError, planRetry } = require('../src/lib/retryPolicy');
+
+const createQueue = (options = {}) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bbb-queue-'));
+    return new JobQueue({ storePath: path.join(dir, 'jobs.json'), ...options });
+};
+
+const waitFor = async (check) => {
+    for (let i = 0; i < 100; i += 1) {
+        if (check()) return;
+        await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    throw new Error('Timed out waiting for the queue');
+};
+
+test('queued jobs are ordered by priority, then by age', () => {
+    const queue = createQueue();
+    const low = queue.enqueue({ url: 'https://bbb.example/a' });
+    const high = queue.enqueue({ url: 'https://bbb.example/b', priority: 5 });
+    const later = queue.enqueue({ url: 'https://bbb.example/c' });
+
+    assert.deepStrictEqual(queue.queued().map((job) => job.id), [high.id, low.id, later.id]);
+    assert.strictEqual(queue.getQueuePosition(low.id), 2);
+});
+
+test('no more than maxConcurrent jobs run at once', async () => {
+    const pending = [];
+    const queue = createQueue({
+        maxConcurrent: 1,
+        runJob: () => new Promise((resolve) => pending.push(resolve))
+    });
+    const first = queue.enqueue({ url: 'https://bbb.example/a' });
+    const second = queue.enqueue({ url: 'https://bbb.example/b' });
+
+    assert.strictEqual(first.status, JOB_STATUS.RUNNING);
+    assert.strictEqual(second.status, JOB_STATUS.QUEUED);
+
+    await waitFor(() => pending.length === 1);
+    pending[0]({});
+    await waitFor(() => second.status === JOB_STATUS.RUNNING);
+    assert.strictEqual(first.status, JOB_STATUS.DONE);
+});
+
+test('cancelling a queued job reports it as finished', async () => {
+    const finished = [];
+    const queue = createQueue({ onJobFinished: (job) => finished.push(job.id) });
+    const job = queue.enqueue({ url: 'https://bbb.example/a' });
+
+    await queue.cancel(job.id);
+
+    assert.strictEqual(job.status, JOB_STATUS.CANCELLED);
+    assert.deepStrictEqual(finished, [job.id]);
+});
+
+test('jobs that were running before a restart fail unless they can be recovered', () => {
+    const queue = createQueue();
+    const job = queue.enqueue({ url: 'https://bbb.example/a' });
+    queue.update(job.id, { status: JOB_STATUS.RUNNING, attempts: [{ number: 1, finishedAt: null }] });
+
+    const reloaded = new JobQueue({ storePath: queue.storePath });
+    assert.strictEqual(reloaded.get(job.id).status, JOB_STATUS.FAILED);
+    assert.strictEqual(reloaded.get(job.id).attempts[0].error, 'Interrupted by server restart');
+});
+
+test('failed attempts are queued again until the policy runs out', async () => {
+    const queue = createQueue({
+        getRetryPolicy: () => ({ maxAttempts: 2, backoffSeconds: 60, backoffMultiplier: 1, switchStrategy: true }),
+        runJob: () => Promise.reject(new Error('Page crashed'))
+    });
+    const job = queue.enqueue({ url: 'https://bbb.example/a' });
+
+    await waitFor(() => job.status === JOB_STATUS.QUEUED);
+    assert.strictEqual(job.error, 'Page crashed');
+    assert.ok(Date.parse(job.retryAt) > Date.now());
+    assert.strictEqual(queue.canRetry(job), true);
+
+    job.attempts.push({ number: 2 });
+    assert.strictEqual(queue.canRetry(job), false);
+});
+
+test('permanent errors fail the job at once', async () => {
+    const queue = createQueue({
+        getRetryPolicy: () => ({ maxAttempts: 3, backoffSeconds: 0, backoffMultiplier: 1, switchStrategy: true }),
+        runJob: () => Promise.reject(
+            createPermanentError('Asset export requires a BigBlueButton presentation playback URL')
+        )
+    });
+    const job = queue.enqueue({ url: 'https://bbb.example/a' });
+
+    await waitFor(() => job.status === JOB_STATUS.FAILED);
+    assert.strictEqual(job.attempts.length, 1);
+    assert.strictEqual(job.retryAt, null);
+});
+
+test('retries switch between the browser capture strategies', () => {
+    const policy = { maxAttempts: 3, backoffSeconds: 30, backoffMultiplier: 2, maxBackoffSeconds: 600, switchStrategy: true };
+    const job = { attempts: [{ number: 1, captureStrategy: 'displayMedia' }, { number: 2, captureStrategy: 'captureStream' }] };
+
+    assert.deepStrictEqual(planRetry(policy, job), { delayMs: 60000, captureStrategy: 'displayMedia' });
+    assert.strictEqual(planRetry(policy, job, createPermanentError('No slides found in shapes.svg')), null);
+    assert.strictEqual(planRetry(policy, { ...job, cancelRequested: true }), null);
+});
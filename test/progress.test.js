@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bbb-progress-'));
+process.env.BBB_RECORDER_CONFIG = path.join(tempDir, 'config.json');
+
+const { broadcastProgress, getLastEventId, replayProgress } = require('../src/lib/progress');
+
+const owner = { id: 'owner', role: 'user' };
+const stranger = { id: 'stranger', role: 'user' };
+
+// Collects the events written to it the way the SSE route does
+const createClient = ({ recordingId = null, user = owner } = {}) => {
+    const events = [];
+    return {
+        recordingId,
+        user,
+        events,
+        res: {
+            write: (chunk) => {
+                const [, id, json] = chunk.match(/^id: (\d+)\ndata: (.*)\n\n$/);
+                events.push({ id: Number(id), ...JSON.parse(json) });
+            }
+        }
+    };
+};
+
+test.beforeEach(() => {
+    global.progressClients.clear();
+    global.progressHistory.clear();
+});
+
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+test('replays the events a client missed, oldest first and marked as replayed', () => {
+    const first = broadcastProgress({ type: 'progress', recordingId: '1', progress: 10 }, 'owner');
+    broadcastProgress({ type: 'progress', recordingId: '1', progress: 20 }, 'owner');
+    broadcastProgress({ type: 'progress', recordingId: '2', progress: 50 }, 'owner');
+    const last = broadcastProgress({ type: 'complete', recordingId: '1' }, 'owner');
+
+    const client = createClient({ recordingId: '1' });
+    replayProgress(client, first);
+
+    assert.deepStrictEqual(client.events.map((event) => [event.type, event.progress, event.replayed]), [
+        ['progress', 20, true],
+        ['complete', undefined, true]
+    ]);
+    assert.strictEqual(getLastEventId('1'), last);
+    assert.strictEqual(getLastEventId('unknown'), null);
+});
+
+test('never replays or sends the events of other users\' jobs', () => {
+    const live = createClient({ user: stranger });
+    global.progressClients.add(live);
+    broadcastProgress({ type: 'progress', recordingId: '1', progress: 10 }, 'owner');
+
+    const late = createClient({ user: stranger });
+    replayProgress(late, 0);
+
+    assert.deepStrictEqual(live.events, []);
+    assert.deepStrictEqual(late.events, []);
+});
+
+test('keeps a bounded history per job', () => {
+    for (let i = 0; i < 250; i += 1) {
+        broadcastProgress({ type: 'progress', recordingId: '1', progress: i }, 'owner');
+    }
+
+    const client = createClient({ recordingId: '1' });
+    replayProgress(client, 0);
+
+    assert.strictEqual(client.events.length, 200);
+    assert.strictEqual(client.events[0].progress, 50);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The sweeper works on temp_chunks under the working directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bbb-storage-'));
+process.chdir(workDir);
+process.env.BBB_RECORDER_CONFIG = path.join(workDir, 'config.json');
+
+const { StorageManager, lockSession, unlockSession } = require('../src/lib/storage');
+
+const TEMP_DIR = path.join(workDir, 'temp_chunks');
+const HOUR_MS = 60 * 60 * 1000;
+
+const writeOldFile = (name) => {
+    const filePath = path.join(TEMP_DIR, name);
+    fs.writeFileSync(filePath, 'data');
+    const old = new Date(Date.now() - HOUR_MS);
+    fs.utimesSync(filePath, old, old);
+    return filePath;
+};
+
+test.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+test('the sweep keeps the files of a session until its lock is released', () => {
+    lockSession('live');
+    const live = writeOldFile('recording_live.webm');
+    const orphan = writeOldFile('recording_orphan.webm');
+
+    const removed = new StorageManager().sweepTempFiles().map((entry) => entry.name);
+
+    assert.deepStrictEqual(removed, ['recording_orphan.webm']);
+    assert.ok(fs.existsSync(live));
+    assert.ok(!fs.existsSync(orphan));
+
+    unlockSession('live');
+    assert.ok(!fs.existsSync(path.join(TEMP_DIR, 'session_live.lock')));
+    assert.deepStrictEqual(new StorageManager().sweepTempFiles().map((entry) => entry.name), ['recording_live.webm']);
+});
+
+test('locks left by a process that is gone do not protect anything', () => {
+    const lock = writeOldFile('session_crashed.lock');
+    fs.writeFileSync(lock, JSON.stringify({ pid: 2 ** 22 + 1 }));
+    fs.utimesSync(lock, new Date(Date.now() - HOUR_MS), new Date(Date.now() - HOUR_MS));
+    writeOldFile('recording_crashed.webm');
+
+    const removed = new StorageManager().sweepTempFiles().map((entry) => entry.name).sort();
+
+    assert.deepStrictEqual(removed, ['recording_crashed.webm', 'session_crashed.lock']);
+});
+
+test('recent files without a lock are left alone', () => {
+    fs.writeFileSync(path.join(TEMP_DIR, 'recording_new.webm'), 'data');
+    assert.deepStrictEqual(new StorageManager().sweepTempFiles(), []);
+});
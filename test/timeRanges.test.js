@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { capturedLength, nextCaptureTime, parseRanges } = require('../src/lib/timeRanges');
+
+test('the whole recording needs no ranges', () => {
+    assert.strictEqual(parseRanges({}), null);
+    assert.strictEqual(parseRanges({ start: 0 }), null);
+});
+
+test('accepts seconds and clock times', () => {
+    assert.deepStrictEqual(parseRanges({ start: '10:00', end: '1:02:03' }), [{ start: 600, end: 3723 }]);
+    assert.deepStrictEqual(parseRanges({ start: 90 }), [{ start: 90, end: null }]);
+});
+
+test('sorts and merges overlapping ranges', () => {
+    assert.deepStrictEqual(parseRanges({
+        ranges: [
+            { start: 500, end: 600 },
+            { start: 0, end: 100 },
+            { start: 50, end: 200 },
+            { start: 550 }
+        ]
+    }), [{ start: 0, end: 200 }, { start: 500, end: null }]);
+});
+
+test('rejects invalid ranges', () => {
+    assert.throws(() => parseRanges({ start: 100, end: 50 }), { statusCode: 400, message: /end after it starts/ });
+    assert.throws(() => parseRanges({ start: 'soon' }), { statusCode: 400 });
+    assert.throws(() => parseRanges({ start: -1 }), { statusCode: 400 });
+    assert.throws(() => parseRanges({ ranges: { start: 1 } }), { statusCode: 400 });
+    assert.throws(() => parseRanges({ start: 1, ranges: [{ start: 2 }] }), { message: /not both/ });
+});
+
+test('rejects clock times that are blank or out of range', () => {
+    ['', ' ', '12:99', '1:75:00', '1:00:60', ':30', '10:', '1:2:3:4', '1:-5'].forEach((value) => {
+        assert.throws(() => parseRanges({ start: value }), { statusCode: 400 }, `start "${value}"`);
+    });
+    assert.throws(() => parseRanges({ ranges: [{ start: '', end: '10:00' }] }), { statusCode: 400 });
+    assert.throws(() => parseRanges({ ranges: [{ start: '1:00', end: ' ' }] }), { statusCode: 400 });
+    assert.deepStrictEqual(parseRanges({ start: '75', end: '100:59:59' }), [{ start: 75, end: 363599 }]);
+});
+
+test('measures the captured part of a stretch of playback', () => {
+    const ranges = [{ start: 10, end: 20 }, { start: 30, end: null }];
+
+    assert.strictEqual(capturedLength(ranges, 0, 40), 20);
+    assert.strictEqual(capturedLength(null, 5, 8), 3);
+    assert.strictEqual(nextCaptureTime(ranges, 25), 30);
+});
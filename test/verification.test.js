@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bbb-verify-'));
+process.env.BBB_RECORDER_CONFIG = path.join(tempDir, 'config.json');
+
+const { getVerificationSettings, verifyMedia } = require('../src/lib/verification');
+
+const outputPath = path.join(tempDir, 'meeting.mp4');
+fs.writeFileSync(outputPath, 'video');
+
+const videoOnly = async () => ({
+    duration: 600,
+    size: 5,
+    streams: [{ index: 0, type: 'video', codec: 'h264', duration: 600 }]
+});
+
+// Stands in for FFmpeg and keeps the filters it was asked to run
+const createRun = () => {
+    const calls = [];
+    const run = async (args) => {
+        calls.push(args);
+        return '';
+    };
+    return { calls, run };
+};
+
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+test('a video-only output is flagged when audio is expected', async () => {
+    const { run } = createRun();
+    const report = await verifyMedia(outputPath, {
+        expectedDuration: 600,
+        settings: getVerificationSettings(),
+        probeMedia: videoOnly,
+        runFFmpeg: run
+    });
+
+    assert.deepStrictEqual(report.issues, ['No audio stream in the output']);
+});
+
+test('a video-only output passes when audio was dropped on purpose', async () => {
+    const { calls, run } = createRun();
+    const report = await verifyMedia(outputPath, {
+        expectedDuration: 600,
+        expectAudio: false,
+        settings: getVerificationSettings(),
+        probeMedia: videoOnly,
+        runFFmpeg: run
+    });
+
+    assert.deepStrictEqual(report.issues, []);
+    assert.ok(calls[0].some((arg) => arg.includes('blackdetect')));
+    assert.ok(!calls[0].some((arg) => arg.includes('silencedetect')));
+});
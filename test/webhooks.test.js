@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bbb-webhooks-'));
+process.env.BBB_RECORDER_CONFIG = path.join(tempDir, 'config.json');
+fs.writeFileSync(process.env.BBB_RECORDER_CONFIG, JSON.stringify({
+    webhooks: { allowedHosts: ['lms.example.com'] }
+}));
+delete process.env.BBB_WEBHOOK_SECRET;
+
+const { WebhookDispatcher, isAllowedWebhookTarget, signPayload } = require('../src/lib/webhooks');
+const { parseJobOptions } = require('../src/lib/jobOptions');
+
+const startReceiver = () => new Promise((resolve) => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.end('ok');
+        });
+    });
+    server.listen(0, '127.0.0.1', () => resolve({
+        server,
+        received,
+        url: `http://127.0.0.1:${server.address().port}/hook`
+    }));
+});
+
+const finishedJob = (url) => ({
+    id: '1',
+    url: 'https://bbb.example/playback/presentation/2.3/x',
+    status: 'failed',
+    error: 'Boom',
+    options: { webhooks: [url] }
+});
+
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+test('signs deliveries with a generated secret when none is configured', async () => {
+    const receiver = await startReceiver();
+    const dispatcher = new WebhookDispatcher({
+        storePath: path.join(tempDir, 'webhooks.json'),
+        secretPath: path.join(tempDir, 'webhook-secret')
+    });
+
+    dispatcher.jobFinished(finishedJob(receiver.url));
+    for (let i = 0; i < 200 && dispatcher.deliveries[0].status === 'pending'; i += 1) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    receiver.server.close();
+
+    const secret = fs.readFileSync(path.join(tempDir, 'webhook-secret'), 'utf8').trim();
+    const [{ headers, body }] = receiver.received;
+    assert.strictEqual(dispatcher.deliveries[0].status, 'delivered');
+    assert.strictEqual(headers['x-bbb-recorder-event'], 'recording.failed');
+    assert.strictEqual(headers['x-bbb-recorder-signature'], signPayload(body, secret));
+    assert.strictEqual(JSON.parse(body).error, 'Boom');
+
+    const reloaded = new WebhookDispatcher({
+        storePath: path.join(tempDir, 'webhooks.json'),
+        secretPath: path.join(tempDir, 'webhook-secret')
+    });
+    assert.strictEqual(reloaded.getSecret(), secret);
+});
+
+test('a configured secret takes precedence over the generated one', () => {
+    process.env.BBB_WEBHOOK_SECRET = 'configured';
+    try {
+        const dispatcher = new WebhookDispatcher({
+            storePath: path.join(tempDir, 'other.json'),
+            secretPath: path.join(tempDir, 'webhook-secret')
+        });
+        assert.strictEqual(dispatcher.getSecret(), 'configured');
+    } finally {
+        delete process.env.BBB_WEBHOOK_SECRET;
+    }
+});
+
+test('signatures are the HMAC-SHA256 of the body', () => {
+    const expected = crypto.createHmac('sha256', 'secret').update('{"a":1}').digest('hex');
+    assert.strictEqual(signPayload('{"a":1}', 'secret'), `sha256=${expected}`);
+});
+
+test('only admins may send per-job webhooks to hosts outside webhooks.allowedHosts', () => {
+    const admin = { id: 'a', role: 'admin' };
+    const user = { id: 'u', role: 'user' };
+
+    assert.strictEqual(isAllowedWebhookTarget('http://10.0.0.1/hook', admin), true);
+    assert.strictEqual(isAllowedWebhookTarget('https://LMS.example.com/hook', user), true);
+    assert.strictEqual(isAllowedWebhookTarget('http://10.0.0.1/hook', user), false);
+
+    assert.throws(() => parseJobOptions({ webhookUrl: 'http://10.0.0.1/hook' }, { user }), { statusCode: 403 });
+    assert.deepStrictEqual(
+        parseJobOptions({ webhookUrl: 'https://lms.example.com/hook' }, { user }).webhooks,
+        ['https://lms.example.com/hook']
+    );
+    assert.throws(() => parseJobOptions({ webhooks: ['ftp://lms.example.com'] }, { user: admin }), { statusCode: 400 });
+});